@@ -5,7 +5,9 @@
  * The filechunks MUST follow specific rules, as specified by http://itsa.io/docs/io/index.html#io-filetransfer
  * Therefore, this module is best used together with the ITSA-framework (http://itsa.io)
  *
- * IMPORTANT NOTE: this module is build for usage with hapijs.
+ * There are adapters for hapijs (`getHapiFns`), expressjs (`getExpressFns`), koajs (`getKoaFns`)
+ * and a plain nodejs http-server (`getNodeHttpFns`), which all have the same api.
+ * Node-processes can upload to these handlers with `createUploadClient`.
  *
  * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
  * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
@@ -17,6 +19,13 @@
 "use strict";
 
 module.exports = {
-    // getExpressFns: require("./lib/express-handler"),
-    getHapiFns: require("./lib/hapi-handler")
+    createDirectorySink: require("./lib/directory-sink"),
+    createFileStore: require("./lib/file-store"),
+    createMemoryStore: require("./lib/memory-store"),
+    createUploadClient: require("./lib/upload-client"),
+    errors: require("./lib/errors"),
+    getExpressFns: require("./lib/express-handler"),
+    getHapiFns: require("./lib/hapi-handler"),
+    getKoaFns: require("./lib/koa-handler"),
+    getNodeHttpFns: require("./lib/node-http-handler")
 };
@@ -0,0 +1,451 @@
+/**
+ * Extracts ZIP and tar(.gz) archives into a folder, without trusting their content.
+ *
+ * Archives are parsed by their own structure (the central directory of a ZIP, the headers of a tar), and every entry
+ * is guarded against:
+ *
+ * path traversal --> absolute paths and `..` segments are refused, so no entry can be written outside the folder ("zip-slip")
+ * links --> symlinks and hardlinks are refused, as are devices and fifos
+ * too many entries --> more than `maxEntries` files and folders
+ * decompression bombs --> more than `maxSize` bytes in total, or more than `maxRatio` times the size of the archive.
+ *                         The decompressed bytes are counted while they are written: the sizes inside the archive are not trusted.
+ *
+ * A refused archive rejects with an error of `errors.createError`: `INVALID_ARCHIVE` (422) or `ARCHIVE_TOO_LARGE` (413).
+ * Encrypted and ZIP64-archives are not supported.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule archive
+ * @class Archive
+*/
+
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    zlib = require('zlib'),
+    fsp = require('fs-promise'),
+    fileUtils = require('./file-utils'),
+    errors = require('./errors'),
+    DEF_MAX_ENTRIES = 1000,
+    DEF_MAX_SIZE = 1024*1024*1024, // 1Gb
+    DEF_MAX_RATIO = 100,
+    FORMATS = [
+        {format: 'zip', pattern: /\.zip$/i},
+        {format: 'tgz', pattern: /\.(tgz|tar\.gz)$/i},
+        {format: 'tar', pattern: /\.tar$/i}
+    ],
+    ZIP_EOCD_SIG = 0x06054b50,
+    ZIP_CENTRAL_SIG = 0x02014b50,
+    ZIP_LOCAL_SIG = 0x04034b50,
+    ZIP_EOCD_SIZE = 22,
+    ZIP_CENTRAL_SIZE = 46,
+    ZIP_LOCAL_SIZE = 30,
+    ZIP_MAX_COMMENT = 0xffff,
+    ZIP_STORED = 0,
+    ZIP_DEFLATED = 8,
+    ZIP_UNKNOWN_SIZE = 0xffffffff, // ZIP64
+    S_IFMT = 0xf000,
+    S_IFLNK = 0xa000,
+    TAR_BLOCK = 512,
+    TAR_MAX_META = 64*1024, // max size of a long filename or pax-header
+    invalid, tooLarge, getLimits, readRange, withFile, resolveEntry, countEntry, writeEntry, extractZip, parsePax,
+    readTarHeader, extractTar, archive;
+
+require('itsa-jsext');
+require('fs-extra');
+
+invalid = function(message) {
+    return errors.createError('INVALID_ARCHIVE', 'Error: invalid archive, ' + message);
+};
+
+tooLarge = function(message) {
+    return errors.createError('ARCHIVE_TOO_LARGE', 'Error: archive too large, ' + message);
+};
+
+// `true` means the default limits
+getLimits = function(options) {
+    Object.itsa_isObject(options) || (options={});
+    return {
+        maxEntries: options.maxEntries || DEF_MAX_ENTRIES,
+        maxSize: options.maxSize || DEF_MAX_SIZE,
+        maxRatio: options.maxRatio || DEF_MAX_RATIO
+    };
+};
+
+// resolves with a Buffer of (at most) `length` bytes at `position`
+readRange = function(fd, position, length) {
+    return new Promise(function(fulfill, reject) {
+        var buffer = Buffer.alloc(length);
+        fs.read(fd, buffer, 0, length, position, function(err, bytesRead) {
+            err ? reject(err) : fulfill(buffer.slice(0, bytesRead));
+        });
+    });
+};
+
+// invokes `fn(fd, size)` with the opened file, and closes it afterwards
+withFile = function(filename, fn) {
+    return Promise.all([fsp.open(filename, 'r'), fsp.stat(filename)]).then(function(values) {
+        var fd = values[0],
+            close = function() {
+                return new Promise(function(fulfill) {
+                    fs.close(fd, fulfill);
+                });
+            };
+        return fn(fd, values[1].size).then(function(result) {
+            return close().then(function() {
+                return result;
+            });
+        }, function(err) {
+            return close().then(function() {
+                throw err;
+            });
+        });
+    });
+};
+
+// returns the location of an entry inside the folder, or throws when the entry would end up outside of it
+// `isDir` tells whether the entry is a folder: a file can't take the place of a folder, nor can an entry be placed below a file
+resolveEntry = function(context, name, isDir) {
+    var location, parent;
+    name = name.replace(/\\/g, '/');
+    if ((name.indexOf('\0')!==-1) || /^([a-z]:)?\//i.test(name) || (name.split('/').indexOf('..')!==-1)) {
+        throw invalid('unsafe path: ' + JSON.stringify(name));
+    }
+    location = path.resolve(context.folder, name);
+    if (!location.itsa_startsWith(context.folder)) {
+        throw invalid('unsafe path: ' + JSON.stringify(name));
+    }
+    if (context.locations[location]!==undefined) {
+        throw invalid('duplicate entry: ' + JSON.stringify(name));
+    }
+    if (!isDir && context.parents[location]) {
+        throw invalid('file in place of a folder: ' + JSON.stringify(name));
+    }
+    for (parent=path.dirname(location); parent.length>=context.folder.length; parent=path.dirname(parent)) {
+        if (context.locations[parent]===false) {
+            throw invalid('entry below a file: ' + JSON.stringify(name));
+        }
+        context.parents[parent] = true;
+    }
+    context.locations[location] = !!isDir;
+    return location;
+};
+
+countEntry = function(context) {
+    if (++context.entries>context.limits.maxEntries) {
+        throw tooLarge('more than ' + context.limits.maxEntries + ' entries');
+    }
+};
+
+// writes the (decompressed) data of an entry, as long as the archive stays within its limits
+writeEntry = function(context, location, source, inflater) {
+    var maxSize = Math.min(context.limits.maxSize, context.archiveSize*context.limits.maxRatio) - context.size;
+    inflater && (source=source.pipe(inflater));
+    return fileUtils.createDir(path.dirname(location)).then(function() {
+        return fileUtils.savePayload(location, source, {maxSize: maxSize});
+    }).then(function(saved) {
+        context.size += saved.size;
+        context.files.push({
+            filename: location,
+            name: location.substr(context.folder.length),
+            size: saved.size
+        });
+    }, function(err) {
+        // stop decompressing the rest of the entry:
+        inflater && inflater.destroy();
+        if (err.code==='EMAXSIZE') {
+            throw tooLarge('more than ' + maxSize + ' bytes when extracted');
+        }
+        if (/^Z_/.test(err.code)) {
+            throw invalid(err.message);
+        }
+        throw err;
+    });
+};
+
+extractZip = function(context, filename) {
+    return withFile(filename, function(fd, size) {
+        var tailSize = Math.min(size, ZIP_EOCD_SIZE+ZIP_MAX_COMMENT);
+        context.archiveSize = size;
+        return readRange(fd, size-tailSize, tailSize).then(function(tail) {
+            var i = tail.length - ZIP_EOCD_SIZE,
+                count, cdSize, cdOffset;
+            while ((i>=0) && (tail.readUInt32LE(i)!==ZIP_EOCD_SIG)) {
+                i--;
+            }
+            if (i<0) {
+                throw invalid('no zip end of central directory');
+            }
+            count = tail.readUInt16LE(i+10);
+            cdSize = tail.readUInt32LE(i+12);
+            cdOffset = tail.readUInt32LE(i+16);
+            if ((count===0xffff) || (cdOffset===ZIP_UNKNOWN_SIZE)) {
+                throw invalid('zip64 is not supported');
+            }
+            if (count>context.limits.maxEntries) {
+                throw tooLarge('more than ' + context.limits.maxEntries + ' entries');
+            }
+            if (cdOffset+cdSize>size) {
+                throw invalid('truncated zip');
+            }
+            return readRange(fd, cdOffset, cdSize).then(function(cd) {
+                var entries = [],
+                    p = 0,
+                    n, flags, attributes, entry;
+                for (n=0; n<count; n++) {
+                    if ((p+ZIP_CENTRAL_SIZE>cd.length) || (cd.readUInt32LE(p)!==ZIP_CENTRAL_SIG)) {
+                        throw invalid('corrupted central directory');
+                    }
+                    flags = cd.readUInt16LE(p+8);
+                    attributes = cd.readUInt32LE(p+38);
+                    entry = {
+                        method: cd.readUInt16LE(p+10),
+                        compressedSize: cd.readUInt32LE(p+20),
+                        size: cd.readUInt32LE(p+24),
+                        name: cd.toString('utf8', p+ZIP_CENTRAL_SIZE, p+ZIP_CENTRAL_SIZE+cd.readUInt16LE(p+28)),
+                        offset: cd.readUInt32LE(p+42)
+                    };
+                    if (flags & 1) {
+                        throw invalid('encrypted entries are not supported');
+                    }
+                    if ((entry.compressedSize===ZIP_UNKNOWN_SIZE) || (entry.size===ZIP_UNKNOWN_SIZE) || (entry.offset===ZIP_UNKNOWN_SIZE)) {
+                        throw invalid('zip64 is not supported');
+                    }
+                    if (((attributes>>>16) & S_IFMT)===S_IFLNK) {
+                        throw invalid('links are not allowed: ' + JSON.stringify(entry.name));
+                    }
+                    if ((entry.method!==ZIP_STORED) && (entry.method!==ZIP_DEFLATED)) {
+                        throw invalid('unsupported compression of ' + JSON.stringify(entry.name));
+                    }
+                    entries.push(entry);
+                    p += ZIP_CENTRAL_SIZE + cd.readUInt16LE(p+28) + cd.readUInt16LE(p+30) + cd.readUInt16LE(p+32);
+                }
+                // one by one: the limits depend on the entries that have been extracted already
+                return entries.reduce(function(prevEntry, entry) {
+                    return prevEntry.then(function() {
+                        var location;
+                        countEntry(context);
+                        location = resolveEntry(context, entry.name, entry.name.itsa_endsWith('/'));
+                        if (entry.name.itsa_endsWith('/')) {
+                            return fileUtils.createDir(location);
+                        }
+                        return readRange(fd, entry.offset, ZIP_LOCAL_SIZE).then(function(header) {
+                            var start;
+                            if ((header.length<ZIP_LOCAL_SIZE) || (header.readUInt32LE(0)!==ZIP_LOCAL_SIG)) {
+                                throw invalid('corrupted entry ' + JSON.stringify(entry.name));
+                            }
+                            start = entry.offset + ZIP_LOCAL_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+                            if (start+entry.compressedSize>size) {
+                                throw invalid('truncated zip');
+                            }
+                            return writeEntry(context, location,
+                                              entry.compressedSize ? fs.createReadStream(filename, {start: start, end: start+entry.compressedSize-1}) : Buffer.alloc(0),
+                                              (entry.method===ZIP_DEFLATED) && entry.compressedSize ? zlib.createInflateRaw() : null);
+                        });
+                    });
+                }, Promise.resolve());
+            });
+        });
+    });
+};
+
+// returns the `path` of a pax extended header. Its records are formatted as `<length> <key>=<value>\n`, where length is in bytes
+parsePax = function(data) {
+    var found = null,
+        p = 0,
+        space, length, record;
+    while (p<data.length) {
+        space = data.indexOf(' ', p);
+        length = (space===-1) ? NaN : parseInt(data.toString('utf8', p, space), 10);
+        if (isNaN(length) || (p+length>data.length) || (space>=p+length)) {
+            break;
+        }
+        record = data.toString('utf8', space+1, p+length-1);
+        record.itsa_startsWith('path=') && (found=record.substr(5));
+        p += length;
+    }
+    return found;
+};
+
+// resolves with the parsed header at `position`, or null at the end of the archive
+readTarHeader = function(fd, position) {
+    return readRange(fd, position, TAR_BLOCK).then(function(block) {
+        var sum = 0,
+            field = function(start, length) {
+                var value = block.toString('utf8', start, start+length),
+                    end = value.indexOf('\0');
+                return (end===-1) ? value : value.substr(0, end);
+            },
+            octal = function(start, length) {
+                var value = field(start, length).trim();
+                if (!/^[0-7]*$/.test(value)) {
+                    throw invalid('corrupted tar header');
+                }
+                return parseInt(value || '0', 8);
+            },
+            i, name, prefix;
+        if ((block.length<TAR_BLOCK) || block.every(function(byte) {
+            return byte===0;
+        })) {
+            return null;
+        }
+        // the checksum is calculated with spaces in place of itself:
+        for (i=0; i<TAR_BLOCK; i++) {
+            sum += ((i>=148) && (i<156)) ? 32 : block[i];
+        }
+        if (sum!==octal(148, 8)) {
+            throw invalid('corrupted tar header');
+        }
+        name = field(0, 100);
+        // only posix-ustar has a prefix: old gnu-tars store other data there
+        prefix = (block.toString('latin1', 257, 263)==='ustar\0') ? field(345, 155) : '';
+        return {
+            name: prefix ? prefix + '/' + name : name,
+            size: octal(124, 12),
+            type: String.fromCharCode(block[156] || 48) // '\0' means a regular file
+        };
+    });
+};
+
+extractTar = function(context, filename) {
+    return withFile(filename, function(fd, size) {
+        var next = function(position, longName) {
+            return readTarHeader(fd, position).then(function(header) {
+                var start = position + TAR_BLOCK,
+                    following = start + Math.ceil(header ? header.size/TAR_BLOCK : 0)*TAR_BLOCK,
+                    location;
+                if (!header) {
+                    return;
+                }
+                if (start+header.size>size) {
+                    throw invalid('truncated tar');
+                }
+                // a long filename (gnu) or extended header (pax) describes the next entry:
+                if ((header.type==='L') || (header.type==='x') || (header.type==='g')) {
+                    if (header.size>TAR_MAX_META) {
+                        throw invalid('header too large');
+                    }
+                    return readRange(fd, start, header.size).then(function(data) {
+                        var name = (header.type==='L') ? data.toString('utf8').replace(/\0+$/, '') : ((header.type==='x') && parsePax(data));
+                        return next(following, name || longName);
+                    });
+                }
+                if ((header.type==='1') || (header.type==='2')) {
+                    throw invalid('links are not allowed: ' + JSON.stringify(longName || header.name));
+                }
+                if ((header.type!=='0') && (header.type!=='7') && (header.type!=='5')) {
+                    throw invalid('unsupported entry ' + JSON.stringify(longName || header.name));
+                }
+                countEntry(context);
+                location = resolveEntry(context, longName || header.name, header.type==='5');
+                if (header.type==='5') {
+                    return fileUtils.createDir(location).then(function() {
+                        return next(following);
+                    });
+                }
+                return writeEntry(context, location,
+                                  header.size ? fs.createReadStream(filename, {start: start, end: start+header.size-1}) : Buffer.alloc(0)).then(function() {
+                    return next(following);
+                });
+            });
+        };
+        return next(0);
+    });
+};
+
+archive = {
+    /**
+     * Returns the format of an archive, by the extension of its filename.
+     *
+     * @method getFormat
+     * @param filename {String} the (client's) filename
+     * @return {String|null} `zip`, `tar` or `tgz`, or null when it isn't an archive
+     * @since 0.0.13
+    */
+    getFormat: function(filename) {
+        var found = null;
+        filename && FORMATS.some(function(definition) {
+            definition.pattern.test(filename) && (found=definition.format);
+            return found;
+        });
+        return found;
+    },
+
+    /**
+     * Extracts an archive into a folder. On failure, the extracted files remain: the caller should remove the folder.
+     *
+     * @method extract
+     * @param filename {String} the full path of the archive
+     * @param folder {String} the folder into which the archive is extracted. It gets created when it doesn't exist.
+     * @param format {String} `zip`, `tar` or `tgz`, see `getFormat`
+     * @param [limits] {Object|Boolean} the limits, or `true` for the defaults
+     * @param [limits.maxEntries=1000] {Number} max amount of files and folders
+     * @param [limits.maxSize=1073741824] {Number} max amount of bytes of all extracted files
+     * @param [limits.maxRatio=100] {Number} max amount of extracted bytes per byte of the archive
+     * @return {Promise} resolves with an array of the extracted files, every file is an object with the properties
+     *                   `filename` (the full path), `name` (the path relative to the folder) and `size`
+     * @since 0.0.13
+    */
+    extract: function(filename, folder, format, limits) {
+        var context = {
+                folder: path.resolve(folder) + '/',
+                limits: getLimits(limits),
+                locations: {},
+                parents: {},
+                entries: 0,
+                size: 0,
+                archiveSize: 0,
+                files: []
+            },
+            tarFilename;
+        return fileUtils.createDir(context.folder).then(function() {
+            if (format==='zip') {
+                return extractZip(context, filename);
+            }
+            if (format==='tar') {
+                return fsp.stat(filename).then(function(stat) {
+                    context.archiveSize = stat.size;
+                    return extractTar(context, filename);
+                });
+            }
+            if (format!=='tgz') {
+                throw new Error('Unknown archive format: ' + format);
+            }
+            // the tar inside gets decompressed first, limited by the same size: the tar-headers need random access.
+            // It is written inside the folder, which the caller protects against the sweeper, under a name that no entry may take:
+            return Promise.all([fsp.stat(filename), fileUtils.getUniqueFilename(context.folder, 'tar')]).then(function(values) {
+                var stat = values[0],
+                    maxTarSize = Math.min(context.limits.maxSize, stat.size*context.limits.maxRatio) + (context.limits.maxEntries+2)*2*TAR_BLOCK;
+                tarFilename = values[1];
+                context.locations[tarFilename] = false;
+                return fileUtils.savePayload(tarFilename, fs.createReadStream(filename), {encoding: 'gzip', maxSize: maxTarSize}).then(function() {
+                    context.archiveSize = stat.size;
+                    return extractTar(context, tarFilename);
+                }, function(err) {
+                    if (err.code==='EMAXSIZE') {
+                        throw tooLarge('more than ' + maxTarSize + ' bytes when decompressed');
+                    }
+                    if (err.code==='EENCODING') {
+                        throw invalid(err.message);
+                    }
+                    throw err;
+                });
+            });
+        }).then(function() {
+            return context.files;
+        }).then(function(files) {
+            return tarFilename ? fileUtils.removeFile(tarFilename).then(function() {
+                return files;
+            }) : files;
+        }, function(err) {
+            return (tarFilename ? fileUtils.removeFile(tarFilename) : Promise.resolve()).then(function() {
+                throw err;
+            });
+        });
+    }
+};
+
+module.exports = archive;
@@ -0,0 +1,123 @@
+/**
+ * Checksum-helpers to verify the integrity of chunks and final files.
+ *
+ * Checksums are passed through the headers `x-chunk-checksum` and `x-file-checksum`, formatted as
+ * `<algorithm>=<hex digest>`, f.e. `sha256=9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08`.
+ * Supported algorithms are: `sha256`, `md5` and `crc32`.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule checksum
+ * @class Checksum
+*/
+
+'use strict';
+
+var crypto = require('crypto'),
+    ALGORITHMS = ['sha256', 'md5', 'crc32'],
+    CRC_TABLE, createCrc32, checksum;
+
+CRC_TABLE = (function() {
+    var table = [],
+        c, n, k;
+    for (n=0; n<256; n++) {
+        c = n;
+        for (k=0; k<8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+}());
+
+/**
+ * Creates a crc32-hash with the same api as crypto's Hash: `update(data)` and `digest('hex')`.
+ *
+ * @method createCrc32
+ * @return {Object} the hash
+ * @private
+ * @since 0.0.13
+*/
+createCrc32 = function() {
+    var crc = 0xFFFFFFFF;
+    return {
+        update: function(data) {
+            var len = data.length,
+                i;
+            for (i=0; i<len; i++) {
+                crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return this;
+        },
+        digest: function() {
+            return ('0000000' + ((crc ^ 0xFFFFFFFF) >>> 0).toString(16)).slice(-8);
+        }
+    };
+};
+
+checksum = {
+    /**
+     * Whether the algorithm is supported.
+     *
+     * @method isSupported
+     * @param algorithm {String} the name of the algorithm
+     * @return {Boolean}
+     * @since 0.0.13
+    */
+    isSupported: function(algorithm) {
+        return ALGORITHMS.indexOf(algorithm)!==-1;
+    },
+
+    /**
+     * Creates a hash, which can be updated with data multiple times.
+     *
+     * @method createHash
+     * @param algorithm {String} `sha256`, `md5` or `crc32`
+     * @return {Object} the hash, with the methods `update(data)` and `digest('hex')`
+     * @since 0.0.13
+    */
+    createHash: function(algorithm) {
+        return (algorithm==='crc32') ? createCrc32() : crypto.createHash(algorithm);
+    },
+
+    /**
+     * Calculates the hex-digest of data.
+     *
+     * @method compute
+     * @param algorithm {String} `sha256`, `md5` or `crc32`
+     * @param data {Buffer} the data
+     * @return {String} the hex-digest
+     * @since 0.0.13
+    */
+    compute: function(algorithm, data) {
+        return checksum.createHash(algorithm).update(data).digest('hex');
+    },
+
+    /**
+     * Parses a checksum-header.
+     *
+     * @method parseHeader
+     * @param [value] {String} the header-value, formatted as `<algorithm>=<hex digest>`
+     * @return {Object|null|false} object with the properties `algorithm` and `digest` (lowercased),
+     *                             `null` when there is no header, or `false` when the header is invalid or its algorithm unsupported
+     * @since 0.0.13
+    */
+    parseHeader: function(value) {
+        var match;
+        if (!value) {
+            return null;
+        }
+        match = /^\s*([a-z0-9]+)\s*=\s*([0-9a-f]+)\s*$/i.exec(value);
+        if (!match || !checksum.isSupported(match[1].toLowerCase())) {
+            return false;
+        }
+        return {
+            algorithm: match[1].toLowerCase(),
+            digest: match[2].toLowerCase()
+        };
+    }
+};
+
+module.exports = checksum;
@@ -0,0 +1,71 @@
+/**
+ * Signed clientIds, so that the server can verify that a clientId has been issued by itself.
+ *
+ * A clientId is formatted as `<namespace>-<random>.<expires>.<signature>`, where `expires` is a base36 timestamp
+ * (`0` means: no expiry) and `signature` is a HMAC-SHA256 of the rest of the id, together with an optional session-value.
+ * A clientId that is bound to a session can only be used within that same session.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule client-id
+ * @class ClientId
+*/
+
+'use strict';
+
+var crypto = require('crypto'),
+    SIGNATURE_LENGTH = 32, // hex characters: 128 bits
+    sign, clientId;
+
+sign = function(secret, payload, session) {
+    return crypto.createHmac('sha256', secret).update(payload + '\n' + (session || '')).digest('hex').substr(0, SIGNATURE_LENGTH);
+};
+
+clientId = {
+    /**
+     * Creates a new signed clientId.
+     *
+     * @method create
+     * @param secret {String} the secret to sign with
+     * @param namespace {String} the prefix of the clientId
+     * @param [ttl] {Number} time in ms that the clientId remains valid. When not set, it never expires.
+     * @param [session] {String} the session to bind the clientId to
+     * @return {String} the clientId
+     * @since 0.0.13
+    */
+    create: function(secret, namespace, ttl, session) {
+        var payload = namespace + '-' + crypto.randomBytes(12).toString('hex') + '.' + (ttl ? (Date.now()+ttl).toString(36) : '0');
+        return payload + '.' + sign(secret, payload, session);
+    },
+
+    /**
+     * Verifies a clientId: its signature should be valid (for the same session) and it should not be expired.
+     *
+     * @method verify
+     * @param secret {String} the secret that the clientId was signed with
+     * @param id {String} the clientId
+     * @param [session] {String} the session that the clientId should be bound to
+     * @return {Boolean} whether the clientId is valid
+     * @since 0.0.13
+    */
+    verify: function(secret, id, session) {
+        var dot = (typeof id==='string') ? id.lastIndexOf('.') : -1,
+            payload, signature, expected, expires;
+        if (dot===-1) {
+            return false;
+        }
+        payload = id.substr(0, dot);
+        signature = Buffer.from(id.substr(dot+1));
+        expected = Buffer.from(sign(secret, payload, session));
+        // compare in constant time, so the signature can't be guessed byte by byte:
+        if ((signature.length!==expected.length) || !crypto.timingSafeEqual(signature, expected)) {
+            return false;
+        }
+        expires = parseInt(payload.substr(payload.lastIndexOf('.')+1), 36);
+        return (expires===0) || (expires>Date.now());
+    }
+};
+
+module.exports = clientId;
@@ -0,0 +1,204 @@
+/**
+ * Storage-sink that moves completed uploads into a local folder.
+ *
+ * A storage-sink takes over the final file of an upload before the handler removes its temporarely files,
+ * so the callback gets invoked with the final location instead of a temporarely filename.
+ * Every sink has the same api:
+ *
+ * store(file) --> moves the file away from `file.filename`, resolves with an object that has at least the property `location`
+ *
+ * where `file` is an object with the properties:
+ *
+ * {
+ *     filename: {String}, // the full path of the temporarely file, which is removed after the callback
+ *     originalFilename: {String}, // the client's filename
+ *     fileType: {Object}, // the type, as detected by its signature bytes {mime, ext}, or null when unknown
+ *     checksum: {Object} // the checksum of the file {algorithm, digest}, only when it has been calculated
+ * }
+ *
+ * Custom sinks (f.e. for cloud storage) only need to implement `store`.
+ *
+ * The directory-sink never overwrites an existing file. Its naming strategies are:
+ *
+ * `original` --> the client's filename, with a suffix (`photo-1.jpg`) when it exists already
+ * `uuid` --> a random uuid, with the extension of the client's filename
+ * `date` --> the client's filename inside a folder of the current date: `2016/04/23/photo.jpg`, with a suffix when it exists already
+ * `hash` --> the sha256 of the content, with the extension of the client's filename. An identical file is stored only once.
+ * a function --> invoked with `file`, should return (or resolve with) a path relative to the folder, which gets a suffix when it exists already
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule directory-sink
+ * @class DirectorySink
+*/
+
+'use strict';
+
+var path = require('path'),
+    crypto = require('crypto'),
+    fileUtils = require('./file-utils'),
+    fileType = require('./file-type'),
+    MAX_SUFFIX = 1000,
+    DEF_NAME = 'file',
+    sanitize, getExtension, createUuid, NAMING, createDirectorySink;
+
+require('itsa-jsext');
+
+// the client's filename can't be trusted:
+sanitize = function(filename) {
+    return fileUtils.sanitizeFilename(filename) || DEF_NAME;
+};
+
+getExtension = function(file) {
+    var ext = fileType.getExtension(sanitize(file.originalFilename)) || (file.fileType && file.fileType.ext);
+    return ext ? '.'+ext : '';
+};
+
+createUuid = function() {
+    var hex = crypto.randomBytes(16).toString('hex');
+    // version 4, variant 10xx:
+    return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-4' + hex.substr(13, 3) + '-' +
+           (8 | (parseInt(hex[16], 16) & 3)).toString(16) + hex.substr(17, 3) + '-' + hex.substr(20, 12);
+};
+
+/**
+ * The naming strategies. Every strategy resolves with the name relative to the folder, and whether
+ * an existing file with that name means that the same content has been stored already.
+ *
+ * @property NAMING
+ * @type Object
+ * @private
+ * @since 0.0.13
+*/
+NAMING = {
+    original: function(file) {
+        return Promise.resolve({name: sanitize(file.originalFilename)});
+    },
+
+    uuid: function(file) {
+        return Promise.resolve({name: createUuid() + getExtension(file)});
+    },
+
+    date: function(file) {
+        return Promise.resolve({name: new Date().toISOString().substr(0, 10).replace(/-/g, '/') + '/' + sanitize(file.originalFilename)});
+    },
+
+    hash: function(file) {
+        var known = file.checksum && (file.checksum.algorithm==='sha256');
+        return (known ? Promise.resolve(file.checksum) : fileUtils.computeFileChecksum(file.filename, 'sha256')).then(function(checksum) {
+            return {name: checksum.digest + getExtension(file), identical: true};
+        });
+    }
+};
+
+/**
+ * Creates a new directory-sink.
+ *
+ * @method createDirectorySink
+ * @param options {Object|String} the options, or just the folder
+ * @param options.dir {String} the folder where the files should be stored
+ * @param [options.naming='original'] {String|Function} the naming strategy: `original`, `uuid`, `date`, `hash`, or a function
+ * @return {Object} the sink
+ * @throws {TypeError} when the naming strategy is unknown
+ * @since 0.0.13
+*/
+createDirectorySink = function(options) {
+    var DIR, getName, place, placeOnce;
+
+    (typeof options==='string') && (options={dir: options});
+    DIR = path.resolve(options.dir) + '/';
+
+    if (typeof options.naming==='function') {
+        getName = function(file) {
+            return Promise.resolve(options.naming(file)).then(function(name) {
+                return {name: name};
+            });
+        };
+    }
+    else {
+        getName = NAMING[options.naming || 'original'];
+        if (!getName) {
+            throw new TypeError('Unknown naming strategy: ' + options.naming);
+        }
+    }
+
+    // moves the file to `name`, or to `name-1`, `name-2` etc. when it exists already
+    place = function(file, name, suffix) {
+        var ext = path.extname(name),
+            location = DIR + (suffix ? name.substr(0, name.length-ext.length) + '-' + suffix + ext : name);
+        return fileUtils.moveFile(file.filename, location).then(function() {
+            return {location: location, duplicate: false};
+        }, function(err) {
+            if ((err.code!=='EEXIST') || (suffix>=MAX_SUFFIX)) {
+                throw err;
+            }
+            return place(file, name, suffix+1);
+        });
+    };
+
+    // moves the file to `name`, unless it exists already: then it has the same content
+    placeOnce = function(file, name) {
+        var location = DIR + name;
+        return fileUtils.moveFile(file.filename, location).then(function() {
+            return {location: location, duplicate: false};
+        }, function(err) {
+            if (err.code!=='EEXIST') {
+                throw err;
+            }
+            return fileUtils.removeFile(file.filename).then(function() {
+                return {location: location, duplicate: true};
+            });
+        });
+    };
+
+    return {
+        /**
+         * The folder where the files are stored. Always ends with a slash.
+         *
+         * @property dir
+         * @type String
+         * @since 0.0.13
+        */
+        dir: DIR,
+
+        /**
+         * Moves a file into the folder.
+         *
+         * @method store
+         * @param file {Object} the file, see the description of this module
+         * @return {Promise} resolves with an object with the properties `location` (the full path), `name` (the path relative
+         *                   to the folder) and `duplicate` (whether an identical file was stored already, only with naming `hash`)
+         * @since 0.0.13
+        */
+        store: function(file) {
+            return getName(file).then(function(naming) {
+                var location = path.resolve(DIR, naming.name);
+                // a custom name should not be able to escape the folder:
+                if (!location.itsa_startsWith(DIR)) {
+                    throw new Error('Invalid filename: ' + naming.name);
+                }
+                naming.name = location.substr(DIR.length);
+                return fileUtils.createDir(path.dirname(location)).then(function() {
+                    return naming.identical ? placeOnce(file, naming.name) : place(file, naming.name, 0);
+                }).then(function(stored) {
+                    stored.name = stored.location.substr(DIR.length);
+                    return stored;
+                });
+            });
+        }
+    };
+};
+
+/**
+ * The names of the naming strategies (next to a function).
+ *
+ * @property NAMINGS
+ * @type Array
+ * @static
+ * @since 0.0.13
+*/
+createDirectorySink.NAMINGS = NAMING.itsa_keys();
+
+module.exports = createDirectorySink;
@@ -0,0 +1,149 @@
+/**
+ * The errors that are responded to clients. Every error has a stable, machine-readable code
+ * and is responded with the same JSON-body: `{"status": "Error: max filesize exceeded", "code": "FILE_TOO_LARGE"}`,
+ * where `status` is a human-readable message, which may differ per situation.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule errors
+ * @class Errors
+*/
+
+'use strict';
+
+var CODES, errors;
+
+/**
+ * All error-codes, with their http statuscode and default message:
+ *
+ * `BAD_HEADER` (400) a header is missing or malformed, f.e. `x-partial`, `x-total-size`, `x-data` or a checksum-header
+ * `MALFORMED_FORM` (400) the multipart form-upload could not be parsed
+ * `MALFORMED_ENCODING` (400) the compressed chunk could not be decompressed: it can be resent
+ * `INVALID_CLIENT_ID` (401) the clientId is not issued by this server, is expired or belongs to another session
+ * `HOOK_REJECTED` (403) a lifecycle-hook refused the upload, without specifying its own code
+ * `UNKNOWN_TRANSMISSION` (404) the transmission (or tus-upload) doesn't exist (anymore)
+ * `METHOD_NOT_ALLOWED` (405) the http-method is not supported
+ * `OFFSET_MISMATCH` (409) the tus `Upload-Offset` doesn't match the recieved size
+ * `UPLOAD_LOCKED` (409) another PATCH-request of the tus-upload is still being written
+ * `TRANSMISSION_COMPLETING` (409) the transmission can't be canceled anymore: its final file is being build or processed
+ * `TRANSMISSION_CANCELED` (410) the transmission has been canceled
+ * `UNSUPPORTED_VERSION` (412) the tus-version is not supported
+ * `FILE_TOO_LARGE` (413) the file exceeds the max filesize
+ * `CHUNK_TOO_LARGE` (413) the chunk exceeds the max chunksize: it can be resent in smaller chunks
+ * `ARCHIVE_TOO_LARGE` (413) the uploaded archive has too many entries, or is too large (or too compressed) when extracted
+ * `FILE_TYPE_NOT_ALLOWED` (415) the type or extension of the file is not allowed
+ * `UNSUPPORTED_CONTENT_TYPE` (415) the Content-Type of the request is not supported
+ * `UNSUPPORTED_ENCODING` (415) the content-encoding of the chunk is not supported
+ * `CHUNK_CHECKSUM_MISMATCH` (422) the chunk is corrupted: it can be resent
+ * `FILE_CHECKSUM_MISMATCH` (422) the final file is corrupted: the whole file needs to be resent
+ * `INVALID_ARCHIVE` (422) the uploaded archive is corrupted, unsupported or has unsafe entries (absolute paths, `..` or links)
+ * `TOO_MANY_TRANSMISSIONS` (429) the client has too many unfinished transmissions
+ * `CLIENT_QUOTA_EXCEEDED` (429) the unfinished transmissions of the client hold too many bytes
+ * `RATE_LIMITED` (429) the client sends too many chunks per second
+ * `CHUNK_WRITE_FAILED` (500) the chunk could not be written
+ * `ASSEMBLY_FAILED` (500) the final file could not be build: the whole file needs to be resent
+ * `CALLBACK_FAILED` (500) the callback failed while processing the final file
+ * `STORAGE_FAILED` (500) the final file could not be moved into the storage
+ * `HOOK_FAILED` (500) a lifecycle-hook failed unexpectedly
+ * `INTERNAL_ERROR` (500) any other failure
+ * `INSUFFICIENT_STORAGE` (507) the temp-dir is full
+ *
+ * @property CODES
+ * @type Object
+ * @since 0.0.13
+*/
+CODES = {
+    BAD_HEADER: {statusCode: 400, message: 'Error: invalid header'},
+    MALFORMED_FORM: {statusCode: 400, message: 'Error: invalid multipart form'},
+    MALFORMED_ENCODING: {statusCode: 400, message: 'Error: chunk could not be decompressed'},
+    INVALID_CLIENT_ID: {statusCode: 401, message: 'Error: invalid clientId'},
+    HOOK_REJECTED: {statusCode: 403, message: 'Error: upload rejected'},
+    UNKNOWN_TRANSMISSION: {statusCode: 404, message: 'Error: unknown transmission'},
+    METHOD_NOT_ALLOWED: {statusCode: 405, message: 'Error: method not allowed'},
+    OFFSET_MISMATCH: {statusCode: 409, message: 'Error: Upload-Offset mismatch'},
+    UPLOAD_LOCKED: {statusCode: 409, message: 'Error: upload is being written by another request'},
+    TRANSMISSION_COMPLETING: {statusCode: 409, message: 'Error: transmission is being completed'},
+    TRANSMISSION_CANCELED: {statusCode: 410, message: 'Error: transmission canceled'},
+    UNSUPPORTED_VERSION: {statusCode: 412, message: 'Error: unsupported tus-version'},
+    FILE_TOO_LARGE: {statusCode: 413, message: 'Error: max filesize exceeded'},
+    CHUNK_TOO_LARGE: {statusCode: 413, message: 'Error: max chunksize exceeded'},
+    ARCHIVE_TOO_LARGE: {statusCode: 413, message: 'Error: archive too large'},
+    FILE_TYPE_NOT_ALLOWED: {statusCode: 415, message: 'Error: file type not allowed'},
+    UNSUPPORTED_CONTENT_TYPE: {statusCode: 415, message: 'Error: unsupported Content-Type'},
+    UNSUPPORTED_ENCODING: {statusCode: 415, message: 'Error: unsupported content-encoding'},
+    CHUNK_CHECKSUM_MISMATCH: {statusCode: 422, message: 'Error: chunk checksum mismatch'},
+    FILE_CHECKSUM_MISMATCH: {statusCode: 422, message: 'Error: file checksum mismatch'},
+    INVALID_ARCHIVE: {statusCode: 422, message: 'Error: invalid archive'},
+    TOO_MANY_TRANSMISSIONS: {statusCode: 429, message: 'Error: too many concurrent transmissions'},
+    CLIENT_QUOTA_EXCEEDED: {statusCode: 429, message: 'Error: client quota exceeded'},
+    RATE_LIMITED: {statusCode: 429, message: 'Error: too many chunks per second'},
+    CHUNK_WRITE_FAILED: {statusCode: 500, message: 'Error: chunk could not be written'},
+    ASSEMBLY_FAILED: {statusCode: 500, message: 'Error: file could not be build'},
+    CALLBACK_FAILED: {statusCode: 500, message: 'Error: file could not be processed'},
+    STORAGE_FAILED: {statusCode: 500, message: 'Error: file could not be stored'},
+    HOOK_FAILED: {statusCode: 500, message: 'Error: upload could not be processed'},
+    INTERNAL_ERROR: {statusCode: 500, message: 'Error: internal server error'},
+    INSUFFICIENT_STORAGE: {statusCode: 507, message: 'Error: insufficient storage'}
+};
+
+errors = {
+    CODES: CODES,
+
+    /**
+     * Returns the http statuscode of an error-code.
+     *
+     * @method getStatusCode
+     * @param code {String} the error-code
+     * @return {Number} the statuscode (500 for unknown codes)
+     * @since 0.0.13
+    */
+    getStatusCode: function(code) {
+        return (CODES[code] || CODES.INTERNAL_ERROR).statusCode;
+    },
+
+    /**
+     * Returns the response-body of an error.
+     *
+     * @method getBody
+     * @param code {String} the error-code
+     * @param [message] {String} a message that is more specific than the default message of the code
+     * @return {Object} object with the properties `status` (the message) and `code`
+     * @since 0.0.13
+    */
+    getBody: function(code, message) {
+        return {
+            status: message || (CODES[code] || CODES.INTERNAL_ERROR).message,
+            code: code
+        };
+    },
+
+    /**
+     * Creates a structured error, with which lifecycle-hooks can refuse an upload: the error is responded
+     * with its statuscode and the body `{status, code}`. Plain objects with the properties `statusCode`, `code`
+     * and `message` are accepted as well.
+     *
+     * @example
+     *     onTransmissionStart: function(info) {
+     *         if (!this.auth.isAuthenticated) {
+     *             throw errors.createError('NOT_AUTHORIZED', 'Error: login required', 401);
+     *         }
+     *     }
+     *
+     * @method createError
+     * @param code {String} the error-code: one of `CODES`, or a custom code
+     * @param [message] {String} the message. Defaults to the message of the code
+     * @param [statusCode] {Number} the http statuscode. Defaults to the statuscode of the code (400 for custom codes)
+     * @return {Error} the error, with the additional properties `code` and `statusCode`
+     * @since 0.0.13
+    */
+    createError: function(code, message, statusCode) {
+        var err = new Error(message || (CODES[code] ? CODES[code].message : 'Error: ' + code));
+        err.code = code;
+        err.statusCode = statusCode || (CODES[code] ? CODES[code].statusCode : 400);
+        return err;
+    }
+};
+
+module.exports = errors;
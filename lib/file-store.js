@@ -0,0 +1,268 @@
+/**
+ * Transmission-store that keeps all chunk-administration on the file-system.
+ *
+ * Its state survives restarts and can be shared by multiple processes (f.e. cluster-workers) that use the same folder.
+ * Every chunk, and every call of `setInfo`, gets its own record-file, so concurrent requests (also of other processes)
+ * never write to the same file. Claiming a transmission is done by exclusively creating a lock-file,
+ * so only one process will build the final file.
+ *
+ * The layout of the folder:
+ *
+ * <folder>/<hex clientId>/<hex transId>/chunk-<hex partialId>-<unique>.json --> {partialId, created, sequence, filename, size, ...}
+ * <folder>/<hex clientId>/<hex transId>/info-<unique>.json --> {created, sequence, count, filename, data, ...}
+ * <folder>/<hex clientId>/<hex transId>/claim --> exists when the final file is being build
+ *
+ * The info-records are merged in the order they were written (by `created`, and by `sequence` within a process).
+ * A resent chunk gets a new record: the last written record of a chunk is the one that counts.
+ * Records never change once written, so the store keeps the records it has read and only reads new ones.
+ *
+ * The api is the same as that of the memory-store.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule file-store
+ * @class FileStore
+*/
+
+'use strict';
+
+var fsp = require('fs-promise'),
+    INFO_PREFIX = 'info-',
+    CLAIM_FILE = 'claim',
+    CHUNK_PREFIX = 'chunk-',
+    JSON_EXT = '.json',
+    sequence = 0,
+    encode = function(id) {
+        return Buffer.from(String(id)).toString('hex');
+    },
+    decode = function(hex) {
+        return Buffer.from(hex, 'hex').toString();
+    },
+    ignoreMissing = function(err) {
+        if (err.code!=='ENOENT') {
+            throw err;
+        }
+    },
+    // unique within the folder, also for files that are written by other processes in the same millisecond
+    getUniqueName = function() {
+        return process.pid + '-' + Date.now() + '-' + (++sequence);
+    },
+    // the order in which records were written: by `created`, and by `sequence` within a process
+    compareRecords = function(record1, record2) {
+        return (record1.created-record2.created) || ((record1.sequence || 0)-(record2.sequence || 0));
+    },
+    createFileStore;
+
+require('itsa-jsext');
+require('fs-extra');
+
+/**
+ * Creates a new file-store.
+ *
+ * @method createFileStore
+ * @param folder {String} the folder where the administration should be stored. Must be the same for all processes that share the transmissions.
+ * @return {Object} the store
+ * @since 0.0.13
+*/
+createFileStore = function(folder) {
+    var RECORDS = {},
+        getDir, writeJSON, readJSON, read;
+
+    /**
+     * The parsed records of the transmissions that have been read, by their folder. A record-file never changes
+     * once it has been written, so every read only needs to parse the records that are new.
+     *
+     * @property RECORDS
+     * @type Object
+     * @private
+     * @since 0.0.13
+    */
+
+    folder.itsa_endsWith('/') || (folder=folder+'/');
+
+    getDir = function(clientId, transId) {
+        return folder + encode(clientId) + '/' + encode(transId) + '/';
+    };
+
+    // write to a temporarely file first, so other processes never read a half-written file:
+    writeJSON = function(filename, obj) {
+        var tmpFilename = filename + '.' + getUniqueName() + '.tmp';
+        return fsp.writeFile(tmpFilename, JSON.stringify(obj)).then(function() {
+            return fsp.rename(tmpFilename, filename);
+        });
+    };
+
+    readJSON = function(filename) {
+        return fsp.readFile(filename, 'utf8').then(JSON.parse);
+    };
+
+    read = function(clientId, transId) {
+        var dir = getDir(clientId, transId),
+            cached = RECORDS[dir] || {};
+        return fsp.readdir(dir).then(function(names) {
+            var transmission = {
+                    clientId: clientId,
+                    transId: transId,
+                    cummulatedSize: 0,
+                    chunks: {}
+                },
+                records = {},
+                chunks = {},
+                timestamps = [],
+                infos = [];
+            return Promise.all(names.map(function(name) {
+                if (name===CLAIM_FILE) {
+                    transmission.claimed = true;
+                }
+                else if ((name.itsa_startsWith(CHUNK_PREFIX) || name.itsa_startsWith(INFO_PREFIX)) && name.itsa_endsWith(JSON_EXT)) {
+                    if (cached[name]) {
+                        records[name] = cached[name];
+                        return;
+                    }
+                    return readJSON(dir+name).then(function(record) {
+                        records[name] = record;
+                    }, ignoreMissing);
+                }
+            })).then(function() {
+                RECORDS[dir] = records;
+                records.itsa_each(function(record, name) {
+                    var previous;
+                    timestamps.push(record.created);
+                    if (name.itsa_startsWith(INFO_PREFIX)) {
+                        infos.push(record);
+                        return;
+                    }
+                    // a resent chunk has a newer record than the one it replaced:
+                    previous = chunks[record.partialId];
+                    (!previous || (compareRecords(record, previous)>0)) && (chunks[record.partialId]=record);
+                });
+                chunks.itsa_each(function(record, partialId) {
+                    var chunk = Object.itsa_merge(record);
+                    delete chunk.partialId;
+                    delete chunk.created;
+                    delete chunk.sequence;
+                    transmission.chunks[partialId] = chunk;
+                    transmission.cummulatedSize += chunk.size;
+                });
+                infos.sort(compareRecords);
+                infos.forEach(function(record) {
+                    var info = Object.itsa_merge(record);
+                    delete info.created;
+                    delete info.sequence;
+                    transmission.itsa_merge(info, {force: true});
+                });
+                if (timestamps.length===0) {
+                    // the folder is created before its first record gets written:
+                    return fsp.stat(dir).then(function(stats) {
+                        transmission.created = transmission.modified = stats.mtime.getTime();
+                        return transmission;
+                    });
+                }
+                // a transmission is created with its first record, and modified with its last chunk (or info):
+                transmission.created = Math.min.apply(Math, timestamps);
+                transmission.modified = Math.max.apply(Math, timestamps);
+                return transmission;
+            });
+        }).catch(function(err) {
+            delete RECORDS[dir];
+            // an id that is too long for a folder-name (f.e. the uploadId of a tus-url) can't be stored either:
+            (err.code==='ENAMETOOLONG') || ignoreMissing(err);
+            return null;
+        });
+    };
+
+    return {
+        get: function(clientId, transId) {
+            return read(clientId, transId);
+        },
+
+        addChunk: function(clientId, transId, partialId, chunk) {
+            var dir = getDir(clientId, transId);
+            return fsp.mkdirs(dir).then(function() {
+                // a resent chunk gets a new record as well, so records never change:
+                return writeJSON(dir + CHUNK_PREFIX + encode(partialId) + '-' + getUniqueName() + JSON_EXT, {
+                    partialId: partialId,
+                    created: Date.now(),
+                    sequence: ++sequence
+                }.itsa_merge(chunk));
+            }).then(function() {
+                return read(clientId, transId);
+            });
+        },
+
+        setInfo: function(clientId, transId, info) {
+            var dir = getDir(clientId, transId);
+            return fsp.mkdirs(dir).then(function() {
+                // a new record instead of updating a shared info-file: concurrent calls would overwrite each other's changes
+                return writeJSON(dir + INFO_PREFIX + getUniqueName() + JSON_EXT, {
+                    created: Date.now(),
+                    sequence: ++sequence
+                }.itsa_merge(info));
+            }).then(function() {
+                return read(clientId, transId);
+            });
+        },
+
+        claim: function(clientId, transId) {
+            // flag `wx` fails when the file already exists: only one process can succeed
+            return fsp.writeFile(getDir(clientId, transId)+CLAIM_FILE, String(process.pid), {flag: 'wx'}).then(function() {
+                return true;
+            }, function(err) {
+                if ((err.code==='EEXIST') || (err.code==='ENOENT')) {
+                    return false;
+                }
+                throw err;
+            });
+        },
+
+        remove: function(clientId, transId) {
+            var dir = getDir(clientId, transId);
+            delete RECORDS[dir];
+            return fsp.remove(dir).then(function() {
+                // also remove the clientid-folder when there are no current transmissions
+                return fsp.rmdir(folder + encode(clientId) + '/').catch(function() {
+                    // not empty: other transmissions are still running
+                });
+            });
+        },
+
+        list: function(clientId) {
+            var clientDirs = (clientId===undefined) ? fsp.readdir(folder) : Promise.resolve([encode(clientId)]);
+            return clientDirs.then(function(clientDirs) {
+                return Promise.all(clientDirs.map(function(clientDir) {
+                    return fsp.readdir(folder+clientDir).then(function(transDirs) {
+                        return Promise.all(transDirs.map(function(transDir) {
+                            return read(decode(clientDir), decode(transDir));
+                        }));
+                    }, function(err) {
+                        ignoreMissing(err);
+                        return [];
+                    });
+                }));
+            }, function(err) {
+                ignoreMissing(err);
+                return [];
+            }).then(function(lists) {
+                var list = [],
+                    listed = {};
+                lists.forEach(function(transmissions) {
+                    transmissions.forEach(function(transmission) {
+                        if (transmission) {
+                            list.push(transmission);
+                            listed[getDir(transmission.clientId, transmission.transId)] = true;
+                        }
+                    });
+                });
+                // forget the records of transmissions that have been removed by other processes:
+                (clientId===undefined) && RECORDS.itsa_each(function(records, dir) {
+                    listed[dir] || (delete RECORDS[dir]);
+                });
+                return list;
+            });
+        }
+    };
+};
+
+module.exports = createFileStore;
@@ -0,0 +1,274 @@
+/**
+ * Detects the type of a file by its signature bytes ("magic numbers"), and checks it against allow-lists.
+ *
+ * Only the first `HEAD_SIZE` bytes of a file are needed, so the type of an upload is known as soon
+ * as its first chunk arrives. Files of which the type cannot be detected (f.e. plain text) are treated as
+ * `application/octet-stream`.
+ *
+ * Some signatures belong to containers, which hold many file types: office-documents (docx, xlsx, odt etc.) are zip-archives,
+ * and HEIC-images share the ISO-BMFF signature (`ftyp`) with mp4-video. The type of such a file is taken from its extension,
+ * as long as that extension belongs to the container.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule file-type
+ * @class FileType
+*/
+
+'use strict';
+
+var UNKNOWN_MIME = 'application/octet-stream',
+    ZIP_MEMBERS, ISO_BMFF_MEMBERS, SIGNATURES, matches, isMimeAllowed, getTypes, fileType;
+
+require('itsa-jsext');
+
+/**
+ * The file types that are zip-archives.
+ *
+ * @property ZIP_MEMBERS
+ * @type Array
+ * @private
+ * @since 0.0.13
+*/
+ZIP_MEMBERS = [
+    {mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', exts: ['docx']},
+    {mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', exts: ['xlsx']},
+    {mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', exts: ['pptx']},
+    {mime: 'application/vnd.oasis.opendocument.text', exts: ['odt']},
+    {mime: 'application/vnd.oasis.opendocument.spreadsheet', exts: ['ods']},
+    {mime: 'application/vnd.oasis.opendocument.presentation', exts: ['odp']},
+    {mime: 'application/epub+zip', exts: ['epub']},
+    {mime: 'application/java-archive', exts: ['jar']}
+];
+
+/**
+ * The file types that have the ISO base media file format (`ftyp`-box), besides mp4.
+ *
+ * @property ISO_BMFF_MEMBERS
+ * @type Array
+ * @private
+ * @since 0.0.13
+*/
+ISO_BMFF_MEMBERS = [
+    {mime: 'image/heic', exts: ['heic']},
+    {mime: 'image/heif', exts: ['heif']},
+    {mime: 'image/avif', exts: ['avif']},
+    {mime: 'audio/mp4', exts: ['m4a']},
+    {mime: 'video/quicktime', exts: ['mov']},
+    {mime: 'video/3gpp', exts: ['3gp']}
+];
+
+/**
+ * List of all detectable types. Every signature is a list of byte-sequences (strings or byte-arrays) at an offset,
+ * which all need to match. The first extension is the one that is used for the temporarely file.
+ * Containers list the types they can hold as `members`.
+ *
+ * @property SIGNATURES
+ * @type Array
+ * @private
+ * @since 0.0.13
+*/
+SIGNATURES = [
+    {mime: 'image/png', exts: ['png'], sig: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]]},
+    {mime: 'image/jpeg', exts: ['jpg', 'jpeg', 'jpe'], sig: [[0, [0xFF, 0xD8, 0xFF]]]},
+    {mime: 'image/gif', exts: ['gif'], sig: [[0, 'GIF87a']]},
+    {mime: 'image/gif', exts: ['gif'], sig: [[0, 'GIF89a']]},
+    {mime: 'image/webp', exts: ['webp'], sig: [[0, 'RIFF'], [8, 'WEBP']]},
+    {mime: 'image/bmp', exts: ['bmp'], sig: [[0, 'BM']]},
+    {mime: 'image/tiff', exts: ['tif', 'tiff'], sig: [[0, [0x49, 0x49, 0x2A, 0x00]]]},
+    {mime: 'image/tiff', exts: ['tif', 'tiff'], sig: [[0, [0x4D, 0x4D, 0x00, 0x2A]]]},
+    {mime: 'image/x-icon', exts: ['ico'], sig: [[0, [0x00, 0x00, 0x01, 0x00]]]},
+    {mime: 'application/pdf', exts: ['pdf'], sig: [[0, '%PDF-']]},
+    {mime: 'application/zip', exts: ['zip'], sig: [[0, [0x50, 0x4B, 0x03, 0x04]]], members: ZIP_MEMBERS},
+    {mime: 'application/zip', exts: ['zip'], sig: [[0, [0x50, 0x4B, 0x05, 0x06]]], members: ZIP_MEMBERS}, // empty archive
+    {mime: 'application/gzip', exts: ['gz', 'tgz'], sig: [[0, [0x1F, 0x8B]]]},
+    {mime: 'application/x-bzip2', exts: ['bz2'], sig: [[0, 'BZh']]},
+    {mime: 'application/x-7z-compressed', exts: ['7z'], sig: [[0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]]]},
+    {mime: 'application/x-rar-compressed', exts: ['rar'], sig: [[0, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07]]]},
+    {mime: 'application/x-tar', exts: ['tar'], sig: [[257, 'ustar']]},
+    {mime: 'audio/mpeg', exts: ['mp3'], sig: [[0, 'ID3']]},
+    {mime: 'audio/wav', exts: ['wav'], sig: [[0, 'RIFF'], [8, 'WAVE']]},
+    {mime: 'audio/ogg', exts: ['ogg', 'oga'], sig: [[0, 'OggS']]},
+    {mime: 'audio/flac', exts: ['flac'], sig: [[0, 'fLaC']]},
+    {mime: 'video/x-msvideo', exts: ['avi'], sig: [[0, 'RIFF'], [8, 'AVI ']]},
+    {mime: 'video/quicktime', exts: ['mov'], sig: [[4, 'ftypqt  ']]},
+    {mime: 'video/mp4', exts: ['mp4', 'm4v'], sig: [[4, 'ftyp']], members: ISO_BMFF_MEMBERS},
+    {mime: 'video/webm', exts: ['webm', 'mkv'], sig: [[0, [0x1A, 0x45, 0xDF, 0xA3]]]},
+    {mime: 'application/x-msdownload', exts: ['exe', 'dll'], sig: [[0, 'MZ']]},
+    {mime: 'application/x-executable', exts: ['elf'], sig: [[0, [0x7F, 0x45, 0x4C, 0x46]]]},
+    {mime: 'application/x-mach-binary', exts: ['macho'], sig: [[0, [0xFE, 0xED, 0xFA, 0xCE]]]},
+    {mime: 'application/x-mach-binary', exts: ['macho'], sig: [[0, [0xFE, 0xED, 0xFA, 0xCF]]]},
+    {mime: 'application/x-mach-binary', exts: ['macho'], sig: [[0, [0xCE, 0xFA, 0xED, 0xFE]]]},
+    {mime: 'application/x-mach-binary', exts: ['macho'], sig: [[0, [0xCF, 0xFA, 0xED, 0xFE]]]},
+    {mime: 'application/wasm', exts: ['wasm'], sig: [[0, [0x00, 0x61, 0x73, 0x6D]]]}
+];
+
+matches = function(head, offset, bytes) {
+    var len = bytes.length,
+        i, value;
+    if (head.length<offset+len) {
+        return false;
+    }
+    for (i=0; i<len; i++) {
+        value = (typeof bytes==='string') ? bytes.charCodeAt(i) : bytes[i];
+        if (head[offset+i]!==value) {
+            return false;
+        }
+    }
+    return true;
+};
+
+isMimeAllowed = function(mime, allowedTypes) {
+    return !allowedTypes || allowedTypes.some(function(allowed) {
+        allowed = allowed.toLowerCase();
+        return (allowed===mime) || (allowed.itsa_endsWith('/*') && mime.itsa_startsWith(allowed.substr(0, allowed.length-1)));
+    });
+};
+
+/**
+ * Returns the types that detected content can be: its own type, and the types a container can hold.
+ * When the filename is known, only the type that matches its extension remains (or else the detected type itself).
+ *
+ * @method getTypes
+ * @param detected {Object} the type, as returned by `detect`
+ * @param [filename] {String} the client's filename
+ * @return {Array} list of objects with the properties `mime` and `exts`
+ * @private
+ * @since 0.0.13
+*/
+getTypes = function(detected, filename) {
+    var types = [{mime: detected.mime, exts: [detected.ext]}],
+        ext, matching;
+    SIGNATURES.some(function(definition) {
+        if (definition.mime===detected.mime) {
+            types = [{mime: definition.mime, exts: definition.exts}].concat(definition.members || []);
+            return true;
+        }
+    });
+    if (!filename) {
+        return types;
+    }
+    ext = fileType.getExtension(filename);
+    matching = types.filter(function(type) {
+        return type.exts.indexOf(ext)!==-1;
+    });
+    return (matching.length>0) ? matching : [types[0]];
+};
+
+fileType = {
+    /**
+     * The amount of bytes at the start of a file that are needed to detect its type.
+     *
+     * @property HEAD_SIZE
+     * @type Number
+     * @since 0.0.13
+    */
+    HEAD_SIZE: 262,
+
+    /**
+     * Detects the type of a file.
+     *
+     * @method detect
+     * @param head {Buffer} the first bytes of the file (at least `HEAD_SIZE` bytes, when available)
+     * @return {Object|null} object with the properties `mime` and `ext`, or `null` when the type is unknown
+     * @since 0.0.13
+    */
+    detect: function(head) {
+        var detected = null;
+        SIGNATURES.some(function(definition) {
+            if (definition.sig.every(function(part) {
+                return matches(head, part[0], part[1]);
+            })) {
+                detected = {
+                    mime: definition.mime,
+                    ext: definition.exts[0]
+                };
+                return true;
+            }
+        });
+        return detected;
+    },
+
+    /**
+     * Returns the lowercased extension of a filename.
+     *
+     * @method getExtension
+     * @param filename {String} the filename
+     * @return {String} the extension without the dot, or an empty string when there is none
+     * @since 0.0.13
+    */
+    getExtension: function(filename) {
+        var dot = filename ? filename.lastIndexOf('.') : -1;
+        return (dot!==-1) ? filename.substr(dot+1).toLowerCase() : '';
+    },
+
+    /**
+     * Whether the extension of a filename is allowed.
+     *
+     * @method isExtensionAllowed
+     * @param filename {String} the client's filename
+     * @param [allowedExtensions] {Array} the allowed extensions (without the dot). When not set, every extension is allowed.
+     * @return {Boolean}
+     * @since 0.0.13
+    */
+    isExtensionAllowed: function(filename, allowedExtensions) {
+        var ext = fileType.getExtension(filename);
+        return !allowedExtensions || allowedExtensions.some(function(allowed) {
+            return allowed.replace(/^\./, '').toLowerCase()===ext;
+        });
+    },
+
+    /**
+     * Whether detected content is allowed.
+     *
+     * The mime-type should be inside `allowedTypes` (which may have wildcards like `image/*`); undetected content
+     * has the mime-type `application/octet-stream`. Detected content should also be of a type that matches `allowedExtensions`,
+     * so f.e. an executable that has been renamed to `.png` is rejected.
+     *
+     * A container is allowed when one of the types it can hold is allowed: f.e. a zip-archive with `allowedExtensions: ['docx']`.
+     * When `filename` is set, it must be that very type: a HEIC-image `photo.heic` is allowed with `allowedTypes: ['image/*']`,
+     * an mp4-video `movie.mp4` is not.
+     *
+     * @method isAllowed
+     * @param detected {Object|null} the type, as returned by `detect`
+     * @param [allowedTypes] {Array} the allowed mime-types
+     * @param [allowedExtensions] {Array} the allowed extensions (without the dot)
+     * @param [filename] {String} the client's filename, when it is known already
+     * @return {Boolean}
+     * @since 0.0.13
+    */
+    isAllowed: function(detected, allowedTypes, allowedExtensions, filename) {
+        if (!detected) {
+            return isMimeAllowed(UNKNOWN_MIME, allowedTypes);
+        }
+        return getTypes(detected, filename).some(function(type) {
+            return isMimeAllowed(type.mime, allowedTypes) && (!allowedExtensions || type.exts.some(function(ext) {
+                return fileType.isExtensionAllowed('.'+ext, allowedExtensions);
+            }));
+        });
+    },
+
+    /**
+     * Returns the type of a file, by its detected type and its filename: the extension of the filename is kept
+     * when it belongs to the detected type, f.e. `.jpeg` for a jpeg-image, or `.docx` for a zip-archive.
+     *
+     * @method resolve
+     * @param detected {Object|null} the type, as returned by `detect`
+     * @param [filename] {String} the client's filename
+     * @return {Object|null} object with the properties `mime` and `ext`, or `null` when the type is unknown
+     * @since 0.0.13
+    */
+    resolve: function(detected, filename) {
+        var ext = fileType.getExtension(filename),
+            type;
+        if (!detected || !ext) {
+            return detected;
+        }
+        type = getTypes(detected, filename)[0];
+        return (type.exts.indexOf(ext)!==-1) ? {mime: type.mime, ext: ext} : detected;
+    }
+};
+
+module.exports = fileType;
@@ -17,15 +17,79 @@
 "use strict";
 
 var fs = require('fs'),
+    path = require('path'),
+    crypto = require('crypto'),
+    stream = require('stream'),
+    zlib = require('zlib'),
+    checksum = require('./checksum'),
+    fileType = require('./file-type'),
     fsp = require('fs-promise'),
     utils = require('itsa-utils'),
     idGenerator = utils.idGenerator,
     TMP_FILE = 'tmp-file',
-    fileUtils;
+    MAX_FILENAME_LENGTH = 200,
+    // the content-encodings that can be decompressed (brotli only with nodejs 11.7+):
+    DECODERS = {
+        identity: null,
+        gzip: zlib.createGunzip,
+        'x-gzip': zlib.createGunzip,
+        deflate: zlib.createInflate,
+        br: zlib.createBrotliDecompress
+    },
+    promisify, getUsage, fileUtils;
 
 require('itsa-jsext');
 require('fs-extra');
-require('itsa-writestream-promise'); // extends fs.WriteStream with .endPromise
+
+/**
+ * Invokes a node-style async function and returns a Promise for its (first) result.
+ *
+ * @method promisify
+ * @param fn {Function} the function, with a callback as its last argument
+ * @param args* {Any} the arguments to pass through
+ * @return {Promise}
+ * @private
+ * @since 0.0.13
+*/
+promisify = function(fn) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    return new Promise(function(fulfill, reject) {
+        args.push(function(err, result) {
+            err ? reject(err) : fulfill(result);
+        });
+        fn.apply(fs, args);
+    });
+};
+
+/**
+ * Returns the size and the last modification of a file, or of a folder including all its content.
+ *
+ * @method getUsage
+ * @param filename {String} the full absolute filename or folder (without a trailing slash)
+ * @return {Promise} resolves with an object with the properties `size`, `mtime` (timestamp) and `directory` (boolean)
+ * @private
+ * @since 0.0.13
+*/
+getUsage = function(filename) {
+    return fsp.stat(filename).then(function(stat) {
+        var usage = {size: 0, mtime: stat.mtime.getTime(), directory: stat.isDirectory()};
+        if (!usage.directory) {
+            usage.size = stat.size;
+            return usage;
+        }
+        return fsp.readdir(filename).then(function(names) {
+            return Promise.all(names.map(function(name) {
+                return getUsage(filename+'/'+name);
+            }));
+        }).then(function(usages) {
+            usages.forEach(function(item) {
+                usage.size += item.size;
+                usage.mtime = Math.max(usage.mtime, item.mtime);
+            });
+            return usage;
+        });
+    });
+};
 
 fileUtils = {
     /**
@@ -37,7 +101,8 @@ fileUtils = {
      * @since 0.0.1
     */
     getUniqueFilename: function(folder, extention) {
-        var tmpFilename = idGenerator(TMP_FILE)+'-'+Date.now(),
+        // the process-id makes the filename unique when multiple processes share the same folder:
+        var tmpFilename = idGenerator(TMP_FILE)+'-'+process.pid+'-'+Date.now(),
             nameReserved;
         extention && (extention="."+extention);
         nameReserved = function(filename, i) {
@@ -49,6 +114,53 @@ fileUtils = {
         return nameReserved(folder + tmpFilename, 0);
     },
 
+    /**
+     * Makes a client's filename safe to use: only its last path segment remains, without control characters,
+     * characters that are invalid on some file-systems, and leading dots. Too long names are shortened at their start,
+     * so their extension remains.
+     *
+     * @method sanitizeFilename
+     * @param filename {String} the client's filename
+     * @return {String} the safe filename, or an empty string when nothing remains
+     * @since 0.0.13
+    */
+    sanitizeFilename: function(filename) {
+        var name = path.basename(String(filename || '').replace(/\\/g, '/'))
+                .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '')
+                .replace(/^[.\s]+/, '')
+                .trim();
+        return name.substr(Math.max(0, name.length-MAX_FILENAME_LENGTH));
+    },
+
+    /**
+     * Lists all temporarely files (as created by `getUniqueFilename`) inside the specified folder.
+     * Temporarely folders (f.e. of extracted archives) are listed as well, with the size of all their content
+     * and the last modification of anything inside.
+     *
+     * @method listTmpFiles
+     * @param folder {String} the folder to scan, should end with a slash
+     * @return {Promise} resolves with an array of objects with the properties `filename` (full path, folders end with a slash),
+     *                   `mtime` (timestamp), `size` and `directory` (boolean)
+     * @since 0.0.13
+    */
+    listTmpFiles: function(folder) {
+        return fsp.readdir(folder).then(function(names) {
+            return Promise.all(names.filter(function(name) {
+                return name.itsa_startsWith(TMP_FILE+'-');
+            }).map(function(name) {
+                return getUsage(folder+name).then(function(usage) {
+                    usage.filename = folder + name + (usage.directory ? '/' : '');
+                    return usage;
+                }, function() {
+                    // removed in the meantime
+                    return false;
+                });
+            }));
+        }).then(function(files) {
+            return files.filter(Boolean);
+        });
+    },
+
     /**
      * Creates a folder (if it should not exists)
      *
@@ -82,45 +194,448 @@ fileUtils = {
         });
     },
 
+    /**
+     * Removes a folder, including its content (if exists)
+     *
+     * @method removeDir
+     * @param folder {String} the full absolute path of the folder that should be removed
+     * @return {Promise} resolved when ready
+     * @since 0.0.13
+    */
+    removeDir: function(folder) {
+        return fsp.remove(folder);
+    },
+
+    /**
+     * Moves a file, but never overwrites an existing file: the Promise gets rejected with an error with `code` 'EEXIST'
+     * when `target` exists already. The file only shows up at `target` when it is complete,
+     * also when it is moved to another file-system (in which case it is copied next to `target` first).
+     *
+     * @method moveFile
+     * @param source {String} the full absolute filename of the file to move
+     * @param target {String} the full absolute filename to move to. Its folder must exist.
+     * @return {Promise} resolved when ready
+     * @since 0.0.13
+    */
+    moveFile: function(source, target) {
+        // a hard link fails when the target exists, whereas a rename would overwrite it:
+        return promisify(fs.link, source, target).catch(function(err) {
+            var tmpTarget;
+            if (err.code!=='EXDEV') {
+                throw err;
+            }
+            tmpTarget = path.dirname(target) + '/.' + TMP_FILE + '-' + crypto.randomBytes(8).toString('hex');
+            return promisify(fs.copyFile, source, tmpTarget).then(function() {
+                return promisify(fs.link, tmpTarget, target);
+            }).then(function() {
+                return fileUtils.removeFile(tmpTarget);
+            }, function(err) {
+                return fileUtils.removeFile(tmpTarget).then(function() {
+                    throw err;
+                });
+            });
+        }).then(function() {
+            return fileUtils.removeFile(source);
+        });
+    },
+
+    /**
+     * Reads a readable stream completely into memory.
+     *
+     * @method readStream
+     * @param stream {Stream} the readable stream
+     * @return {Promise} resolves with a Buffer holding all data of the stream
+     * @since 0.0.13
+    */
+    readStream: function(stream) {
+        return new Promise(function(fulfill, reject) {
+            var buffers = [];
+            stream.on('data', function(data) {
+                buffers.push(data);
+            });
+            stream.on('end', function() {
+                fulfill(Buffer.concat(buffers));
+            });
+            stream.on('error', reject);
+        });
+    },
+
+    /**
+     * Waits until a writable stream has flushed all its data and has been closed.
+     *
+     * @method endStream
+     * @param wstream {Stream} the writable stream
+     * @return {Promise} resolved when the data is on disk
+     * @since 0.0.13
+    */
+    endStream: function(wstream) {
+        return new Promise(function(fulfill, reject) {
+            wstream.on('error', reject);
+            wstream.on('close', fulfill);
+            wstream.end();
+        });
+    },
+
+    /**
+     * Pipes a file into a writable stream, without ending the writable stream.
+     * Backpressure is honoured, so only a small part of the file is in memory at once.
+     *
+     * @method appendFile
+     * @param filename {String} the full absolute filename of the file that should be appended
+     * @param wstream {Stream} the writable stream
+     * @param [hash] {Object} hash (as created by `checksum.createHash`) that gets updated with the data
+     * @return {Promise} resolved when all data of the file has been passed to the writable stream
+     * @since 0.0.13
+    */
+    appendFile: function(filename, wstream, hash) {
+        return new Promise(function(fulfill, reject) {
+            var rstream = fs.createReadStream(filename);
+            rstream.on('error', reject);
+            rstream.on('end', fulfill);
+            hash && rstream.on('data', function(data) {
+                hash.update(data);
+            });
+            rstream.pipe(wstream, {end: false});
+        });
+    },
+
+    /**
+     * Reads the first bytes of a file.
+     *
+     * @method readHead
+     * @param filename {String} the full absolute filename
+     * @param size {Number} the amount of bytes to read
+     * @return {Promise} resolves with a Buffer, which is smaller than `size` when the file is smaller
+     * @since 0.0.13
+    */
+    readHead: function(filename, size) {
+        return fileUtils.readStream(fs.createReadStream(filename, {start: 0, end: size-1}));
+    },
+
+    /**
+     * Calculates the checksum of a file, without reading the whole file into memory.
+     *
+     * @method computeFileChecksum
+     * @param filename {String} the full absolute filename
+     * @param algorithm {String} `sha256`, `md5` or `crc32`
+     * @return {Promise} resolves with an object {algorithm, digest}
+     * @since 0.0.13
+    */
+    computeFileChecksum: function(filename, algorithm) {
+        return new Promise(function(fulfill, reject) {
+            var rstream = fs.createReadStream(filename),
+                hash = checksum.createHash(algorithm);
+            rstream.on('error', reject);
+            rstream.on('data', function(data) {
+                hash.update(data);
+            });
+            rstream.on('end', function() {
+                fulfill({algorithm: algorithm, digest: hash.digest('hex')});
+            });
+        });
+    },
+
+    /**
+     * Returns the filename of the target file of a transmission that is assembled by offset.
+     * The name is derived from the clientId and transId, so all processes that share the folder
+     * write into the same file.
+     *
+     * @method getTargetFilename
+     * @param folder {String} the folder where the file should reside
+     * @param clientId {String} the clientId
+     * @param transId {String} the transmission-id
+     * @return {String} the full absolute filename
+     * @since 0.0.13
+    */
+    getTargetFilename: function(folder, clientId, transId) {
+        var hash = crypto.createHash('sha1').update(clientId + '\n' + transId).digest('hex');
+        return folder + TMP_FILE + '-target-' + hash;
+    },
+
+    /**
+     * Opens the target file of a transmission that is assembled by offset. The file gets created when it doesn't exist yet,
+     * in which case it is preallocated with `size` bytes.
+     * Multiple processes may write different parts of the same file at the same time.
+     *
+     * @method openTarget
+     * @param filename {String} the full absolute filename
+     * @param [size] {Number} the size to preallocate when the file gets created
+     * @return {Promise} resolves with the file-descriptor, opened for writing at any position
+     * @since 0.0.13
+    */
+    openTarget: function(filename, size) {
+        var open = function(flags) {
+            return promisify(fs.open, filename, flags);
+        };
+        // flag `r+` writes at the position, whereas flag `a` would always append:
+        return open('r+').catch(function(err) {
+            if (err.code!=='ENOENT') {
+                throw err;
+            }
+            return open('wx').then(function(fd) {
+                return size ? promisify(fs.ftruncate, fd, size).then(function() {
+                    return fd;
+                }) : fd;
+            }, function(err) {
+                // created by another process in the meantime
+                if (err.code!=='EEXIST') {
+                    throw err;
+                }
+                return open('r+');
+            });
+        });
+    },
+
+    /**
+     * Whether a content-encoding can be decompressed by `savePayload`. Only a single encoding is supported:
+     * `gzip`, `deflate`, `br` or `identity` (case-insensitive).
+     *
+     * @method isEncodingSupported
+     * @param [encoding] {String} the content-encoding
+     * @return {Boolean}
+     * @since 0.0.13
+    */
+    isEncodingSupported: function(encoding) {
+        var key = encoding && encoding.trim().toLowerCase();
+        return !encoding || (DECODERS.hasOwnProperty(key) && (DECODERS[key]!==undefined));
+    },
+
+    /**
+     * Discards a payload that is not going to be written, so the request can end and its response can be delivered.
+     * A Buffer needs nothing to be done.
+     *
+     * @method discardPayload
+     * @param payload {Buffer|Stream} the data
+     * @since 0.0.13
+    */
+    discardPayload: function(payload) {
+        payload && (typeof payload.resume==='function') && payload.resume();
+    },
+
+    /**
+     * Writes a payload to a file, while counting its bytes. The payload can be a Buffer or a readable stream
+     * (f.e. the request itself), in which case it is piped with backpressure: it is never completely in memory.
+     *
+     * As soon as more than `options.maxSize` bytes have passed, writing is aborted and the Promise gets rejected
+     * with an error with `code` 'EMAXSIZE'. The remaining data of the stream is discarded.
+     *
+     * With `options.encoding`, the payload is decompressed while it is written: the limits, the checksum and the inspection
+     * apply to the decompressed bytes, so a compression bomb is aborted as soon as it exceeds `options.maxSize`.
+     * Data that can't be decompressed rejects the Promise with an error with `code` 'EENCODING'.
+     *
+     * @method savePayload
+     * @param filename {String} the full absolute filename
+     * @param payload {Buffer|Stream} the data
+     * @param [options] {Object}
+     * @param [options.position] {Number} when set, the data is written into the file at this byte-offset (see `openTarget`),
+     *                                    otherwise a new file is created
+     * @param [options.size] {Number} the size to preallocate, when writing at a position into a file that doesn't exist yet
+     * @param [options.maxSize] {Number} the max amount of bytes to accept
+     * @param [options.algorithm] {String} when set, the checksum of the data is calculated with this algorithm
+     * @param [options.inspect] {Function} invoked with the first `options.inspectSize` bytes of the data (or less, when the data is smaller),
+     *                                     as soon as they have arrived. When it returns an error, writing is aborted and the Promise
+     *                                     gets rejected with that error.
+     * @param [options.inspectSize] {Number} the amount of bytes to pass to `options.inspect`
+     * @param [options.encoding] {String} the content-encoding of the payload, see `isEncodingSupported`
+     * @return {Promise} resolves with an object with the properties `size` (of the decompressed data)
+     *                   and `digest` (only when `options.algorithm` is set)
+     * @since 0.0.13
+    */
+    savePayload: function(filename, payload, options) {
+        var input, source, createDecoder;
+        options || (options={});
+        if (Buffer.isBuffer(payload)) {
+            input = new stream.PassThrough();
+            input.end(payload);
+        }
+        else {
+            input = payload;
+        }
+        createDecoder = options.encoding && DECODERS[options.encoding.trim().toLowerCase()];
+        source = createDecoder ? input.pipe(createDecoder()) : input;
+        return ((options.position===undefined) ? Promise.resolve(null) : fileUtils.openTarget(filename, options.size)).then(function(fd) {
+            return new Promise(function(fulfill, reject) {
+                var wstream = (fd===null) ? fs.createWriteStream(filename) : fs.createWriteStream(filename, {fd: fd, start: options.position}),
+                    hash = options.algorithm && checksum.createHash(options.algorithm),
+                    size = 0,
+                    failed = false,
+                    head = [],
+                    inspected = !options.inspect,
+                    fail, decodeError, inspectHead, countData;
+
+                fail = function(err) {
+                    if (!failed) {
+                        failed = true;
+                        source.unpipe(wstream);
+                        source.removeListener('data', countData);
+                        if (source!==input) {
+                            // stop decompressing: the rest of the input is not needed anymore
+                            input.unpipe(source);
+                            source.destroy();
+                        }
+                        // discard the rest, so the response can still be delivered:
+                        input.resume();
+                        wstream.destroy();
+                        reject(err);
+                    }
+                };
+
+                decodeError = function(err) {
+                    var error = new Error('invalid ' + options.encoding + '-data: ' + err.message);
+                    error.code = 'EENCODING';
+                    fail(error);
+                };
+
+                inspectHead = function() {
+                    var err;
+                    if (!inspected) {
+                        inspected = true;
+                        err = options.inspect(Buffer.concat(head).slice(0, options.inspectSize));
+                        err && fail(err);
+                    }
+                };
+
+                countData = function(data) {
+                    var err;
+                    size += data.length;
+                    if ((options.maxSize!==undefined) && (size>options.maxSize)) {
+                        err = new Error('max filesize exceeded');
+                        err.code = 'EMAXSIZE';
+                        fail(err);
+                        return;
+                    }
+                    hash && hash.update(data);
+                    if (!inspected) {
+                        head.push(data);
+                        (size>=options.inspectSize) && inspectHead();
+                    }
+                };
+
+                source.on('data', countData);
+                source.on('end', inspectHead);
+                if (source!==input) {
+                    input.on('error', fail);
+                    source.on('error', decodeError);
+                }
+                else {
+                    source.on('error', fail);
+                }
+                wstream.on('error', fail);
+                wstream.on('close', function() {
+                    var result = {size: size};
+                    if (!failed) {
+                        hash && (result.digest=hash.digest('hex'));
+                        fulfill(result);
+                    }
+                });
+                source.pipe(wstream);
+            });
+        });
+    },
+
+    /**
+     * Moves the content of a file into a target file at a byte-offset (see `openTarget`), after which the file is removed.
+     * Used to write a chunk into the target file only after it has been checked completely.
+     *
+     * @method moveToOffset
+     * @param filename {String} the full absolute filename of the file with the data
+     * @param target {String} the full absolute filename of the target file
+     * @param position {Number} the byte-offset within the target file
+     * @param [size] {Number} the size to preallocate, when the target file doesn't exist yet
+     * @return {Promise} resolved when ready
+     * @since 0.0.13
+    */
+    moveToOffset: function(filename, target, position, size) {
+        return fileUtils.savePayload(target, fs.createReadStream(filename), {position: position, size: size}).then(function() {
+            return fileUtils.removeFile(filename);
+        });
+    },
+
     /**
      * Builds an unique file, out of the separate chunks of the specified transmission.
      * Removes the intermediate chunks. The final file will be created in the directory specified with `folder`
      *
+     * The chunk-files are piped into the final file one after another, so memory usage stays constant,
+     * regardless of the filesize. When the chunks have been written into a target file by their offset
+     * (see `savePayload`), there is nothing to concatenate: the target file is truncated to its actual size and renamed.
+     *
      * @method getFinalFile
      * @param folder {String} the folder where the file should be created
-     * @param transmission {Object} the transmision-object that holds all chunk-definitions
-     * @return {String} unique filename of the new created composed file
+     * @param transmission {Object} the transmision-object that holds all chunk-definitions (as returned by a transmission-store)
+     * @param [checksumAlgorithm] {String} when set, the checksum of the final file is calculated with this algorithm
+     * @return {Promise} resolves with an object with the properties `originalFilename`, `tmpBuildFilename`,
+     *                   `fileType` ({mime, ext} or null when unknown) and `checksum` ({algorithm, digest}, only when `checksumAlgorithm` is set)
      * @since 0.0.1
     */
-    getFinalFile: function(folder, transmission) {
+    getFinalFile: function(folder, transmission, checksumAlgorithm) {
         var dot = transmission.filename.lastIndexOf("."),
-            extention = (dot!==-1) ? transmission.filename.substr(dot+1) : null;
+            extention = (dot!==-1) ? transmission.filename.substr(dot+1) : null,
+            byOffset = (transmission.chunks['1'].offset!==undefined),
+            detected;
+        // the sniffed type (see `file-type`) is registered with the first chunk: it is more reliable than the client's filename
+        transmission.chunks.itsa_each(function(chunk) {
+            (chunk.fileType!==undefined) && (detected=chunk.fileType);
+        });
+        // the client's extension is kept when it belongs to the sniffed type, f.e. `.docx` for a zip-archive:
+        detected = fileType.resolve(detected, transmission.filename);
+        detected && (extention=detected.ext);
         return fileUtils.getUniqueFilename(folder, extention).then(function(tmpBuildFilename) {
-            var partCount = transmission.count,
-                wstream = fs.createWriteStream(tmpBuildFilename),
-                appendFileData;
+            var filedata = {
+                    originalFilename: transmission.filename,
+                    tmpBuildFilename: tmpBuildFilename,
+                    fileType: detected || null
+                },
+                partCount = transmission.count,
+                wstream, hash, appendFileData, removeChunks, size;
+
+            if (byOffset) {
+                // the target file may have been preallocated larger than the data that was actually sent:
+                size = 0;
+                transmission.chunks.itsa_each(function(chunk) {
+                    size = Math.max(size, chunk.offset+chunk.size);
+                });
+                return promisify(fs.truncate, transmission.chunks['1'].filename, size).then(function() {
+                    return fsp.rename(transmission.chunks['1'].filename, tmpBuildFilename);
+                }).then(function() {
+                    return checksumAlgorithm && fileUtils.computeFileChecksum(tmpBuildFilename, checksumAlgorithm);
+                }).then(function(fileChecksum) {
+                    fileChecksum && (filedata.checksum=fileChecksum);
+                    return filedata;
+                });
+            }
+
+            wstream = fs.createWriteStream(tmpBuildFilename);
+            hash = checksumAlgorithm && checksum.createHash(checksumAlgorithm);
 
             appendFileData = function(part) {
-                return fsp.readFile(transmission[part]).then(function(data) {
-                    // TODO: wait for asynchronious finishing writing
-                    wstream.write(data);
-                    if (part===partCount) {
-                        return wstream.itsa_endPromise().itsa_finally(function() {
-                            // remove all temporarely files
-                            transmission.itsa_each(function(filename, key) {
-                                key.itsa_isValidNumber() && fileUtils.removeFile(filename);
-                            });
-                        });
-                    }
+                if (part>partCount) {
+                    return fileUtils.endStream(wstream);
+                }
+                return fileUtils.appendFile(transmission.chunks[part].filename, wstream, hash).then(function() {
                     return appendFileData(part+1);
                 });
             };
 
-            return appendFileData(1).then(function() {
-                return {
-                    originalFilename: transmission.filename,
-                    tmpBuildFilename: tmpBuildFilename
-                };
+            removeChunks = function() {
+                var filenames = [];
+                transmission.chunks.itsa_each(function(chunk) {
+                    filenames.push(chunk.filename);
+                });
+                return Promise.all(filenames.map(fileUtils.removeFile));
+            };
+
+            return new Promise(function(fulfill, reject) {
+                wstream.on('error', reject);
+                appendFileData(1).then(fulfill, reject);
+            }).then(removeChunks, function(err) {
+                // don't leave a half-build file behind: the chunks remain, so that a retry is possible
+                wstream.destroy();
+                return fileUtils.removeFile(tmpBuildFilename).then(function() {
+                    throw err;
+                });
+            }).then(function() {
+                hash && (filedata.checksum={algorithm: checksumAlgorithm, digest: hash.digest('hex')});
+                return filedata;
             });
         });
     }
@@ -0,0 +1,726 @@
+/**
+ * Builds the public handler-functions on top of the transmission-engine.
+ *
+ * Every framework-adapter only needs to describe how to read from its request
+ * and how to write to its response (a so called `driver`). All processing is done by the engine,
+ * and the flow around the callback (waiting for it, cleaning up afterwards) is done here.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule handler-factory
+ * @class HandlerFactory
+*/
+
+'use strict';
+
+var createEngine = require('./transmission-engine'),
+    createTusProtocol = require('./tus-protocol'),
+    errors = require('./errors'),
+    handlerOptions = require('./options'),
+    createHandlers;
+
+require('itsa-jsext');
+
+/**
+ * Creates the `getFns`-function of a framework-adapter.
+ *
+ * The driver needs to have these methods:
+ *
+ * getHeaders(request) --> returns the (lowercased) request-headers
+ * getMethod(request) --> returns the http-method
+ * getPath(request) --> returns the path of the url (without querystring)
+ * getPayload(request) --> returns the chunk-data as a Buffer, or as a readable stream which is piped to disk without buffering
+ * getPayloadEncoding(request) --> returns the content-encoding of the chunk-data as returned by `getPayload`,
+ *                                 or undefined when it isn't compressed (anymore)
+ * getFormSource(request) --> returns the multipart readable stream
+ * getQuery(request) --> returns the parsed querystring
+ * send(request, response, result) --> sends the plain result-object of the engine. Its body may be a readable stream,
+ *                                     which should be destroyed when the client disconnects
+ * isReplied(request, response) --> whether a response has been sent already
+ *
+ * @method createHandlers
+ * @param driver {Object} the framework-specific driver
+ * @return {Function} the `getFns`-function of the adapter
+ * @since 0.0.13
+*/
+createHandlers = function(driver) {
+    var rejectResult, setParams, decodeHeader;
+
+    setParams = function(request, params) {
+        // define any params and make them available at request.params:
+        request.params || (request.params={});
+        Object.itsa_isObject(params) && request.params.itsa_merge(params);
+    };
+
+    // headers can only hold latin1-characters, so clients URI-encode the values of `x-filename` and `x-data`.
+    // A value that isn't URI-encoded is kept as it is.
+    decodeHeader = function(value) {
+        try {
+            return value && decodeURIComponent(value);
+        }
+        catch (err) {
+            return value;
+        }
+    };
+
+    rejectResult = function(request, response, result) {
+        driver.send(request, response, result);
+        return Promise.reject(result.body && result.body.status);
+    };
+
+    /**
+     * The modules.export-function of every adapter, which returns an object with the properties:
+     * `generateClientId`, `responseOptions`, `recieveFormFiles`, `transmissionStatus`, `cancelTransmission`, `transmissionProgress`, `tus`
+     * and `recieveFile`, which are all functions, and the EventEmitter `events`.
+     *
+     * `generateClientId` generates an unique clientId, which clients should use to identify themselves during fileuploads.
+     *
+     * `recieveFile` should be invoked for every filechunk that is send to the server.
+     *
+     * Both methods expect the client to follow specific rules, as specified by http://itsa.io/docs/io/index.html#io-filetransfer
+     * Therefore, this module is best used together with the ITSA-framework (http://itsa.io)
+     *
+     * All options can be passed as one object: `getFns({tempDir: '/tmp/uploads/', maxFileSize: 10*1024*1024, store: 'file'})`.
+     * The positional arguments `tempdir`, `maxFileSize`, `accessControlAllowOrigin` and `nsClientId` are still supported,
+     * in which case the other options are the 5th argument. Unknown or invalid options throw a TypeError.
+     *
+     * @method getFns
+     * @param [tempdir] {String|Object} the folder where the temporarely-file should be created, or all options. If not specified,
+     *                           then nodejs its temp environment's variable will be used
+     * @param [maxFileSize] {Number} the max upload filesize to be accepted. Can be overrules per route (when specifying `recieveFile`).
+     *                               if not specified, then a value of 100Mb is used
+     * @param [accessControlAllowOrigin] {String|Boolean} value of the 'access-control-allow-origin' header, `true` means '*'
+     * @param [nsClientId] {String} the namespace that is used as prefix for every unique generated clientId (generated by `generateClientId`).
+     *                              if not specified, then `ITSA_CL_ID` is used.
+     * @param [options] {Object} additional options, or all options when passed as first argument
+     * @param [options.tempDir] {String} same as `tempdir`
+     * @param [options.maxFileSize] {Number} same as `maxFileSize`
+     * @param [options.accessControlAllowOrigin] {String|Boolean} same as `accessControlAllowOrigin`
+     * @param [options.nsClientId] {String} same as `nsClientId`
+     * @param [options.allowedTypes] {Array} the mime-types that may be uploaded (wildcards like `image/*` are allowed),
+     *                                      checked by the signature bytes of the file. Can be overruled per route.
+     * @param [options.allowedExtensions] {Array} the file-extensions that may be uploaded. Can be overruled per route.
+     * @param [options.clientIdSecret] {String} the secret with which generated clientIds are signed. Processes that share transmissions
+     *                                         (or should accept clientIds after a restart) need the same secret. Defaults to a random secret.
+     * @param [options.clientIdTtl] {Number} time in ms that a generated clientId remains valid. Defaults to no expiry.
+     * @param [options.clientIdSession] {Function} invoked with the framework's request-object, should return a String that identifies
+     *                                          the session of the user (f.e. its userid). ClientIds are bound to it: they can only be
+     *                                          used within the same session.
+     * @param [options.storage] {Object} where completed uploads should be stored, so the callback gets their final location:
+     *                                   a storage-sink (any object with the method `store`, see `directory-sink`), or the options
+     *                                   of a directory-sink: `{dir: '/data/uploads', naming: 'uuid'}`. Naming can be `original`
+     *                                   (the default), `uuid`, `date`, `hash` or a function. Can be overruled per route.
+     * @param [options.extract] {Boolean|Object} whether uploaded ZIP and tar(.gz) archives should be extracted before the callback of
+     *                                           `recieveFile` gets invoked. An object sets the limits: `maxEntries` (default 1000),
+     *                                           `maxSize` (of all extracted files, default 1Gb) and `maxRatio` (extracted bytes per byte
+     *                                           of the archive, default 100). Can be overruled per route.
+     * @param [options.store] {Object|String} the transmission-store: a store-instance or 'file'. Defaults to a memory-store.
+     *                                        Use 'file' (or a file-store) to let uploads survive restarts, or to share them
+     *                                        between processes that use the same `tempdir`.
+     * @param [options.ttl=3600000] {Number} time-to-live in ms of an unfinished transmission, counted from its last recieved chunk.
+     *                                       Set to `0` to disable expiry.
+     * @param [options.sweepInterval=60000] {Number} the interval in ms at which expired transmissions and orphan chunk-files are removed
+     * @param [options.fileChecksum] {String} algorithm (`sha256`, `md5` or `crc32`) with which the checksum of every final file
+     *                                      is calculated and passed to the callback, also when the client doesn't send `x-file-checksum`
+     * @param [options.assembly='concat'] {String} `concat` builds the final file out of separate chunk-files once all chunks are recieved.
+     *                                        `offset` writes every chunk straight into a preallocated target file, which requires
+     *                                        ITSA-clients to send the header `x-offset` with every chunk.
+     * @param [options.maxTransmissionsPerClient] {Number} max amount of unfinished transmissions per clientId (statuscode 429)
+     * @param [options.maxBytesPerClient] {Number} max amount of bytes of all unfinished transmissions per clientId (statuscode 429)
+     * @param [options.maxTempDirSize] {Number} max amount of bytes of all temporarely files inside `tempdir` (statuscode 507)
+     * @param [options.maxChunksPerSecond] {Number} max amount of chunks per second per clientId (statuscode 429)
+     * @param [options.maxChunkCount=100000] {Number} max amount of chunks of a transmission (statuscode 400)
+     * @param [options.maxChunkSize] {Number} max amount of bytes of a single chunk (statuscode 413)
+     * @param [options.onExpire] {Function} invoked for every transmission that expired, with an object containing:
+     *                                      `clientId`, `transId`, `filename`, `cummulatedSize`, `count`, `created` and `modified`
+     * @param [options.logger=console] {Object} the logger for unexpected failures: any object with the method `error`
+     * @param [options.onTransmissionStart] {Function} lifecycle-hook for every route, unless the route has its own. See `recieveFile`.
+     * @param [options.onChunk] {Function} lifecycle-hook for every route, unless the route has its own. See `recieveFile`.
+     * @param [options.onBeforeAssemble] {Function} lifecycle-hook for every route, unless the route has its own. See `recieveFile`.
+     * @param [options.onComplete] {Function} lifecycle-hook for every route, unless the route has its own. See `recieveFile`.
+     * @param [options.onAbort] {Function} lifecycle-hook for every route, unless the route has its own. See `recieveFile`.
+     * @param [options.onError] {Function} lifecycle-hook for every route, unless the route has its own. See `recieveFile`.
+     * @return {Object} Object with the properties: `generateClientId`, `responseOptions`, `recieveFormFiles`, `transmissionStatus`,
+     *                  `cancelTransmission`, `transmissionProgress`, `metrics`, `getStats`, `createRouteOptions`, `events`, `tus`
+     *                  and `recieveFile`
+     * @throws {TypeError} when an option is unknown or invalid
+     * @since 0.0.1
+    */
+    return function(tempdir, maxFileSize, accessControlAllowOrigin, nsClientId, options) {
+        var allOptions = handlerOptions.getOptions(tempdir, maxFileSize, accessControlAllowOrigin, nsClientId, options),
+            engine = createEngine(allOptions),
+            tusProtocol = createTusProtocol(engine),
+            getSession = function(request) {
+                return allOptions.clientIdSession ? allOptions.clientIdSession(request) : undefined;
+            },
+            logError = function(err) {
+                engine.logger.error(err);
+            },
+            // binds the lifecycle-hooks of the route (or else the global ones) to the request, just like the callback
+            getHooks = function(request, routeOptions) {
+                var hooks = {};
+                handlerOptions.HOOKS.forEach(function(name) {
+                    var hook = routeOptions[name] || allOptions[name];
+                    hook && (hooks[name]=hook.bind(request));
+                });
+                return hooks;
+            },
+            // informs the hook `onError` about an error-response: its failures are only logged
+            reportError = function(routeOptions, result) {
+                var onError = routeOptions && routeOptions.hooks && routeOptions.hooks.onError,
+                    error;
+                if (onError) {
+                    error = {statusCode: result.statusCode}.itsa_merge(result.body);
+                    try {
+                        Promise.resolve(onError(error)).catch(logError);
+                    }
+                    catch (err) {
+                        logError(err);
+                    }
+                }
+            },
+            // responds with an error-result
+            rejectError = function(request, response, result, routeOptions) {
+                reportError(routeOptions, result);
+                return rejectResult(request, response, result);
+            },
+            // logs an unexpected failure and responds with an error of statuscode 500, unless a response has been sent already
+            failRequest = function(request, response, code, routeOptions) {
+                return function(err) {
+                    var result = engine.getErrorResult(code);
+                    logError(err);
+                    if (driver.isReplied(request, response)) {
+                        reportError(routeOptions, result);
+                        return Promise.reject(result.body.status);
+                    }
+                    return rejectError(request, response, result, routeOptions);
+                };
+            },
+            // like `failRequest`, for the requests of an upload: the error counts as a rejected upload
+            failUpload = function(request, response, code, routeOptions) {
+                var fail = failRequest(request, response, code, routeOptions);
+                return function(err) {
+                    engine.metrics.increment('uploadsRejected', 1, code);
+                    return fail(err);
+                };
+            },
+            // `emit` is invoked with the type of the progress-events `callback`, `complete` and `failed` (form-uploads have no progress)
+            processResult = function(request, response, result, routeOptions, cbArgs, cleanup, emit) {
+                var callback = routeOptions.callback,
+                    started = Date.now(),
+                    wrapper, finish, measure;
+                if (!cbArgs) {
+                    // intermediate response
+                    driver.send(request, response, result);
+                    return Promise.resolve();
+                }
+                emit || (emit=function() {});
+                setParams(request, result.params);
+                // only an actual callback is measured
+                measure = function() {
+                    (typeof callback==='function') && engine.metrics.observe('callbackSeconds', (Date.now()-started)/1000);
+                };
+                if (typeof callback==='function') {
+                    emit('callback');
+                    try {
+                        wrapper = callback.apply(request, cbArgs);
+                    }
+                    catch (err) {
+                        wrapper = Promise.reject(err);
+                    }
+                }
+                // resolves with whether the callback succeeded: the temporarely files are removed in any case
+                wrapper = Promise.resolve(wrapper).then(function() {
+                    measure();
+                    emit('complete');
+                    return true;
+                }, function(err) {
+                    measure();
+                    logError(err);
+                    emit('failed', errors.getBody('CALLBACK_FAILED'));
+                    return false;
+                });
+                finish = function() {
+                    return cleanup().catch(logError);
+                };
+                // depending on the configuration, we response to the client immediately, or we wait for the callback to finish:
+                if (routeOptions.waitForCb===false) {
+                    driver.send(request, response, result);
+                    wrapper.then(finish);
+                    return Promise.resolve();
+                }
+                return wrapper.then(function(succeeded) {
+                    // the callback may have replied by itself
+                    var replied = driver.isReplied(request, response);
+                    if (succeeded) {
+                        replied || driver.send(request, response, result);
+                        return finish();
+                    }
+                    return finish().then(function() {
+                        var errorResult = engine.rejectUpload('CALLBACK_FAILED');
+                        if (replied) {
+                            reportError(routeOptions, errorResult);
+                            return Promise.reject(errorResult.body.status);
+                        }
+                        return rejectError(request, response, errorResult, routeOptions);
+                    });
+                });
+            },
+            getEmitter = function(result) {
+                return function(type, details) {
+                    engine.emitProgress(type, result.transmission, details);
+                };
+            },
+            getStorage = function(routeOptions) {
+                return engine.getRouteOptions(routeOptions).storage;
+            },
+            // responds with statuscode 500 when a storage-sink failed
+            rejectStorage = function(request, response, routeOptions, cleanup) {
+                var fail = failUpload(request, response, 'STORAGE_FAILED', routeOptions);
+                return function(err) {
+                    return cleanup().catch(logError).then(function() {
+                        return fail(err);
+                    });
+                };
+            },
+            // extracts the final file of a transmission when it is an archive and the route-option `extract` is set
+            extractFile = function(request, response, result, routeOptions, cleanup) {
+                var limits = engine.getRouteOptions(routeOptions).extract;
+                if (!result.file || !limits) {
+                    return Promise.resolve();
+                }
+                return engine.extractArchive(result.file, limits).catch(function(err) {
+                    var errorResult = err.statusCode && engine.rejectUpload(err.code, err.message);
+                    getEmitter(result)('failed', errorResult ? errorResult.body : errors.getBody('INTERNAL_ERROR'));
+                    return cleanup().catch(logError).then(function() {
+                        return errorResult ? rejectError(request, response, errorResult, routeOptions) :
+                                             failUpload(request, response, 'INTERNAL_ERROR', routeOptions)(err);
+                    });
+                });
+            },
+            // moves the final file of a transmission into the storage-sink (when set), and resolves with the arguments for the callback
+            storeFile = function(request, response, result, routeOptions, cleanup) {
+                var file = result.file,
+                    storage = getStorage(routeOptions);
+                if (!file) {
+                    return Promise.resolve(null);
+                }
+                if (!storage) {
+                    return Promise.resolve([file.tmpBuildFilename, file.originalFilename, file]);
+                }
+                return storage.store({
+                    filename: file.tmpBuildFilename,
+                    originalFilename: file.originalFilename,
+                    fileType: file.fileType,
+                    checksum: file.checksum
+                }).then(function(stored) {
+                    file.location = stored.location;
+                    file.storage = stored;
+                    return [stored.location, file.originalFilename, file];
+                }, function(err) {
+                    getEmitter(result)('failed', errors.getBody('STORAGE_FAILED'));
+                    return rejectStorage(request, response, routeOptions, cleanup)(err);
+                });
+            },
+            // moves the files of a form-upload into the storage-sink (when set), and resolves with the arguments for the callback
+            storeFormFiles = function(request, response, files, routeOptions, cleanup) {
+                var storage = getStorage(routeOptions),
+                    stored = [];
+                if (!files || !storage) {
+                    return Promise.resolve(files && [files]);
+                }
+                // one by one, so the files of the same form keep their order when they get the same name:
+                return files.reduce(function(prevStored, item) {
+                    return prevStored.then(function() {
+                        return storage.store({
+                            filename: item.fullFilename,
+                            originalFilename: item.originalFilename,
+                            fileType: item.fileType
+                        });
+                    }).then(function(storedFile) {
+                        stored.push({
+                            fullFilename: storedFile.location,
+                            originalFilename: item.originalFilename,
+                            fileType: item.fileType,
+                            location: storedFile.location,
+                            storage: storedFile
+                        });
+                    });
+                }, Promise.resolve()).then(function() {
+                    return [stored];
+                }, rejectStorage(request, response, routeOptions, cleanup));
+            };
+
+        return {
+            /**
+             * Generates an unique clientId, which clients should use to identify themselves during fileuploads.
+             * The clientId is signed: `recieveFile` and `transmissionStatus` respond with statuscode 401 to clientIds
+             * that are not generated by this method (or are expired, or belong to another session).
+             *
+             * This methods expects the client to follow specific rules, as specified by http://itsa.io/docs/io/index.html#io-filetransfer
+             * Therefore, it is best used together with the ITSA-framework (http://itsa.io)
+             *
+             * @method generateClientId
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @return serverresponse, with the unique clientId as text/plain
+             * @since 0.0.1
+            */
+            generateClientId: function(request, response) {
+                driver.send(request, response, engine.generateClientId(getSession(request)));
+            },
+
+            /**
+             * Responses to a cors-preflight request.
+             *
+             * @method responseOptions
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @return serverresponse
+             * @since 0.0.1
+            */
+            responseOptions: function(request, response) {
+                driver.send(request, response, engine.responseOptions(driver.getHeaders(request)['access-control-request-headers']));
+            },
+
+            /**
+             * Recieves and processes a multipart form-upload. All fields are made available at `request.params`.
+             *
+             * @method recieveFormFiles
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @param [routeOptions] {Object|Number} route-options, which overrule the global options: `maxFileSize`, `allowedTypes`
+             *                               (mime-types, f.e. `['image/*']`), `allowedExtensions` (f.e. `['jpg', 'png']`), `storage`
+             *                               (see the option `storage`), `callback` and `waitForCb`. Uploads of another type are responded
+             *                               with statuscode 415. Can also be just the max upload filesize, or left out.
+             *                               Unknown or invalid route-options throw a TypeError. Archives of form-uploads are
+             *                               not extracted: with the route-option `extract`, every upload is responded with statuscode 500.
+             * @param [callback] {Function} the function that should be invoked with the list of uploaded files. Every item
+             *                              has the properties `fullFilename`, `originalFilename` and `fileType` (the detected
+             *                              {mime, ext}, or null when unknown). The callback gets invoked
+             *                              with the request as its context. The files will be removed afterwards.
+             *                              With a `storage`, the files are moved into the storage first: `fullFilename` is their
+             *                              final location (which is not removed), and the property `storage` holds the result of the sink.
+             *                              When storing fails, the response has statuscode 500 (files that have been stored already remain).
+             * @param [waitForCb=true] {Boolean} whether to wait with the response until the callback has finished
+             *
+             * Of the lifecycle-hooks (see `recieveFile`), `onTransmissionStart` (before the form is parsed), `onComplete` (with an object
+             * with the properties `files` and `params`, before the files are stored) and `onError` apply to form-uploads.
+             *
+             * @return {Promise}
+             * @since 0.0.2
+            */
+            recieveFormFiles: function(request, response, routeOptions, callback, waitForCb) {
+                routeOptions = handlerOptions.getRouteOptions(routeOptions, callback, waitForCb);
+                routeOptions.hooks = getHooks(request, routeOptions);
+                if (routeOptions.extract) {
+                    // a misconfigured route: logged, and responded like any other failure of the server
+                    return failUpload(request, response, 'INTERNAL_ERROR', routeOptions)(
+                        new TypeError('Invalid route-option "extract": archives of form-uploads are not extracted'));
+                }
+                return engine.receiveForm(driver.getFormSource(request), routeOptions).then(function(result) {
+                    var files = result.files,
+                        cleanup = function() {
+                            return engine.removeFormFiles(files);
+                        };
+                    if (result.statusCode>=400) {
+                        return rejectError(request, response, result, routeOptions);
+                    }
+                    return storeFormFiles(request, response, files, routeOptions, cleanup).then(function(cbArgs) {
+                        return processResult(request, response, result, routeOptions, cbArgs, cleanup);
+                    });
+                }, failUpload(request, response, 'INTERNAL_ERROR', routeOptions));
+            },
+
+            /**
+             * Responses with the state of a transmission, identified by the headers `x-clientid` and `x-transid`.
+             * A client can use this after a network failure, to send only the chunks that are not recieved yet.
+             *
+             * The response is a JSON-object with the properties: `received` (array of partial-ids), `cummulatedSize`,
+             * `count` (null as long as the last chunk isn't recieved) and `expires` (timestamp).
+             * Unknown transmissions are responded with statuscode 404, invalid clientIds with statuscode 401.
+             *
+             * @method transmissionStatus
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @return {Promise}
+             * @since 0.0.13
+            */
+            transmissionStatus: function(request, response) {
+                var headers = driver.getHeaders(request);
+                return engine.getStatus(headers['x-clientid'], headers['x-transid'], getSession(request)).then(function(result) {
+                    driver.send(request, response, result);
+                }, failRequest(request, response, 'INTERNAL_ERROR'));
+            },
+
+            /**
+             * Cancels an unfinished transmission, identified by the headers `x-clientid` and `x-transid`, and should be routed
+             * for the method DELETE. Without `x-transid`, all unfinished transmissions of the client are canceled.
+             * Their chunk-files are removed, and the progress-event `failed` and the hook `onAbort` get the code `TRANSMISSION_CANCELED`,
+             * so the application can clean up related records.
+             *
+             * The response is a JSON-object with the property `canceled` (array of the canceled transmission-ids).
+             * Invalid clientIds are responded with statuscode 401. With `x-transid`, an unknown transmission is responded
+             * with statuscode 404, and a transmission that is being completed (which can't be canceled anymore) with statuscode 409.
+             *
+             * @method cancelTransmission
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @param [routeOptions] {Object} route-options, of which only the hooks `onAbort` and `onError` are used
+             * @return {Promise}
+             * @since 0.0.13
+            */
+            cancelTransmission: function(request, response, routeOptions) {
+                var headers = driver.getHeaders(request);
+                routeOptions = handlerOptions.getRouteOptions(routeOptions);
+                routeOptions.hooks = getHooks(request, routeOptions);
+                return engine.cancelTransmission(headers['x-clientid'], headers['x-transid'], getSession(request), routeOptions.hooks).then(function(result) {
+                    if (result.statusCode>=400) {
+                        return rejectError(request, response, result, routeOptions);
+                    }
+                    driver.send(request, response, result);
+                }, failRequest(request, response, 'INTERNAL_ERROR', routeOptions));
+            },
+
+            /**
+             * Responses with a Server-Sent Events stream that pushes the progress of the transmissions of a client,
+             * identified by the query-parameter `clientid` (and optionally `transid`, to follow only one transmission),
+             * f.e. `new EventSource('/progress?clientid=' + clientId)`.
+             *
+             * Every event has the name of its type: `chunk`, `assembling`, `callback`, `complete` or `failed`. Its data is a
+             * JSON-object with the properties `clientId`, `transId`, `filename`, `receivedBytes`, `totalSize` (the header `x-total-size`),
+             * `percent`, `chunks` and `count`, see the engine's `emitProgress`. The stream stays open until the client disconnects.
+             * Invalid clientIds are responded with statuscode 401.
+             *
+             * @method transmissionProgress
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @return {Promise}
+             * @since 0.0.13
+            */
+            transmissionProgress: function(request, response) {
+                var query = driver.getQuery(request),
+                    result = engine.getProgressStream(query.clientid, query.transid, getSession(request));
+                if (result.statusCode>=400) {
+                    return rejectResult(request, response, result);
+                }
+                driver.send(request, response, result);
+                return Promise.resolve();
+            },
+
+            /**
+             * EventEmitter that emits the event `progress` during every transmission (also of tus-uploads),
+             * with the same data as the events of `transmissionProgress` plus their `type`. Usefull to show the progress
+             * of long-running callbacks, f.e. by `events.on('progress', function(event) {...})`.
+             *
+             * @property events
+             * @type EventEmitter
+             * @since 0.0.13
+            */
+            events: engine.events,
+
+            /**
+             * Responds with all metrics in the Prometheus text exposition format, so it can be scraped
+             * by routing f.e. `GET /metrics` to it. See `getStats` for the metrics.
+             *
+             * @method metrics
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (if any)
+             * @return {Promise}
+             * @since 0.0.13
+            */
+            metrics: function(request, response) {
+                return engine.getMetrics().then(function(result) {
+                    driver.send(request, response, result);
+                }, failRequest(request, response, 'INTERNAL_ERROR'));
+            },
+
+            /**
+             * Returns the metrics as a plain object: the counters `chunksReceived`, `bytesReceived`, `uploadsCompleted`,
+             * `uploadsRejected` (by error-code) and `uploadsExpired`, the gauges `activeTransmissions`, `assemblingTransmissions`
+             * and `tempDirBytes`, and the histograms `assemblySeconds` and `callbackSeconds`.
+             *
+             * @method getStats
+             * @return {Promise} resolves with the metrics
+             * @since 0.0.13
+            */
+            getStats: function() {
+                return engine.getStats();
+            },
+
+            /**
+             * Validates route-options once, when the route is created, so a misconfiguration is noticed at startup.
+             * The result can be passed to the handlers with every request, without being validated again:
+             *
+             * @example
+             *     var avatarOptions = fileHandlers.createRouteOptions({maxFileSize: 1024*1024, allowedTypes: ['image/*']}, moveAvatar);
+             *     server.route({method: 'PUT', path: '/avatar', handler: function(request, reply) {
+             *         fileHandlers.recieveFile(request, reply, avatarOptions);
+             *     }});
+             *
+             * @method createRouteOptions
+             * @param [routeOptions] {Object|Number} route-options, see `recieveFile`
+             * @param [callback] {Function} the function that should be invoked once the file is complete
+             * @param [waitForCb=true] {Boolean} whether to wait with the response until the callback has finished
+             * @return {Object} the validated route-options
+             * @throws {TypeError} when a route-option is unknown or invalid
+             * @since 0.0.13
+            */
+            createRouteOptions: function(routeOptions, callback, waitForCb) {
+                return handlerOptions.getRouteOptions(routeOptions, callback, waitForCb);
+            },
+
+            /**
+             * Handles all requests of the tus resumable-upload protocol (http://tus.io), version 1.0.0,
+             * with the extensions `creation` and `termination`. It should be routed for the methods
+             * OPTIONS, POST (on the upload-collection, f.e. `/files`), and HEAD, PATCH and DELETE (on an upload, f.e. `/files/{id}`).
+             *
+             * Once an upload is complete, the callback is invoked in the same way as with `recieveFile`. The originalFilename
+             * is taken from the metadata `filename` (or `name`), and all metadata of `Upload-Metadata` is made available at `request.params`.
+             *
+             * @method tus
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @param [routeOptions] {Object|Number} route-options, which overrule the global options: `maxFileSize`, `allowedTypes`
+             *                               (mime-types, f.e. `['image/*']`), `allowedExtensions` (f.e. `['jpg', 'png']`), `storage`
+             *                               (see the option `storage`), the lifecycle-hooks (see `recieveFile`), `callback` and `waitForCb`.
+             *                               Uploads of another type are responded with statuscode 415. Can also be just the max upload
+             *                               filesize, or left out.
+             *                               Unknown or invalid route-options throw a TypeError.
+             * @param [callback] {Function} the function that should be invoked once the upload is complete, see `recieveFile`
+             * @param [waitForCb=true] {Boolean} whether to wait with the response until the callback has finished
+             * @return {Promise} rejects with the status of the error when an error has been responded
+             * @since 0.0.13
+            */
+            tus: function(request, response, routeOptions, callback, waitForCb) {
+                var tusRequest = {
+                        method: driver.getMethod(request),
+                        path: driver.getPath(request),
+                        headers: driver.getHeaders(request)
+                    },
+                    isPatch = ((tusRequest.headers['x-http-method-override'] || tusRequest.method).toUpperCase()==='PATCH');
+                routeOptions = handlerOptions.getRouteOptions(routeOptions, callback, waitForCb);
+                routeOptions.hooks = getHooks(request, routeOptions);
+                isPatch && (tusRequest.payload=driver.getPayload(request));
+                return tusProtocol.handleRequest(tusRequest, routeOptions).then(function(result) {
+                    var uploadId = tusRequest.path.replace(/\/$/, '').split('/').pop(),
+                        cleanup = function() {
+                            return engine.endTransmission(tusProtocol.clientId, uploadId, result.file);
+                        };
+                    if (result.statusCode>=400) {
+                        return rejectError(request, response, result, routeOptions);
+                    }
+                    return storeFile(request, response, result, routeOptions, cleanup).then(function(cbArgs) {
+                        return processResult(request, response, result, routeOptions, cbArgs, cleanup, getEmitter(result));
+                    });
+                }, failUpload(request, response, 'INTERNAL_ERROR', routeOptions));
+            },
+
+            /**
+             * Recieves and processes filechunks from a client's fileupload.
+             *
+             * This methods expects the client to follow specific rules, as specified by http://itsa.io/docs/io/index.html#io-filetransfer
+             * Therefore, it is best used together with the ITSA-framework (http://itsa.io)
+             *
+             * @method recieveFile
+             * @param request {Object} the framework's request-object
+             * @param response {Object} the framework's response-object (hapijs: reply)
+             * @param [routeOptions] {Object|Number} route-options, which overrule the global options: `maxFileSize`, `allowedTypes`
+             *                               (mime-types, f.e. `['image/*']`), `allowedExtensions` (f.e. `['jpg', 'png']`), `storage`
+             *                               (see the option `storage`), `callback` and `waitForCb`. Uploads of another type are responded
+             *                               with statuscode 415. Can also be just the max upload filesize, or left out.
+             *                               Unknown or invalid route-options throw a TypeError.
+             * @param [callback] {Function} the function that should be invoked once all chunks have been processed and the final temporarely
+             *                              file has been created. The caalbackFn will be invoked with 3 arguments: `tmpBuildFilename`, `originalFilename` and `fileInfo`
+             *                              `tmpBuildFilename` is the FULL path to the temporarely file
+             *                              `originalFilename` is just a filename (without path), as selected on the client
+             *                              `fileInfo` is an object with additional information. Its property `checksum` ({algorithm, digest})
+             *                              holds the verified checksum of the file, when the client has sent the header `x-file-checksum`.
+             *                              Its property `fileType` holds the type that is detected by the signature bytes of the file:
+             *                              {mime, ext}, or null when unknown.
+             *                              With a `storage`, the file is moved into the storage first: the first argument is then its final
+             *                              location (which is not removed), and `fileInfo` gets the properties `location` and `storage`
+             *                              (the result of the sink). When storing fails, the response has statuscode 500.
+             *                              With `extract`, an archive is extracted into a temporarely folder first: `fileInfo.extracted`
+             *                              lists the extracted files (`filename`, `name` and `size`), which are removed after the callback
+             *                              as well. A refused archive is responded with statuscode 413 or 422.
+             *                              AFTER the callback gets invoked, tmpBuildFilename will be removed automaticly. Therefore, if you want to
+             *                              perform any processing, the callbackFn SHOULD return a Promise: removal will wait for the Promise to be resolved.
+             *                              The callbackFn may (but not necessarily) reply by itself, which is handy if you want to return any data.
+             *                              If so, than it MUST reply with an object, because the client expects this.
+             *                              If not, than the response gets send automaticly after the callback.
+             *
+             *                              IMPORTANT NOTE: If the callback replies by itself, than it will also need to set the
+             *                              'access-control-allow-origin' headers (if needed). These headers will only be needed when using CORS.
+             * @param [waitForCb=true] {Boolean} whether to wait with the response until the callback has finished
+             *
+             * The integrity of the upload can be checked by sending the headers `x-chunk-checksum` (with every chunk) and `x-file-checksum`,
+             * formatted as `<algorithm>=<hex digest>` where algorithm is `sha256`, `md5` or `crc32`. A corrupted chunk is responded
+             * with statuscode 422 (and is not stored), so the client can resend only that chunk. A corrupted final file is responded
+             * with statuscode 422 as well, in which case the whole transmission is removed.
+             *
+             * Compressed chunks (header `content-encoding` or `x-chunk-encoding`: `gzip`, `deflate` or `br`) are decompressed
+             * while they are written. Size limits and checksums apply to the decompressed data.
+             *
+             * With the option `assembly: 'offset'`, every chunk needs the header `x-offset`: its byte-offset within the file.
+             *
+             * The route-options (and the global options) can have lifecycle-hooks, which are invoked with the request as their context
+             * and may return a Promise:
+             *
+             * `onTransmissionStart(info)` before the first chunk of a transmission gets written: `info` has the properties `clientId`,
+             *                             `transId`, `partialId`, `filename` and `totalSize` (when known)
+             * `onChunk(info)` before every chunk gets written: `info` has the additional property `payload` (a Buffer or a readable stream).
+             *                 When it resolves with another payload, that payload is written instead.
+             * `onBeforeAssemble(transmission)` before the final file gets build
+             * `onComplete(info)` after the final file has been build, before it is stored and the callback is invoked:
+             *                    `info` has the properties `file`, `params` and `transmission`
+             * `onAbort(info)` after the transmission has been aborted: `info` has the properties `clientId`, `transId`, `status` and `code`
+             * `onError(error)` after an error has been responded: `error` has the properties `statusCode`, `status` and `code`
+             *
+             * When a hook rejects (or throws), the chunk is refused and (except for `onTransmissionStart`) the transmission is aborted.
+             * A structured error (see `errors.createError`) is responded with its own statuscode and code, any other error with statuscode 500.
+             * The results of `onAbort` and `onError` are ignored.
+             *
+             * @return {Promise}
+             * @since 0.0.1
+            */
+            recieveFile: function(request, response, routeOptions, callback, waitForCb) {
+                var headers = driver.getHeaders(request),
+                    chunk = {
+                        clientId: headers['x-clientid'],
+                        transId: headers['x-transid'],
+                        partialId: headers['x-partial'],
+                        filename: decodeHeader(headers['x-filename']),
+                        totalSize: headers['x-total-size'],
+                        data: decodeHeader(headers['x-data']),
+                        checksum: headers['x-chunk-checksum'],
+                        fileChecksum: headers['x-file-checksum'],
+                        offset: headers['x-offset'],
+                        // clients that compress the chunks themselves send `x-chunk-encoding`, which frameworks leave alone:
+                        encoding: headers['x-chunk-encoding'] || driver.getPayloadEncoding(request),
+                        session: getSession(request)
+                    };
+                routeOptions = handlerOptions.getRouteOptions(routeOptions, callback, waitForCb);
+                routeOptions.hooks = getHooks(request, routeOptions);
+                chunk.payload = driver.getPayload(request);
+                return engine.receiveChunk(chunk, routeOptions).then(function(result) {
+                    var cleanup = function() {
+                        return engine.endTransmission(chunk.clientId, chunk.transId, result.file);
+                    };
+                    if (result.statusCode>=400) {
+                        return rejectError(request, response, result, routeOptions);
+                    }
+                    return extractFile(request, response, result, routeOptions, cleanup).then(function() {
+                        return storeFile(request, response, result, routeOptions, cleanup);
+                    }).then(function(cbArgs) {
+                        return processResult(request, response, result, routeOptions, cbArgs, cleanup, getEmitter(result));
+                    });
+                }, failUpload(request, response, 'INTERNAL_ERROR', routeOptions));
+            }
+        };
+    };
+};
+
+module.exports = createHandlers;
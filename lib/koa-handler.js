@@ -0,0 +1,93 @@
+/**
+ * Adapter that makes the fileuploadhandler available for koajs.
+ *
+ * All handlers expect the koa-context as their first argument, instead of a request- and response-object:
+ * `recieveFile(ctx, maxFileSize, callback, waitForCb)`. They return a Promise, so they can be returned (or awaited)
+ * by the middleware. The callbacks are invoked with `ctx` as their context, params are made available at `ctx.params`.
+ *
+ * `recieveFile` uses `ctx.request.body` when it is a Buffer, otherwise the request-stream itself is piped to disk.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule koa-handler
+ * @class KoaHandler
+*/
+
+'use strict';
+
+var createHandlers = require('./handler-factory'),
+    getFns;
+
+require('itsa-jsext');
+
+getFns = createHandlers({
+    getHeaders: function(ctx) {
+        return ctx.headers;
+    },
+
+    getMethod: function(ctx) {
+        return ctx.method;
+    },
+
+    getPath: function(ctx) {
+        return ctx.path;
+    },
+
+    getPayload: function(ctx) {
+        return Buffer.isBuffer(ctx.request.body) ? ctx.request.body : ctx.req;
+    },
+
+    getPayloadEncoding: function(ctx) {
+        // a raw bodyparser has decompressed the body already
+        return Buffer.isBuffer(ctx.request.body) ? undefined : ctx.headers['content-encoding'];
+    },
+
+    getFormSource: function(ctx) {
+        return ctx.req;
+    },
+
+    getQuery: function(ctx) {
+        return ctx.query;
+    },
+
+    send: function(ctx, response, result) {
+        ctx.status = result.statusCode;
+        ctx.set(result.headers);
+        ctx.body = (result.body===undefined) ? '' : result.body;
+    },
+
+    isReplied: function(ctx) {
+        return (ctx.body!==undefined) || !!ctx.headerSent;
+    }
+});
+
+/**
+ * Returns the handlers for koajs. Has the same arguments as the hapijs- and expressjs-adapters.
+ *
+ * @method getFns
+ * @return {Object} Object with the same handlers as the other adapters, all expecting the koa-context as first argument
+ * @since 0.0.13
+*/
+module.exports = function() {
+    var fns = getFns.apply(null, arguments),
+        koaFns = {};
+    fns.itsa_each(function(fn, key) {
+        // `events`, `getStats` and `createRouteOptions` are not handlers
+        if ((typeof fn!=='function') || (key==='getStats') || (key==='createRouteOptions')) {
+            koaFns[key] = fn;
+            return;
+        }
+        koaFns[key] = function(ctx) {
+            var args = [ctx, ctx].concat(Array.prototype.slice.call(arguments, 1));
+            return Promise.resolve(fn.apply(null, args)).catch(function(err) {
+                // errors that already have been responded to the client should not let koa respond again:
+                if ((ctx.body===undefined) || (ctx.status<400)) {
+                    throw err;
+                }
+            });
+        };
+    });
+    return koaFns;
+};
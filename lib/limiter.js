@@ -0,0 +1,150 @@
+/**
+ * Limits the resources that clients may use: concurrent transmissions and bytes in flight per clientId,
+ * the total size of the temp-dir, and the amount of chunks per second per clientId.
+ *
+ * The limits are checked before a chunk gets written. Because chunks of the same client can arrive at the same time,
+ * the byte-limits are approximate: they can be exceeded by the chunks that are being written at that moment.
+ * The chunk-rate is counted per process.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule limiter
+ * @class Limiter
+*/
+
+'use strict';
+
+var fileUtils = require('./file-utils'),
+    errors = require('./errors'),
+    RETRY_AFTER_QUOTA = 10, // seconds
+    RETRY_AFTER_RATE = 1, // seconds
+    USAGE_CACHE_TIME = 1000, // ms
+    createLimit = function(code, retryAfter) {
+        return {
+            code: code,
+            statusCode: errors.getStatusCode(code),
+            status: errors.getBody(code).status,
+            retryAfter: retryAfter
+        };
+    },
+    LIMIT_TRANSMISSIONS = createLimit('TOO_MANY_TRANSMISSIONS', RETRY_AFTER_QUOTA),
+    LIMIT_CLIENT_BYTES = createLimit('CLIENT_QUOTA_EXCEEDED', RETRY_AFTER_QUOTA),
+    LIMIT_RATE = createLimit('RATE_LIMITED', RETRY_AFTER_RATE),
+    LIMIT_STORAGE = createLimit('INSUFFICIENT_STORAGE', RETRY_AFTER_QUOTA),
+    createLimiter;
+
+/**
+ * Creates a limiter.
+ *
+ * Every limit is described by an object with the properties `code` (the error-code, see `errors`), `statusCode` (429 or 507),
+ * `status` (the error-message) and `retryAfter` (seconds, to be used as the `Retry-After` header).
+ *
+ * @method createLimiter
+ * @param options {Object}
+ * @param [options.maxTransmissionsPerClient] {Number} max amount of unfinished transmissions per clientId
+ * @param [options.maxBytesPerClient] {Number} max amount of bytes of all unfinished transmissions per clientId
+ * @param [options.maxTempDirSize] {Number} max amount of bytes of all temporarely files inside the temp-dir
+ * @param [options.maxChunksPerSecond] {Number} max amount of chunks per second per clientId
+ * @param store {Object} the transmission-store
+ * @param tmpDir {String} the temp-dir
+ * @return {Object} the limiter
+ * @since 0.0.13
+*/
+createLimiter = function(options, store, tmpDir) {
+    var RATES = {},
+        rateSecond = 0,
+        usage = null,
+        getTempDirUsage;
+
+    // scanning the temp-dir for every chunk would be too expensive: the result is reused for a short time
+    getTempDirUsage = function() {
+        var now = Date.now();
+        if (!usage || (usage.time<now-USAGE_CACHE_TIME)) {
+            usage = {
+                time: now,
+                size: fileUtils.listTmpFiles(tmpDir).then(function(files) {
+                    return files.reduce(function(size, file) {
+                        return size + file.size;
+                    }, 0);
+                })
+            };
+            usage.size.catch(function() {
+                usage = null;
+            });
+        }
+        return usage.size;
+    };
+
+    return {
+        /**
+         * Counts a chunk for the chunk-rate of its client.
+         *
+         * @method countChunk
+         * @param clientId {String} the clientId
+         * @return {Object|null} the limit that is exceeded, or null
+         * @since 0.0.13
+        */
+        countChunk: function(clientId) {
+            var second = Math.floor(Date.now()/1000);
+            if (!options.maxChunksPerSecond) {
+                return null;
+            }
+            if (second!==rateSecond) {
+                // a new second: forget the counts of the previous one
+                RATES = {};
+                rateSecond = second;
+            }
+            RATES[clientId] = (RATES[clientId] || 0) + 1;
+            return (RATES[clientId]>options.maxChunksPerSecond) ? LIMIT_RATE : null;
+        },
+
+        /**
+         * Checks whether a client may send a chunk, and how many bytes it may contain.
+         *
+         * @method check
+         * @param [clientId] {String} the clientId. When not set, only the size of the temp-dir is checked
+         * @param [transId] {String} the transmission-id, when the chunk belongs to a transmission of the client
+         * @return {Promise} resolves with an object with the properties `exceeded` (the limit that is exceeded already, or null),
+         *                   `bytesLeft` (the max amount of bytes that the chunk may have) and `bytesLimit` (the limit that applies
+         *                   to `bytesLeft`, or null when there is no limit)
+         * @since 0.0.13
+        */
+        check: function(clientId, transId) {
+            var result = {
+                    exceeded: null,
+                    bytesLeft: Infinity,
+                    bytesLimit: null
+                },
+                applyBytes = function(bytesLeft, limit) {
+                    if (bytesLeft<=0) {
+                        result.exceeded || (result.exceeded=limit);
+                    }
+                    else if (bytesLeft<result.bytesLeft) {
+                        result.bytesLeft = bytesLeft;
+                        result.bytesLimit = limit;
+                    }
+                };
+            return Promise.all([
+                (clientId && (options.maxTransmissionsPerClient || options.maxBytesPerClient)) ? store.list(clientId) : [],
+                options.maxTempDirSize ? getTempDirUsage() : 0
+            ]).then(function(values) {
+                var transmissions = values[0],
+                    isNew = (transId!==undefined) && !transmissions.some(function(transmission) {
+                        return transmission.transId===transId;
+                    });
+                if (options.maxTransmissionsPerClient && isNew && (transmissions.length>=options.maxTransmissionsPerClient)) {
+                    result.exceeded = LIMIT_TRANSMISSIONS;
+                }
+                clientId && options.maxBytesPerClient && applyBytes(options.maxBytesPerClient - transmissions.reduce(function(size, transmission) {
+                    return size + transmission.cummulatedSize;
+                }, 0), LIMIT_CLIENT_BYTES);
+                options.maxTempDirSize && applyBytes(options.maxTempDirSize-values[1], LIMIT_STORAGE);
+                return result;
+            });
+        }
+    };
+};
+
+module.exports = createLimiter;
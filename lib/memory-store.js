@@ -0,0 +1,153 @@
+/**
+ * Transmission-store that keeps all chunk-administration inside memory.
+ * This is the default store. It is fast, but its state is lost on a restart and it cannot be shared between processes.
+ *
+ * Every store has the same api, where all methods return a Promise:
+ *
+ * get(clientId, transId) --> resolves with the transmission, or `null` when unknown
+ * addChunk(clientId, transId, partialId, chunk) --> registers a written chunk {filename, size}, resolves with the transmission.
+ *                                                  A chunk with the same partialId gets replaced: `cummulatedSize` only counts the latest
+ * setInfo(clientId, transId, info) --> merges `info` (count, filename, data) into the transmission, resolves with the transmission
+ * claim(clientId, transId) --> resolves with `true` only for the first caller: the one that may build the final file
+ * remove(clientId, transId) --> removes the transmission
+ * list([clientId]) --> resolves with an array of all transmissions, or only those of `clientId`
+ *
+ * A transmission is a plain object:
+ *
+ * {
+ *     clientId: {String},
+ *     transId: {String},
+ *     cummulatedSize: {Number}, // the total size of all recieved chunks of this transmission
+ *     count: {Number}, // the total amont of chunks that are send for this file (only available when the last chunk-part is recieved)
+ *     filename: {String}, // the client's filename of the sent file (only available when the last chunk-part is recieved)
+ *     data: {String}, // the raw `x-data` params that are sent with the last chunk-part
+ *     fileChecksum: {Object}, // the expected checksum of the final file {algorithm, digest}, when the client has sent it
+ *     created: {Number}, // timestamp of the first recieved chunk
+ *     modified: {Number}, // timestamp of the last recieved chunk
+ *     claimed: {Boolean}, // whether the final file is being build
+ *     chunks: {
+ *         '1': {filename: {String}, size: {Number}, checksum: {Object}}, // the temporarely written 1st chunk
+ *         '2': {filename: {String}, size: {Number}, checksum: {Object}}, // the temporarely written 2nd chunk
+ *         etc...
+ *     }
+ * }
+ *
+ * Transmissions that are returned must be treated as read-only: only the store-methods may change them.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule memory-store
+ * @class MemoryStore
+*/
+
+'use strict';
+
+var createMemoryStore;
+
+require('itsa-jsext');
+
+/**
+ * Creates a new memory-store.
+ *
+ * @method createMemoryStore
+ * @return {Object} the store
+ * @since 0.0.13
+*/
+createMemoryStore = function() {
+    var FILE_TRANSMISSIONS = {},
+        getTransmission;
+
+    /**
+     * Object that holds all transmissions, grouped by clientId:
+     *
+     * {
+     *      "ITSA_CL_ID-1": { // client number "1"
+     *          "ITSA-FILETRANS-1": {transmission}, // transmission number "1", for this client
+     *          "ITSA-FILETRANS-2": {transmission}, // transmission number "2", for this client
+     *          etc...
+     *      },
+     *      etc...
+     * }
+     *
+     * @property FILE_TRANSMISSIONS
+     * @type Object
+     * @default {}
+     * @private
+     * @since 0.0.1
+     */
+
+    getTransmission = function(clientId, transId, create) {
+        var now;
+        if (!FILE_TRANSMISSIONS[clientId] || !FILE_TRANSMISSIONS[clientId][transId]) {
+            if (!create) {
+                return null;
+            }
+            now = Date.now();
+            FILE_TRANSMISSIONS[clientId] || (FILE_TRANSMISSIONS[clientId]={});
+            FILE_TRANSMISSIONS[clientId][transId] = {
+                clientId: clientId,
+                transId: transId,
+                cummulatedSize: 0,
+                created: now,
+                modified: now,
+                chunks: {}
+            };
+        }
+        return FILE_TRANSMISSIONS[clientId][transId];
+    };
+
+    return {
+        get: function(clientId, transId) {
+            return Promise.resolve(getTransmission(clientId, transId));
+        },
+
+        addChunk: function(clientId, transId, partialId, chunk) {
+            var transmission = getTransmission(clientId, transId, true),
+                previous = transmission.chunks[partialId];
+            transmission.chunks[partialId] = chunk;
+            transmission.cummulatedSize += chunk.size - (previous ? previous.size : 0);
+            transmission.modified = Date.now();
+            return Promise.resolve(transmission);
+        },
+
+        setInfo: function(clientId, transId, info) {
+            var transmission = getTransmission(clientId, transId, true);
+            transmission.itsa_merge(info, {force: true});
+            return Promise.resolve(transmission);
+        },
+
+        claim: function(clientId, transId) {
+            var transmission = getTransmission(clientId, transId);
+            if (!transmission || transmission.claimed) {
+                return Promise.resolve(false);
+            }
+            transmission.claimed = true;
+            return Promise.resolve(true);
+        },
+
+        remove: function(clientId, transId) {
+            if (FILE_TRANSMISSIONS[clientId]) {
+                delete FILE_TRANSMISSIONS[clientId][transId];
+                // to keep memory clean: also remove the clientid when there are no current transmissions
+                if (FILE_TRANSMISSIONS[clientId].itsa_size()===0) {
+                    delete FILE_TRANSMISSIONS[clientId];
+                }
+            }
+            return Promise.resolve();
+        },
+
+        list: function(clientId) {
+            var list = [];
+            FILE_TRANSMISSIONS.itsa_each(function(transmissions, key) {
+                ((clientId===undefined) || (key===clientId)) && transmissions.itsa_each(function(transmission) {
+                    list.push(transmission);
+                });
+            });
+            return Promise.resolve(list);
+        }
+    };
+};
+
+module.exports = createMemoryStore;
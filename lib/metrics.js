@@ -0,0 +1,179 @@
+/**
+ * Counts what the handler does, and renders it in the Prometheus text exposition format (version 0.0.4).
+ *
+ * There are three kinds of metrics:
+ *
+ * counters --> only increase, optionally per label (f.e. the error-code of a rejection)
+ * gauges --> a current value, which is measured by the engine whenever the metrics are read
+ * histograms --> durations in seconds, counted into cumulative buckets
+ *
+ * The metrics are kept in memory, per process: processes that share a temp-dir each count their own requests,
+ * but measure the same gauges.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule metrics
+ * @class Metrics
+*/
+
+'use strict';
+
+var PREFIX = 'fileupload_',
+    BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60], // seconds
+    DEFINITIONS, escapeLabel, createMetrics;
+
+require('itsa-jsext');
+
+/**
+ * All metrics, by the name that is used with `getStats`.
+ *
+ * @property DEFINITIONS
+ * @type Object
+ * @private
+ * @since 0.0.13
+*/
+DEFINITIONS = {
+    chunksReceived: {type: 'counter', name: 'chunks_received_total', help: 'Chunks that have been received and stored'},
+    bytesReceived: {type: 'counter', name: 'bytes_received_total', help: 'Bytes of all stored chunks and form-files'},
+    uploadsCompleted: {type: 'counter', name: 'uploads_completed_total', help: 'Uploads of which the final file has been build'},
+    uploadsRejected: {type: 'counter', name: 'uploads_rejected_total', label: 'code', help: 'Uploads that were refused with an error, by error-code'},
+    uploadsExpired: {type: 'counter', name: 'uploads_expired_total', help: 'Unfinished transmissions that were removed because they expired'},
+    activeTransmissions: {type: 'gauge', name: 'active_transmissions', help: 'Unfinished transmissions'},
+    assemblingTransmissions: {type: 'gauge', name: 'assembling_transmissions', help: 'Transmissions of which this process is building or processing the final file'},
+    tempDirBytes: {type: 'gauge', name: 'temp_dir_bytes', help: 'Bytes of all temporarely files inside the temp-dir'},
+    assemblySeconds: {type: 'histogram', name: 'assembly_duration_seconds', help: 'Time it took to build (and verify) a final file'},
+    callbackSeconds: {type: 'histogram', name: 'callback_duration_seconds', help: 'Time it took the callback to process a final file'}
+};
+
+escapeLabel = function(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+};
+
+/**
+ * Creates a new metrics-instance, with all counters and histograms at zero.
+ *
+ * @method createMetrics
+ * @return {Object} the metrics
+ * @since 0.0.13
+*/
+createMetrics = function() {
+    var VALUES = {},
+        metrics;
+
+    DEFINITIONS.itsa_each(function(definition, key) {
+        if (definition.type==='histogram') {
+            VALUES[key] = {count: 0, sum: 0, buckets: BUCKETS.map(function() {
+                return 0;
+            })};
+        }
+        else if (definition.type==='counter') {
+            VALUES[key] = definition.label ? {} : 0;
+        }
+    });
+
+    metrics = {
+        /**
+         * Increases a counter.
+         *
+         * @method increment
+         * @param key {String} the counter, see `DEFINITIONS`
+         * @param [amount=1] {Number}
+         * @param [label] {String} the value of the counter's label, for counters that have one
+         * @since 0.0.13
+        */
+        increment: function(key, amount, label) {
+            (amount===undefined) && (amount=1);
+            if (DEFINITIONS[key].label) {
+                VALUES[key][label] = (VALUES[key][label] || 0) + amount;
+            }
+            else {
+                VALUES[key] += amount;
+            }
+        },
+
+        /**
+         * Registers a duration at a histogram.
+         *
+         * @method observe
+         * @param key {String} the histogram, see `DEFINITIONS`
+         * @param seconds {Number} the duration
+         * @since 0.0.13
+        */
+        observe: function(key, seconds) {
+            var histogram = VALUES[key];
+            histogram.count++;
+            histogram.sum += seconds;
+            BUCKETS.forEach(function(bucket, i) {
+                (seconds<=bucket) && histogram.buckets[i]++;
+            });
+        },
+
+        /**
+         * Returns all metrics as a plain object. Counters with a label are objects by label-value, histograms are objects
+         * with the properties `count`, `sum` and `buckets` (the cumulative counts, by upper bound).
+         *
+         * @method getStats
+         * @param gauges {Object} the current values of the gauges
+         * @return {Object} the metrics, by the keys of `DEFINITIONS`
+         * @since 0.0.13
+        */
+        getStats: function(gauges) {
+            var stats = {};
+            DEFINITIONS.itsa_each(function(definition, key) {
+                var histogram = VALUES[key];
+                if (definition.type==='gauge') {
+                    stats[key] = gauges[key] || 0;
+                }
+                else if (definition.type==='histogram') {
+                    stats[key] = {count: histogram.count, sum: histogram.sum, buckets: {}};
+                    BUCKETS.forEach(function(bucket, i) {
+                        stats[key].buckets[bucket] = histogram.buckets[i];
+                    });
+                }
+                else {
+                    stats[key] = definition.label ? Object.itsa_merge(VALUES[key]) : VALUES[key];
+                }
+            });
+            return stats;
+        },
+
+        /**
+         * Renders all metrics in the Prometheus text exposition format.
+         *
+         * @method render
+         * @param gauges {Object} the current values of the gauges
+         * @return {String} the metrics
+         * @since 0.0.13
+        */
+        render: function(gauges) {
+            var stats = metrics.getStats(gauges),
+                lines = [];
+            DEFINITIONS.itsa_each(function(definition, key) {
+                var name = PREFIX + definition.name,
+                    value = stats[key];
+                lines.push('# HELP ' + name + ' ' + definition.help, '# TYPE ' + name + ' ' + definition.type);
+                if (definition.type==='histogram') {
+                    BUCKETS.forEach(function(bucket) {
+                        lines.push(name + '_bucket{le="' + bucket + '"} ' + value.buckets[bucket]);
+                    });
+                    lines.push(name + '_bucket{le="+Inf"} ' + value.count, name + '_sum ' + value.sum, name + '_count ' + value.count);
+                }
+                else if (definition.label) {
+                    value.itsa_each(function(count, labelValue) {
+                        lines.push(name + '{' + definition.label + '="' + escapeLabel(labelValue) + '"} ' + count);
+                    });
+                }
+                else {
+                    lines.push(name + ' ' + value);
+                }
+            });
+            return lines.join('\n') + '\n';
+        }
+    };
+
+    return metrics;
+};
+
+module.exports = createMetrics;
@@ -0,0 +1,72 @@
+/**
+ * Adapter that makes the fileuploadhandler available for a plain nodejs `http.createServer`.
+ *
+ * The handlers expect the `request` (http.IncomingMessage) and `response` (http.ServerResponse)
+ * that are passed through by the server's request-listener. Params are made available at `request.params`.
+ * The chunk-data is piped from the request to disk, without buffering it in memory.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule node-http-handler
+ * @class NodeHttpHandler
+*/
+
+'use strict';
+
+var createHandlers = require('./handler-factory'),
+    querystring = require('querystring');
+
+module.exports = createHandlers({
+    getHeaders: function(request) {
+        return request.headers;
+    },
+
+    getMethod: function(request) {
+        return request.method;
+    },
+
+    getPath: function(request) {
+        return request.url.split('?')[0];
+    },
+
+    getPayload: function(request) {
+        return request;
+    },
+
+    getPayloadEncoding: function(request) {
+        return request.headers['content-encoding'];
+    },
+
+    getFormSource: function(request) {
+        return request;
+    },
+
+    getQuery: function(request) {
+        return querystring.parse(request.url.split('?')[1] || '');
+    },
+
+    send: function(request, response, result) {
+        var body = result.body,
+            headers = result.headers;
+        if (body && (typeof body.pipe==='function')) {
+            response.writeHead(result.statusCode, headers);
+            response.on('close', function() {
+                body.destroy();
+            });
+            body.pipe(response);
+            return;
+        }
+        if ((body!==undefined) && (typeof body!=='string')) {
+            body = JSON.stringify(body);
+            headers['Content-Type'] = 'application/json; charset=utf-8';
+        }
+        response.writeHead(result.statusCode, headers);
+        response.end(body);
+    },
+
+    isReplied: function(request, response) {
+        return !!response.headersSent;
+    }
+});
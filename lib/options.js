@@ -0,0 +1,264 @@
+/**
+ * Normalizes and validates the options of `getFns` and the route-options of the handlers.
+ *
+ * Options can be passed as one object, or (for backward compatibility) positional: `getFns(tempdir, maxFileSize,
+ * accessControlAllowOrigin, nsClientId, options)` and `recieveFile(request, response, maxFileSize, callback, waitForCb)`.
+ * Invalid or unknown options throw a TypeError, so misconfigurations are noticed at startup instead of during an upload.
+ * Options that are `undefined` or `null` get their default value.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule options
+ * @class Options
+*/
+
+'use strict';
+
+var checksum = require('./checksum'),
+    NAMINGS = require('./directory-sink').NAMINGS,
+    STORE_METHODS = ['get', 'addChunk', 'setInfo', 'claim', 'remove', 'list'],
+    EXTRACT_LIMITS = ['maxEntries', 'maxSize', 'maxRatio'],
+    HOOKS = ['onTransmissionStart', 'onChunk', 'onBeforeAssemble', 'onComplete', 'onAbort', 'onError'],
+    expect, isPositiveNumber, isNonNegativeNumber, isPositiveInteger, isString, isFunction, isBoolean, isStringArray,
+    isStorage, isExtract, GLOBAL_OPTIONS, ROUTE_OPTIONS, VALIDATED_ROUTE_OPTIONS, validate, options;
+
+require('itsa-jsext');
+
+// every validator describes what it expects, so the error-message can tell
+expect = function(description, check) {
+    return {
+        description: description,
+        check: check
+    };
+};
+
+isPositiveNumber = expect('a positive number', function(value) {
+    return (typeof value==='number') && (value>0);
+});
+
+isNonNegativeNumber = expect('a number of 0 or higher', function(value) {
+    return (typeof value==='number') && (value>=0);
+});
+
+isPositiveInteger = expect('a positive integer', function(value) {
+    return (typeof value==='number') && (value>0) && (value%1===0);
+});
+
+isString = expect('a non-empty string', function(value) {
+    return (typeof value==='string') && (value.length>0);
+});
+
+isFunction = expect('a function', function(value) {
+    return (typeof value==='function');
+});
+
+isBoolean = expect('a boolean', function(value) {
+    return (typeof value==='boolean');
+});
+
+isStringArray = expect('an array of strings', function(value) {
+    return Array.isArray(value) && value.every(function(item) {
+        return (typeof item==='string');
+    });
+});
+
+isStorage = expect('a storage-sink (an object with the method `store`), a folder or the options of a directory-sink ' +
+                   '(`dir` and an optional `naming`: ' + NAMINGS.join(', ') + ' or a function)', function(value) {
+    var naming = Object.itsa_isObject(value) && value.naming;
+    return ((typeof value==='string') && (value.length>0)) ||
+           (Object.itsa_isObject(value) && ((typeof value.store==='function') || ((typeof value.dir==='string') && (value.dir.length>0) &&
+            ((naming===undefined) || (naming===null) || (typeof naming==='function') || (NAMINGS.indexOf(naming)!==-1)))));
+});
+
+isExtract = expect('a boolean, or an object with the limits maxEntries, maxSize and/or maxRatio', function(value) {
+    return (typeof value==='boolean') || (Object.itsa_isObject(value) && value.itsa_keys().every(function(key) {
+        return (EXTRACT_LIMITS.indexOf(key)!==-1) && isPositiveNumber.check(value[key]);
+    }));
+});
+
+/**
+ * The options of `getFns`, with their validators.
+ *
+ * @property GLOBAL_OPTIONS
+ * @type Object
+ * @private
+ * @since 0.0.13
+*/
+GLOBAL_OPTIONS = {
+    tempDir: isString,
+    maxFileSize: isPositiveNumber,
+    accessControlAllowOrigin: expect('a string or a boolean', function(value) {
+        return (typeof value==='string') || (typeof value==='boolean');
+    }),
+    nsClientId: isString,
+    allowedTypes: isStringArray,
+    allowedExtensions: isStringArray,
+    storage: isStorage,
+    extract: isExtract,
+    clientIdSecret: isString,
+    clientIdTtl: isPositiveNumber,
+    clientIdSession: isFunction,
+    store: expect('\'file\' or a store-instance (an object with the methods ' + STORE_METHODS.join(', ') + ')', function(value) {
+        return (value==='file') || (Object.itsa_isObject(value) && STORE_METHODS.every(function(method) {
+            return (typeof value[method]==='function');
+        }));
+    }),
+    ttl: isNonNegativeNumber,
+    sweepInterval: isPositiveNumber,
+    fileChecksum: expect('one of the algorithms sha256, md5 or crc32', checksum.isSupported),
+    assembly: expect('\'concat\' or \'offset\'', function(value) {
+        return (value==='concat') || (value==='offset');
+    }),
+    maxTransmissionsPerClient: isPositiveInteger,
+    maxBytesPerClient: isPositiveNumber,
+    maxTempDirSize: isPositiveNumber,
+    maxChunksPerSecond: isPositiveNumber,
+    maxChunkCount: isPositiveInteger,
+    maxChunkSize: isPositiveNumber,
+    onExpire: isFunction,
+    logger: expect('an object with the method `error`', function(value) {
+        return !!value && (typeof value.error==='function');
+    })
+};
+
+/**
+ * The route-options of the handlers, with their validators.
+ *
+ * @property ROUTE_OPTIONS
+ * @type Object
+ * @private
+ * @since 0.0.13
+*/
+ROUTE_OPTIONS = {
+    maxFileSize: isPositiveNumber,
+    allowedTypes: isStringArray,
+    allowedExtensions: isStringArray,
+    storage: isStorage,
+    extract: isExtract,
+    callback: isFunction,
+    waitForCb: isBoolean
+};
+
+// lifecycle-hooks can be set globally, and per route:
+HOOKS.forEach(function(hook) {
+    GLOBAL_OPTIONS[hook] = isFunction;
+    ROUTE_OPTIONS[hook] = isFunction;
+});
+
+/**
+ * The route-options that have been validated, with their normalized copy: handlers get the same route-options
+ * with every request, which only need to be validated once.
+ *
+ * @property VALIDATED_ROUTE_OPTIONS
+ * @type WeakMap
+ * @private
+ * @since 0.0.13
+*/
+VALIDATED_ROUTE_OPTIONS = new WeakMap();
+
+// throws a TypeError at the first unknown or invalid option
+validate = function(values, validators, kind) {
+    values.itsa_each(function(value, key) {
+        var validator = validators[key];
+        if (!validator) {
+            throw new TypeError('Unknown ' + kind + ' "' + key + '", expected one of: ' + validators.itsa_keys().join(', '));
+        }
+        if ((value!==undefined) && (value!==null) && !validator.check(value)) {
+            throw new TypeError('Invalid ' + kind + ' "' + key + '": expected ' + validator.description + ', got ' + JSON.stringify(value));
+        }
+    });
+    return values;
+};
+
+options = {
+    /**
+     * The names of the lifecycle-hooks.
+     *
+     * @property HOOKS
+     * @type Array
+     * @since 0.0.13
+    */
+    HOOKS: HOOKS,
+
+    /**
+     * Normalizes the arguments of `getFns` into one options-object, and validates it.
+     * When the first argument is an object, it holds all options. Otherwise the arguments are positional,
+     * where positional values take precedence over the same options inside `options`.
+     *
+     * @method getOptions
+     * @param [tempdir] {String|Object} the temp-dir, or all options
+     * @param [maxFileSize] {Number}
+     * @param [accessControlAllowOrigin] {String|Boolean}
+     * @param [nsClientId] {String}
+     * @param [options] {Object} all other options
+     * @return {Object} the options
+     * @throws {TypeError} when an option is unknown or invalid
+     * @since 0.0.13
+    */
+    getOptions: function(tempdir, maxFileSize, accessControlAllowOrigin, nsClientId, options) {
+        var positional = {
+                tempDir: tempdir,
+                maxFileSize: maxFileSize,
+                accessControlAllowOrigin: accessControlAllowOrigin,
+                nsClientId: nsClientId
+            },
+            result = {};
+        if (Object.itsa_isObject(tempdir)) {
+            return validate(Object.itsa_merge(tempdir), GLOBAL_OPTIONS, 'option');
+        }
+        if (options && !Object.itsa_isObject(options)) {
+            throw new TypeError('Invalid options: expected an object, got ' + JSON.stringify(options));
+        }
+        // only positional values that are set overrule the options (like before, falsy values mean: not set):
+        positional.itsa_each(function(value, key) {
+            value && (result[key]=value);
+        });
+        return validate(result.itsa_merge(options), GLOBAL_OPTIONS, 'option');
+    },
+
+    /**
+     * Normalizes the route-arguments of a handler into one options-object, and validates it.
+     * The route-options can be an object, or positional: `maxFileSize, callback, waitForCb`, where `maxFileSize` can be left out
+     * or be falsy (f.e. `0` or `null`). Positional `callback` and `waitForCb` take precedence over the same options inside the object.
+     *
+     * An object is validated only the first time it is passed: later changes of it are not noticed.
+     * Every call returns a new object, so handlers can add their own properties to it.
+     *
+     * @method getRouteOptions
+     * @param [routeOptions] {Object|Number|Function} the route-options, the max filesize or the callback
+     * @param [callback] {Function|Boolean}
+     * @param [waitForCb] {Boolean}
+     * @return {Object} the route-options, including `callback` and `waitForCb`
+     * @throws {TypeError} when a route-option is unknown or invalid
+     * @since 0.0.13
+    */
+    getRouteOptions: function(routeOptions, callback, waitForCb) {
+        var positional = {},
+            validated;
+        if (typeof routeOptions==='function') {
+            waitForCb = callback;
+            callback = routeOptions;
+            routeOptions = null;
+        }
+        if (!routeOptions || (typeof routeOptions==='number')) {
+            routeOptions = {maxFileSize: routeOptions || null};
+        }
+        if (!Object.itsa_isObject(routeOptions)) {
+            throw new TypeError('Invalid route-options: expected an object or a number, got ' + JSON.stringify(routeOptions));
+        }
+        validated = VALIDATED_ROUTE_OPTIONS.get(routeOptions);
+        if (!validated) {
+            validated = validate(Object.itsa_merge(routeOptions), ROUTE_OPTIONS, 'route-option');
+            VALIDATED_ROUTE_OPTIONS.set(routeOptions, validated);
+            // the normalized copy may be passed again as well:
+            VALIDATED_ROUTE_OPTIONS.set(validated, validated);
+        }
+        (callback!==undefined) && (callback!==null) && (positional.callback=callback);
+        (waitForCb!==undefined) && (waitForCb!==null) && (positional.waitForCb=waitForCb);
+        return Object.itsa_merge(validated).itsa_merge(validate(positional, ROUTE_OPTIONS, 'route-option'), {force: true});
+    }
+};
+
+module.exports = options;
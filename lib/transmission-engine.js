@@ -0,0 +1,1503 @@
+/**
+ * Framework-agnostic core of the fileuploadhandler.
+ *
+ * The engine does all chunk-bookkeeping, size-checking, `x-data` parsing and final-file assembly.
+ * It accepts plain chunk-descriptors and returns plain results, which the framework-adapters
+ * (hapi, express) translate into their own request/response handling.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule transmission-engine
+ * @class TransmissionEngine
+*/
+
+'use strict';
+
+var crypto = require('crypto'),
+    EventEmitter = require('events'),
+    PassThrough = require('stream').PassThrough,
+    fileUtils = require('./file-utils'),
+    errors = require('./errors'),
+    checksum = require('./checksum'),
+    signedClientId = require('./client-id'),
+    fileType = require('./file-type'),
+    createMemoryStore = require('./memory-store'),
+    createFileStore = require('./file-store'),
+    createLimiter = require('./limiter'),
+    createMetrics = require('./metrics'),
+    createDirectorySink = require('./directory-sink'),
+    archive = require('./archive'),
+    multiparty = require('multiparty'),
+    DEF_NS_CLIENT_ID = 'ITSA_CL_ID',
+    DEF_MAX_FILESIZE = 100*1024*1024, // 100Mb
+    MSG_INVALID_CHECKSUM = 'Error: invalid checksum header',
+    MSG_INVALID_OFFSET = 'Error: invalid x-offset header',
+    MSG_INVALID_DATA = 'Error: invalid x-data header',
+    MSG_INVALID_TRANS_ID = 'Error: invalid x-transid header',
+    MSG_INVALID_PARTIAL = 'Error: invalid x-partial header',
+    MSG_INVALID_TOTAL_SIZE = 'Error: invalid x-total-size header',
+    MSG_INVALID_FILENAME = 'Error: invalid x-filename header',
+    DEF_MAX_CHUNK_COUNT = 100000,
+    // header-values are compared as numbers, so they should be within the safe integer-range:
+    VALID_INTEGER = /^\d{1,15}$/,
+    VALID_PARTIAL_ID = /^[1-9]\d{0,14}$/,
+    // the file-store uses the hex-encoded transId as folder-name, which may not exceed 255 characters:
+    VALID_TRANS_ID = /^[\x21-\x7e]{1,127}$/,
+    MSG_EXPIRED = 'Error: transmission expired',
+    ASSEMBLY_OFFSET = 'offset',
+    STORE_DIR = 'transmissions/',
+    DEF_TTL = 60*60*1000, // 1 hour
+    DEF_SWEEP_INTERVAL = 60*1000, // 1 minute
+    ORPHAN_MIN_AGE = 60*1000, // 1 minute
+    CANCELED_MEMORY = 60*1000, // 1 minute: long enough to refuse the chunks that were on their way when a transmission got canceled
+    HEARTBEAT_INTERVAL = 15*1000, // 15 seconds: keeps proxies from closing an idle progress-stream
+    REVIVER = function(key, value) {
+        return ((typeof value==='string') && value.itsa_toDate()) || value;
+    },
+    createEngine;
+
+require('itsa-jsext');
+require('fs-extra');
+
+/**
+ * Creates a new engine-instance. Every instance has its own temp-dir and its own administration of transmissions.
+ *
+ * Every method that handles a request returns (or resolves with) a plain result-object:
+ *
+ * {
+ *     statusCode: {Number}, // the http statuscode to respond with
+ *     headers: {Object}, // the response-headers (including the cors-header when needed)
+ *     body: {Object|String}, // the response-body
+ *     file: {Object}, // only when a transmission is complete: `tmpBuildFilename` and `originalFilename`
+ *     files: {Array}, // only with form-uploads: list of `fullFilename` and `originalFilename`
+ *     params: {Object}, // only when a transmission is complete: the params that were sent with the upload
+ *     transmission: {Object} // only when a transmission is complete: the completed transmission
+ * }
+ *
+ * The body is a readable stream with `getProgressStream`. Errors have the body `{status, code}`, see `errors`.
+ *
+ * The engine emits the event `progress` at `engine.events` during every transmission, see `emitProgress`.
+ *
+ * @method createEngine
+ * @param [options] {Object}
+ * @param [options.tempDir] {String} the folder where the temporarely-file should be created. If not specified,
+ *                                   then nodejs its temp environment's variable will be used
+ * @param [options.maxFileSize] {Number} the max upload filesize to be accepted. Can be overruled per request.
+ * @param [options.allowedTypes] {Array} the mime-types that may be uploaded, f.e. `['image/*', 'application/pdf']`. Can be overruled per request.
+ * @param [options.allowedExtensions] {Array} the file-extensions that may be uploaded, f.e. `['jpg', 'png']`. Can be overruled per request.
+ * @param [options.storage] {Object} a storage-sink into which completed uploads are moved, or the options of a directory-sink
+ *                                   (see `directory-sink`). Can be overruled per request.
+ * @param [options.extract] {Boolean|Object} whether completed ZIP and tar(.gz) uploads should be extracted, see `extractArchive`.
+ *                                           An object sets the limits `maxEntries`, `maxSize` and `maxRatio` (see `archive`).
+ *                                           Can be overruled per request.
+ * @param [options.accessControlAllowOrigin] {String|Boolean} value of the 'access-control-allow-origin' header, `true` means '*'
+ * @param [options.nsClientId] {String} the namespace that is used as prefix for every unique generated clientId.
+ * @param [options.clientIdSecret] {String} the secret with which clientIds are signed. When not specified, a random secret is used,
+ *                                         which means that clientIds can't be verified by other processes or after a restart.
+ * @param [options.clientIdTtl] {Number} time in ms that a generated clientId remains valid. When not specified, clientIds never expire.
+ * @param [options.store] {Object|String} the store that holds the administration of all transmissions. Either a store-instance
+ *                                        (see `memory-store` for its api) or 'file', which creates a file-store inside the temp-dir.
+ *                                        Processes that share the same temp-dir can share transmissions with a file-store.
+ *                                        When not specified, a memory-store is used.
+ * @param [options.ttl=3600000] {Number} time-to-live in ms of a transmission, counted from its last recieved chunk.
+ *                                       Expired transmissions are removed, including their chunk-files. Set to `0` to disable expiry.
+ * @param [options.sweepInterval=60000] {Number} the interval in ms of the sweeper that removes expired transmissions and orphan chunk-files
+ * @param [options.fileChecksum] {String} algorithm (`sha256`, `md5` or `crc32`) with which the checksum of every final file is calculated,
+ *                                      also when the client doesn't send the header `x-file-checksum`
+ * @param [options.assembly='concat'] {String} how the final file is assembled. With `concat`, every chunk is written into its own
+ *                                        temporarely file, which are piped into the final file once all chunks are recieved.
+ *                                        With `offset`, every chunk is written straight into a preallocated target file at its byte-offset,
+ *                                        so completion needs no concatenation pass. ITSA-clients then need to send the header `x-offset`
+ *                                        with every chunk; tus-uploads always have a known offset.
+ * @param [options.maxTransmissionsPerClient] {Number} max amount of unfinished transmissions per clientId (responds with 429)
+ * @param [options.maxBytesPerClient] {Number} max amount of bytes of all unfinished transmissions per clientId (responds with 429)
+ * @param [options.maxTempDirSize] {Number} max amount of bytes of all temporarely files inside the temp-dir (responds with 507)
+ * @param [options.maxChunksPerSecond] {Number} max amount of chunks per second per clientId (responds with 429)
+ * @param [options.maxChunkCount=100000] {Number} max amount of chunks of a transmission: a higher `x-partial` is responded with 400
+ * @param [options.maxChunkSize] {Number} max amount of bytes of a single chunk (responds with 413)
+ * @param [options.logger=console] {Object} the logger for unexpected failures: any object with the method `error`
+ * @param [options.onExpire] {Function} invoked for every transmission that has been removed by the sweeper, with an object
+ *                                      containing: `clientId`, `transId`, `filename`, `cummulatedSize`, `count`, `created` and `modified`
+ * @return {Object} the engine-instance
+ * @since 0.0.13
+*/
+createEngine = function(options) {
+    var TMP_DIR, NS_CLIENT_ID, CLIENT_ID_SECRET, ACCESS_CONTROL_ALLOW_ORIGIN, STORE, LIMITER, EVENTS, METRICS, STORAGE, SINKS, DIR_SINKS, LOGGER, TTL, BY_OFFSET, ACTIVE_TRANSMISSIONS, STARTING_TRANSMISSIONS,
+        CANCELED_TRANSMISSIONS, EXTRACTED_DIRS, MAX_CHUNK_COUNT, MAX_CHUNK_SIZE, globalMaxFileSize, tmpDirCreated, sweepTimer, engine, getMaxFileSize, getStorage, getRouteOptions, createFileTypeError, getLimitResult,
+        parseForm, isValidData, getHeaderError, getGauges, parseData, logError, runHook, notifyAbort, getHookErrorResult, isComplete, getFileType, getKey, getExpires, removeTransmission, removeOrphans;
+
+    options || (options={});
+    TMP_DIR = options.tempDir || process.env.TMP || process.env.TEMP || '/tmp';
+    NS_CLIENT_ID = options.nsClientId || DEF_NS_CLIENT_ID;
+    CLIENT_ID_SECRET = options.clientIdSecret || crypto.randomBytes(32).toString('hex');
+    ACCESS_CONTROL_ALLOW_ORIGIN = (options.accessControlAllowOrigin===true) ? '*' : (options.accessControlAllowOrigin || '');
+    globalMaxFileSize = options.maxFileSize;
+    TTL = (options.ttl===undefined) ? DEF_TTL : options.ttl;
+    BY_OFFSET = (options.assembly===ASSEMBLY_OFFSET);
+    LOGGER = options.logger || console;
+    MAX_CHUNK_COUNT = options.maxChunkCount || DEF_MAX_CHUNK_COUNT;
+    MAX_CHUNK_SIZE = options.maxChunkSize || Infinity;
+    // transmissions of which this process is building (or processing) the final file: these should not be swept
+    ACTIVE_TRANSMISSIONS = {};
+    // the pending `onTransmissionStart`-hooks, so that chunks which arrive at the same time don't start a transmission twice
+    STARTING_TRANSMISSIONS = {};
+    // timestamps of the transmissions that have been canceled recently: their late chunks are refused
+    CANCELED_TRANSMISSIONS = {};
+    // the folders of extracted archives that are being processed: these should not be swept either
+    EXTRACTED_DIRS = {};
+    // the directory-sinks of the route-options, by their storage-options (objects) or folder (strings)
+    SINKS = new WeakMap();
+    DIR_SINKS = {};
+
+    TMP_DIR.itsa_endsWith('/') || (TMP_DIR=TMP_DIR+'/');
+
+    tmpDirCreated = fileUtils.createDir(TMP_DIR);
+
+    if (options.store==='file') {
+        STORE = createFileStore(TMP_DIR+STORE_DIR);
+    }
+    else {
+        STORE = options.store || createMemoryStore();
+    }
+
+    LIMITER = createLimiter(options, STORE, TMP_DIR);
+
+    EVENTS = new EventEmitter();
+    // every progress-stream adds a listener:
+    EVENTS.setMaxListeners(0);
+
+    METRICS = createMetrics();
+
+    getMaxFileSize = function(maxFileSize) {
+        return maxFileSize || globalMaxFileSize || DEF_MAX_FILESIZE;
+    };
+
+    // a storage-sink, or the options of a directory-sink. Routes pass the same storage with every request,
+    // so its directory-sink is build only once:
+    getStorage = function(storage) {
+        var sink;
+        if (!storage || (typeof storage.store==='function')) {
+            return storage;
+        }
+        sink = (typeof storage==='string') ? DIR_SINKS[storage] : SINKS.get(storage);
+        if (!sink) {
+            sink = createDirectorySink(storage);
+            if (typeof storage==='string') {
+                DIR_SINKS[storage] = sink;
+            }
+            else {
+                SINKS.set(storage, sink);
+            }
+        }
+        return sink;
+    };
+
+    STORAGE = getStorage(options.storage);
+
+    getRouteOptions = function(routeOptions) {
+        // a number is just the max filesize:
+        ((typeof routeOptions==='object') && routeOptions) || (routeOptions={maxFileSize: routeOptions});
+        return {
+            maxFileSize: getMaxFileSize(routeOptions.maxFileSize),
+            allowedTypes: routeOptions.allowedTypes || options.allowedTypes,
+            allowedExtensions: routeOptions.allowedExtensions || options.allowedExtensions,
+            storage: routeOptions.storage ? getStorage(routeOptions.storage) : STORAGE,
+            hooks: routeOptions.hooks || {},
+            extract: ((routeOptions.extract===undefined) || (routeOptions.extract===null)) ? options.extract : routeOptions.extract
+        };
+    };
+
+    // measures the gauges of the metrics
+    getGauges = function() {
+        return Promise.all([
+            STORE.list(),
+            tmpDirCreated.then(function() {
+                return fileUtils.listTmpFiles(TMP_DIR);
+            })
+        ]).then(function(values) {
+            return {
+                activeTransmissions: values[0].filter(function(transmission) {
+                    return !transmission.claimed;
+                }).length,
+                assemblingTransmissions: ACTIVE_TRANSMISSIONS.itsa_size(),
+                tempDirBytes: values[1].reduce(function(size, file) {
+                    return size + file.size;
+                }, 0)
+            };
+        });
+    };
+
+    logError = function(err) {
+        LOGGER.error(err);
+    };
+
+    // invokes a hook (when set) with the rest of the arguments: the hook may return a value or a Promise
+    runHook = function(hook) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        if (!hook) {
+            return Promise.resolve();
+        }
+        try {
+            return Promise.resolve(hook.apply(null, args));
+        }
+        catch (err) {
+            return Promise.reject(err);
+        }
+    };
+
+    // informs the hook `onAbort` (when set) that a transmission has been aborted: its failures are only logged
+    notifyAbort = function(hooks, transmission, body) {
+        hooks && runHook(hooks.onAbort, {
+            clientId: transmission.clientId,
+            transId: transmission.transId,
+            status: body.status,
+            code: body.code
+        }).catch(logError);
+    };
+
+    // a hook that rejects with a structured error (see `errors.createError`) determines the response,
+    // any other rejection is an unexpected failure
+    getHookErrorResult = function(err) {
+        var result;
+        if (err && (typeof err.statusCode==='number') && (err.statusCode>=400) && (err.statusCode<600)) {
+            result = engine.rejectUpload(err.code || 'HOOK_REJECTED', err.message);
+            result.statusCode = err.statusCode;
+            return result;
+        }
+        logError(err);
+        return engine.rejectUpload('HOOK_FAILED');
+    };
+
+    getLimitResult = function(limit) {
+        var result = engine.rejectUpload(limit.code, null, {'Retry-After': String(limit.retryAfter)});
+        // browsers can only read the header when it is exposed:
+        result.headers['access-control-allow-origin'] && (result.headers['access-control-expose-headers']='Retry-After');
+        return result;
+    };
+
+    // parses a multipart form-upload and checks the type of all its files, see `receiveForm`
+    parseForm = function(form, source, routeOptions) {
+        return new Promise(function(fulfill) {
+            form.parse(source, function(err, fields, payload) {
+                var result;
+                if (err) {
+                    fulfill(engine.rejectUpload((err.statusCode===413) ? 'FILE_TOO_LARGE' :
+                                                ((err.statusCode===415) ? 'UNSUPPORTED_CONTENT_TYPE' : 'MALFORMED_FORM')));
+                    return;
+                }
+                result = engine.getResult(200, 'OK');
+                result.params = {};
+                Object.itsa_isObject(fields) && fields.itsa_each(function(value, key) {
+                    result.params[key] = value[0]; // seems all `values` are arrays with the first element the payload-value
+                });
+                result.files = (payload.uploadfiles || []).map(function(item) {
+                    METRICS.increment('bytesReceived', item.size || 0);
+                    return {
+                        fullFilename: item.path,
+                        originalFilename: fileUtils.sanitizeFilename(item.originalFilename)
+                    };
+                });
+                // sniff the content of every file: one disallowed file rejects the whole upload
+                fulfill(Promise.all(result.files.map(function(file) {
+                    return fileUtils.readHead(file.fullFilename, fileType.HEAD_SIZE).then(function(head) {
+                        var detected = fileType.detect(head);
+                        file.fileType = fileType.resolve(detected, file.originalFilename);
+                        return fileType.isExtensionAllowed(file.originalFilename, routeOptions.allowedExtensions) &&
+                               fileType.isAllowed(detected, routeOptions.allowedTypes, routeOptions.allowedExtensions, file.originalFilename);
+                    });
+                })).then(function(allowed) {
+                    if (allowed.every(Boolean)) {
+                        return result;
+                    }
+                    return engine.removeFormFiles(result.files).then(function() {
+                        return engine.rejectUpload('FILE_TYPE_NOT_ALLOWED');
+                    });
+                }));
+            });
+        });
+    };
+
+    createFileTypeError = function() {
+        var err = new Error(errors.getBody('FILE_TYPE_NOT_ALLOWED').status);
+        err.code = 'EFILETYPE';
+        return err;
+    };
+
+    isValidData = function(data) {
+        if (data) {
+            try {
+                JSON.parse(data);
+            }
+            catch (err) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    // returns the message of the first chunk-header that is missing or malformed, or null when all are valid
+    getHeaderError = function(chunk) {
+        if (!VALID_TRANS_ID.test(chunk.transId)) {
+            return MSG_INVALID_TRANS_ID;
+        }
+        // `partialId` is used as a key of the chunk-administration: only sequence-numbers within range are accepted
+        if (!VALID_PARTIAL_ID.test(chunk.partialId) || (parseInt(chunk.partialId, 10)>MAX_CHUNK_COUNT)) {
+            return MSG_INVALID_PARTIAL;
+        }
+        if (chunk.totalSize && !VALID_INTEGER.test(chunk.totalSize)) {
+            return MSG_INVALID_TOTAL_SIZE;
+        }
+        if (chunk.filename && !fileUtils.sanitizeFilename(chunk.filename)) {
+            return MSG_INVALID_FILENAME;
+        }
+        if (!isValidData(chunk.data)) {
+            return MSG_INVALID_DATA;
+        }
+        return null;
+    };
+
+    parseData = function(data) {
+        if (data) {
+            try {
+                return JSON.parse(data, REVIVER);
+            }
+            catch (err) {
+                LOGGER.error(err);
+            }
+        }
+        return {};
+    };
+
+    // a transmission is complete when the last part has been recieved (which defines `count`) and all other parts as well.
+    // Be aware: the last part me arive sooner than other parts!
+    isComplete = function(transmission) {
+        var partCount = transmission.count,
+            i;
+        if (!partCount) {
+            return false;
+        }
+        for (i=1; i<=partCount; i++) {
+            if (!transmission.chunks[i]) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    // the sniffed type (see `file-type`) is registered with the chunk at the start of the file
+    getFileType = function(transmission) {
+        var detected = null;
+        transmission.chunks.itsa_each(function(chunk) {
+            chunk.fileType && (detected=chunk.fileType);
+        });
+        return detected;
+    };
+
+    getKey = function(clientId, transId) {
+        return clientId + '\n' + transId;
+    };
+
+    getExpires = function(transmission) {
+        return TTL ? (transmission.modified + TTL) : null;
+    };
+
+    // removes the transmission from the store, including all its chunk-files
+    removeTransmission = function(transmission) {
+        var filenames = [];
+        transmission.chunks.itsa_each(function(chunk) {
+            filenames.push(chunk.filename);
+        });
+        transmission.tmpBuildFilename && filenames.push(transmission.tmpBuildFilename);
+        return Promise.all(filenames.map(fileUtils.removeFile)).then(function() {
+            return STORE.remove(transmission.clientId, transmission.transId);
+        });
+    };
+
+    // removes all temporarely files and folders inside the temp-dir that are not referenced.
+    // Only files that are older than ORPHAN_MIN_AGE are removed: other processes that share the temp-dir
+    // might have just written a chunk-file, which isn't registered yet.
+    removeOrphans = function(referenced) {
+        var maxMtime = Date.now() - ORPHAN_MIN_AGE;
+        return fileUtils.listTmpFiles(TMP_DIR).then(function(files) {
+            return Promise.all(files.map(function(file) {
+                if (!referenced[file.filename] && (file.mtime<maxMtime)) {
+                    return file.directory ? fileUtils.removeDir(file.filename) : fileUtils.removeFile(file.filename);
+                }
+            }));
+        });
+    };
+
+    engine = {
+        /**
+         * Removes all expired transmissions, including their chunk-files, and removes all orphan
+         * temporarely files inside the temp-dir. Gets invoked automaticly by the sweeper.
+         *
+         * @method sweep
+         * @return {Promise} resolves with an array of the removed transmissions
+         * @since 0.0.13
+        */
+        sweep: function() {
+            var now = Date.now(),
+                referenced = {},
+                expired = [];
+            CANCELED_TRANSMISSIONS.itsa_each(function(canceled, key) {
+                (canceled<now-CANCELED_MEMORY) && (delete CANCELED_TRANSMISSIONS[key]);
+            });
+            return STORE.list().then(function(transmissions) {
+                return Promise.all(transmissions.map(function(transmission) {
+                    var active = ACTIVE_TRANSMISSIONS[getKey(transmission.clientId, transmission.transId)];
+                    if (!active && TTL && (now>getExpires(transmission))) {
+                        engine.emitProgress('failed', transmission, errors.getBody('UNKNOWN_TRANSMISSION', MSG_EXPIRED));
+                        expired.push({
+                            clientId: transmission.clientId,
+                            transId: transmission.transId,
+                            filename: transmission.filename,
+                            cummulatedSize: transmission.cummulatedSize,
+                            count: transmission.count,
+                            created: transmission.created,
+                            modified: transmission.modified
+                        });
+                        return removeTransmission(transmission);
+                    }
+                    transmission.chunks.itsa_each(function(chunk) {
+                        referenced[chunk.filename] = true;
+                    });
+                    transmission.tmpBuildFilename && (referenced[transmission.tmpBuildFilename]=true);
+                }));
+            })
+            .then(function() {
+                ACTIVE_TRANSMISSIONS.itsa_each(function(tmpBuildFilename) {
+                    (typeof tmpBuildFilename==='string') && (referenced[tmpBuildFilename]=true);
+                });
+                EXTRACTED_DIRS.itsa_each(function(value, extractedDir) {
+                    referenced[extractedDir] = true;
+                });
+                return removeOrphans(referenced);
+            })
+            .then(function() {
+                expired.length && METRICS.increment('uploadsExpired', expired.length);
+                (typeof options.onExpire==='function') && expired.forEach(function(transmission) {
+                    options.onExpire(transmission);
+                });
+                return expired;
+            });
+        },
+
+        /**
+         * Stops the sweeper.
+         *
+         * @method destroy
+         * @since 0.0.13
+        */
+        destroy: function() {
+            clearInterval(sweepTimer);
+        },
+
+        /**
+         * The folder where all temporarely files are stored. Always ends with a slash.
+         *
+         * @property tmpDir
+         * @type String
+         * @since 0.0.13
+        */
+        tmpDir: TMP_DIR,
+
+        /**
+         * The transmission-store.
+         *
+         * @property store
+         * @type Object
+         * @since 0.0.13
+        */
+        store: STORE,
+
+        /**
+         * How final files are assembled: `concat` or `offset`.
+         *
+         * @property assembly
+         * @type String
+         * @since 0.0.13
+        */
+        assembly: BY_OFFSET ? ASSEMBLY_OFFSET : 'concat',
+
+        /**
+         * The limiter that guards the quotas and rate-limits (see `limiter`).
+         *
+         * @property limiter
+         * @type Object
+         * @since 0.0.13
+        */
+        limiter: LIMITER,
+
+        /**
+         * Emits the event `progress` during every transmission, see `emitProgress`.
+         *
+         * @property events
+         * @type EventEmitter
+         * @since 0.0.13
+        */
+        events: EVENTS,
+
+        /**
+         * The counters and histograms of this engine (see `metrics`). Use `getStats` or `getMetrics` to read them.
+         *
+         * @property metrics
+         * @type Object
+         * @since 0.0.13
+        */
+        metrics: METRICS,
+
+        /**
+         * Returns all metrics: the counters and histograms of this process, and the current gauges.
+         * See `metrics` for their meaning.
+         *
+         * @method getStats
+         * @return {Promise} resolves with an object with the properties `chunksReceived`, `bytesReceived`, `uploadsCompleted`,
+         *                   `uploadsRejected` (by error-code), `uploadsExpired`, `activeTransmissions`, `assemblingTransmissions`,
+         *                   `tempDirBytes`, `assemblySeconds` and `callbackSeconds` (histograms: `{count, sum, buckets}`)
+         * @since 0.0.13
+        */
+        getStats: function() {
+            return getGauges().then(METRICS.getStats);
+        },
+
+        /**
+         * Returns the result-object of all metrics in the Prometheus text exposition format, see `getStats`.
+         *
+         * @method getMetrics
+         * @return {Promise} resolves with a result-object, which has the metrics as its text-body
+         * @since 0.0.13
+        */
+        getMetrics: function() {
+            return getGauges().then(function(gauges) {
+                return engine.getResult(200, METRICS.render(gauges), {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+            });
+        },
+
+        /**
+         * Emits the event `progress` at `events`. The event is an object with the properties:
+         *
+         * `type` {String} `chunk` (a chunk has been stored), `assembling` (the final file is being build), `callback` (the callback
+         *                 is processing the final file), `complete` or `failed`
+         * `clientId` {String}
+         * `transId` {String}
+         * `filename` {String} the client's filename (null as long as the last chunk isn't recieved)
+         * `receivedBytes` {Number} the total size of all stored chunks
+         * `totalSize` {Number} the size of the file, as sent by the header `x-total-size` (null when unknown)
+         * `percent` {Number} `receivedBytes` as a percentage of `totalSize` (null when unknown)
+         * `chunks` {Number} the amount of stored chunks
+         * `count` {Number} the total amount of chunks (null as long as the last chunk isn't recieved)
+         *
+         * Additional properties are `partialId` (with `chunk`), and `status` and `code` (the error, see `errors`) with `failed`.
+         *
+         * @method emitProgress
+         * @param type {String} the type of the event
+         * @param transmission {Object} the transmission, or at least an object with `clientId` and `transId`
+         * @param [details] {Object} additional properties of the event
+         * @since 0.0.13
+        */
+        emitProgress: function(type, transmission, details) {
+            var chunks = transmission.chunks || {},
+                // tus-uploads register their size as `uploadLength`
+                totalSize = transmission.totalSize || transmission.uploadLength || null,
+                receivedBytes = transmission.cummulatedSize || 0,
+                event = {
+                    type: type,
+                    clientId: transmission.clientId,
+                    transId: transmission.transId,
+                    filename: transmission.filename || null,
+                    receivedBytes: receivedBytes,
+                    totalSize: totalSize,
+                    percent: totalSize ? Math.min(100, Math.floor(100*receivedBytes/totalSize)) : null,
+                    chunks: chunks.itsa_size(),
+                    count: transmission.count || null
+                };
+            EVENTS.emit('progress', details ? event.itsa_merge(details, {force: true}) : event);
+        },
+
+        /**
+         * Returns a result with a Server-Sent Events stream as its body, which pushes the progress-events (see `emitProgress`)
+         * of all transmissions of a client, or only of one of its transmissions. Every event is sent with its `type`
+         * as the event-name, and the JSON-stringified event as its data.
+         *
+         * The stream stays open until it gets destroyed, which the adapters do when the client disconnects.
+         *
+         * @method getProgressStream
+         * @param clientId {String} the clientId
+         * @param [transId] {String} the transmission-id: when set, only the events of this transmission are sent
+         * @param [session] {String} the session of the current request
+         * @return {Object} result-object, with statuscode 401 when the clientId is invalid
+         * @since 0.0.13
+        */
+        getProgressStream: function(clientId, transId, session) {
+            var stream, listener, heartbeat;
+            if (!engine.verifyClientId(clientId, session)) {
+                return engine.getErrorResult('INVALID_CLIENT_ID');
+            }
+            stream = new PassThrough();
+            listener = function(event) {
+                if ((event.clientId===clientId) && (!transId || (event.transId===transId))) {
+                    stream.write('event: ' + event.type + '\ndata: ' + JSON.stringify(event) + '\n\n');
+                }
+            };
+            EVENTS.on('progress', listener);
+            heartbeat = setInterval(function() {
+                stream.write(':\n\n');
+            }, HEARTBEAT_INTERVAL);
+            heartbeat.unref && heartbeat.unref();
+            stream.on('close', function() {
+                EVENTS.removeListener('progress', listener);
+                clearInterval(heartbeat);
+            });
+            // the comment makes the response-headers being sent immediately:
+            stream.write(':\n\n');
+            return engine.getResult(200, stream, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                // prevents buffering by nginx:
+                'X-Accel-Buffering': 'no'
+            });
+        },
+
+        /**
+         * Returns the error-result of an exceeded limit of the limiter, including the header `Retry-After`.
+         * It is counted as a rejected upload, see `rejectUpload`.
+         *
+         * @method getLimitResult
+         * @param limit {Object} the exceeded limit
+         * @return {Object} result-object
+         * @since 0.0.13
+        */
+        getLimitResult: getLimitResult,
+
+        /**
+         * Invokes a lifecycle-hook (when set) with the rest of the arguments, see `receiveChunk`.
+         *
+         * @method runHook
+         * @param [hook] {Function} the hook
+         * @return {Promise} resolves with the result of the hook, or rejects when the hook rejects (or throws)
+         * @since 0.0.13
+        */
+        runHook: runHook,
+
+        /**
+         * Returns the error-result of a hook that has refused an upload: a structured error (see `errors.createError`)
+         * determines the statuscode and code, any other error is logged and results in statuscode 500.
+         * It is counted as a rejected upload, see `rejectUpload`.
+         *
+         * @method getHookErrorResult
+         * @param err {Error} the rejection of the hook
+         * @return {Object} result-object
+         * @since 0.0.13
+        */
+        getHookErrorResult: getHookErrorResult,
+
+        /**
+         * Returns the options that apply to a request.
+         *
+         * @method getRouteOptions
+         * @param [routeOptions] {Number|Object} the max filesize for the current request, or an object with the properties
+         *                                       `maxFileSize`, `allowedTypes`, `allowedExtensions`, `storage` and `hooks`
+         *                                       (the lifecycle-hooks, see `receiveChunk`)
+         * @return {Object} the route-options, where every property that is not set falls back to the global value.
+         *                  `storage` is always a storage-sink (or undefined), `hooks` is always an object.
+         * @since 0.0.13
+        */
+        getRouteOptions: getRouteOptions,
+
+        /**
+         * Builds a plain result-object. The 'access-control-allow-origin' header gets set when configured.
+         *
+         * @method getResult
+         * @param statusCode {Number} the http statuscode
+         * @param [body] {Object|String} the response-body
+         * @param [headers] {Object} additional response-headers
+         * @return {Object} result-object with the properties `statusCode`, `headers` and `body`
+         * @since 0.0.13
+        */
+        getResult: function(statusCode, body, headers) {
+            headers || (headers={});
+            ACCESS_CONTROL_ALLOW_ORIGIN && (headers['access-control-allow-origin']=ACCESS_CONTROL_ALLOW_ORIGIN);
+            return {
+                statusCode: statusCode,
+                headers: headers,
+                body: body
+            };
+        },
+
+        /**
+         * Builds the result-object of an error, with the statuscode of the error-code and the body `{status, code}`.
+         *
+         * @method getErrorResult
+         * @param code {String} the error-code, see `errors`
+         * @param [message] {String} a message that is more specific than the default message of the code
+         * @param [headers] {Object} additional response-headers
+         * @return {Object} result-object
+         * @since 0.0.13
+        */
+        getErrorResult: function(code, message, headers) {
+            return engine.getResult(errors.getStatusCode(code), errors.getBody(code, message), headers);
+        },
+
+        /**
+         * Builds the result-object of an error that refuses an upload (see `getErrorResult`), and counts it
+         * for the metric `uploadsRejected`. Errors of other requests, f.e. for the status of a transmission, are not counted.
+         *
+         * @method rejectUpload
+         * @param code {String} the error-code, see `errors`
+         * @param [message] {String} a message that is more specific than the default message of the code
+         * @param [headers] {Object} additional response-headers
+         * @return {Object} result-object
+         * @since 0.0.13
+        */
+        rejectUpload: function(code, message, headers) {
+            METRICS.increment('uploadsRejected', 1, code);
+            return engine.getErrorResult(code, message, headers);
+        },
+
+        /**
+         * The logger for unexpected failures (`options.logger`, or the console).
+         *
+         * @property logger
+         * @type Object
+         * @since 0.0.13
+        */
+        logger: LOGGER,
+
+        /**
+         * Generates an unique clientId, which clients should use to identify themselves during fileuploads.
+         * The clientId is signed (see `client-id`), so it can't be guessed or forged.
+         *
+         * @method generateClientId
+         * @param [session] {String} the session that the clientId should be bound to
+         * @return {Object} result-object, with the unique clientId as text/plain body
+         * @since 0.0.13
+        */
+        generateClientId: function(session) {
+            return engine.getResult(200, signedClientId.create(CLIENT_ID_SECRET, NS_CLIENT_ID, options.clientIdTtl, session), {'Content-Type': 'text/plain'});
+        },
+
+        /**
+         * Whether a clientId has been generated by `generateClientId` (of this or another engine with the same secret),
+         * for the same session, and is not expired.
+         *
+         * @method verifyClientId
+         * @param clientId {String} the clientId
+         * @param [session] {String} the session of the current request
+         * @return {Boolean}
+         * @since 0.0.13
+        */
+        verifyClientId: function(clientId, session) {
+            return signedClientId.verify(CLIENT_ID_SECRET, clientId, session);
+        },
+
+        /**
+         * Returns the response for a cors-preflight request.
+         *
+         * @method responseOptions
+         * @param [requestHeaders] {String} the value of the request-header 'access-control-request-headers'
+         * @return {Object} result-object
+         * @since 0.0.13
+        */
+        responseOptions: function(requestHeaders) {
+            var headers = {
+                'access-control-allow-origin': ACCESS_CONTROL_ALLOW_ORIGIN,
+                'access-control-allow-methods': 'PUT,GET,POST,DELETE',
+                'access-control-max-age': '1728000',
+                'content-length': '0'
+            };
+            requestHeaders && (headers['access-control-allow-headers']=requestHeaders);
+            return {
+                statusCode: 200,
+                headers: headers
+            };
+        },
+
+        /**
+         * Processes a multipart form-upload. All files get stored inside the temp-dir.
+         * When a file is not of an allowed type, all files are removed and an error-result with statuscode 415 is returned.
+         * When the temp-dir is full (see `maxTempDirSize`), the upload is refused with statuscode 507.
+         *
+         * Of the lifecycle-hooks (see `receiveChunk`), only `onTransmissionStart` (invoked without arguments, before the form is parsed)
+         * and `onComplete` (invoked with an object with the properties `files` and `params`) apply to form-uploads.
+         *
+         * @method receiveForm
+         * @param source {Stream} the readable multipart-stream
+         * @param [routeOptions] {Number|Object} the max upload filesize to be accepted, or route-options (see `getRouteOptions`)
+         * @return {Promise} resolves with a result-object that has the additional properties `files` and `params`,
+         *                   or with an error-result when the upload failed
+         * @since 0.0.13
+        */
+        receiveForm: function(source, routeOptions) {
+            var hooks;
+            routeOptions = getRouteOptions(routeOptions);
+            hooks = routeOptions.hooks;
+            return LIMITER.check().then(function(limits) {
+                if (limits.exceeded) {
+                    return getLimitResult(limits.exceeded);
+                }
+                return runHook(hooks.onTransmissionStart).then(function() {
+                    var form = new multiparty.Form({
+                        autoFiles: true,
+                        uploadDir: TMP_DIR,
+                        maxFilesSize: routeOptions.maxFileSize
+                    });
+                    return parseForm(form, source, routeOptions);
+                }, getHookErrorResult);
+            }).then(function(result) {
+                if (result.statusCode>=400) {
+                    return result;
+                }
+                return runHook(hooks.onComplete, {files: result.files, params: result.params}).then(function() {
+                    METRICS.increment('uploadsCompleted', result.files.length);
+                    return result;
+                }, function(err) {
+                    return engine.removeFormFiles(result.files).then(function() {
+                        return getHookErrorResult(err);
+                    });
+                });
+            });
+        },
+
+        /**
+         * Returns the state of a transmission, so that a client can resume an interrupted upload
+         * by sending only the chunks that are missing.
+         *
+         * The body of the result has the properties:
+         * `received` {Array} the sorted partial-ids of all stored chunks
+         * `cummulatedSize` {Number} the total size of all stored chunks
+         * `count` {Number} the total amount of chunks (only known when the last chunk has been recieved)
+         * `expires` {Number} timestamp at which the transmission expires when no more chunks arrive (null when there is no expiry)
+         *
+         * @method getStatus
+         * @param clientId {String} the clientId (header `x-clientid`)
+         * @param transId {String} the transmission-id (header `x-transid`)
+         * @param [session] {String} the session of the current request
+         * @return {Promise} resolves with a result-object, which has statuscode 404 when the transmission is unknown,
+         *                   or statuscode 401 when the clientId is invalid
+         * @since 0.0.13
+        */
+        getStatus: function(clientId, transId, session) {
+            if (!engine.verifyClientId(clientId, session)) {
+                return Promise.resolve(engine.getErrorResult('INVALID_CLIENT_ID'));
+            }
+            return STORE.get(clientId, transId).then(function(transmission) {
+                if (!transmission) {
+                    return engine.getErrorResult('UNKNOWN_TRANSMISSION');
+                }
+                return engine.getResult(200, {
+                    status: 'OK',
+                    received: transmission.chunks.itsa_keys().map(function(partialId) {
+                        return parseInt(partialId, 10);
+                    }).sort(function(a, b) {
+                        return a-b;
+                    }),
+                    cummulatedSize: transmission.cummulatedSize,
+                    count: transmission.count || null,
+                    expires: getExpires(transmission)
+                });
+            });
+        },
+
+        /**
+         * Cancels an unfinished transmission, or all unfinished transmissions of a client: their chunk-files are removed,
+         * the `failed` progress-event is emitted and the hook `onAbort` is invoked, both with the code `TRANSMISSION_CANCELED`.
+         * Transmissions of which the final file is being build (or processed) can't be canceled anymore.
+         * Chunks of a canceled transmission that arrive within a minute afterwards are refused with statuscode 410.
+         *
+         * The body of the result has the property `canceled`: the transmission-ids that have been canceled.
+         *
+         * @method cancelTransmission
+         * @param clientId {String} the clientId (header `x-clientid`)
+         * @param [transId] {String} the transmission-id (header `x-transid`). When not set, all transmissions of the client are canceled.
+         * @param [session] {String} the session of the current request
+         * @param [hooks] {Object} the lifecycle-hooks, of which only `onAbort` is used
+         * @return {Promise} resolves with a result-object, which has statuscode 401 when the clientId is invalid.
+         *                   With `transId`, the statuscode is 404 when the transmission is unknown, and 409 when it is being completed.
+         * @since 0.0.13
+        */
+        cancelTransmission: function(clientId, transId, session, hooks) {
+            var now = Date.now();
+            if (!engine.verifyClientId(clientId, session)) {
+                return Promise.resolve(engine.getErrorResult('INVALID_CLIENT_ID'));
+            }
+            // a chunk of the transmission may still be on its way: it should not start the transmission again
+            transId && (CANCELED_TRANSMISSIONS[getKey(clientId, transId)]=now);
+            return (transId ? STORE.get(clientId, transId).then(function(transmission) {
+                return transmission ? [transmission] : [];
+            }) : STORE.list(clientId)).then(function(transmissions) {
+                var cancelable = transmissions.filter(function(transmission) {
+                    return !transmission.claimed;
+                });
+                if (transId && (transmissions.length===0)) {
+                    return engine.getErrorResult('UNKNOWN_TRANSMISSION');
+                }
+                if (transId && (cancelable.length===0)) {
+                    return engine.getErrorResult('TRANSMISSION_COMPLETING');
+                }
+                return Promise.all(cancelable.map(function(transmission) {
+                    CANCELED_TRANSMISSIONS[getKey(clientId, transmission.transId)] = now;
+                    return engine.abortTransmission(clientId, transmission.transId, 'TRANSMISSION_CANCELED', hooks).then(function() {
+                        return transmission.transId;
+                    });
+                })).then(function(canceled) {
+                    return engine.getResult(200, {status: 'OK', canceled: canceled});
+                });
+            });
+        },
+
+        /**
+         * Processes a filechunk. When all chunks of the transmission have been recieved,
+         * the final file gets build.
+         *
+         * Chunks can be retried safely: a chunk with a `partialId` that has been recieved already replaces the earlier one,
+         * so only the difference in size is counted. When both have the same `x-chunk-checksum`, the chunk is acknowledged
+         * without being written again.
+         *
+         * @method receiveChunk
+         * @param chunk {Object} the chunk-descriptor
+         * @param chunk.clientId {String} the clientId (header `x-clientid`)
+         * @param chunk.transId {String} the transmission-id (header `x-transid`)
+         * @param chunk.partialId {String} the sequence-number of the chunk (header `x-partial`), starting at 1
+         * @param [chunk.filename] {String} the client's filename, only with the last chunk (header `x-filename`).
+         *                             Path-segments and control-characters are removed.
+         * @param [chunk.totalSize] {String} the total size of the file in bytes (header `x-total-size`)
+         * @param [chunk.data] {String} JSON-stringified params, only with the last chunk (header `x-data`)
+         * @param [chunk.checksum] {String} the checksum of this chunk, formatted as `<algorithm>=<hex digest>` (header `x-chunk-checksum`)
+         * @param [chunk.fileChecksum] {String} the checksum of the whole file, formatted as `<algorithm>=<hex digest>` (header `x-file-checksum`)
+         * @param [chunk.offset] {String} the byte-offset of this chunk within the file (header `x-offset`), required with `assembly: 'offset'`
+         * @param [chunk.encoding] {String} the compression of the payload: `gzip`, `deflate` or `br` (header `x-chunk-encoding`
+         *                                  or `content-encoding`). The payload gets decompressed while it is written:
+         *                                  sizes, offsets and checksums refer to the decompressed data.
+         * @param chunk.payload {Buffer|Stream} the chunk-data
+         * @param [chunk.session] {String} the session of the current request: the clientId should be bound to it,
+         *                                 when it was bound during `generateClientId`. An invalid clientId is responded with statuscode 401.
+         *                                 Any other missing or malformed header is responded with statuscode 400.
+         * @param [routeOptions] {Number|Object} the max upload filesize to be accepted, or route-options (see `getRouteOptions`).
+         *                                       The type of the file is sniffed from the first chunk: a disallowed type (or extension
+         *                                       of `chunk.filename`) aborts the transmission with statuscode 415.
+         *
+         * The route-option `hooks` can have these lifecycle-hooks, which may return a Promise. A hook that rejects (or throws) refuses
+         * the chunk: with a structured error (see `errors.createError`) its statuscode and code are responded, any other error
+         * is responded with statuscode 500. Except for `onTransmissionStart`, a refusal also aborts the transmission.
+         *
+         * `onTransmissionStart(info)` before the first chunk of a transmission gets written, with an object with the properties
+         *                             `clientId`, `transId`, `partialId`, `filename` and `totalSize` (when known)
+         * `onChunk(info)` before every chunk gets written, with the same object plus `payload` (a Buffer or a readable stream).
+         *                 It may resolve with another payload, which gets written instead (checksums and limits apply to that payload)
+         * `onBeforeAssemble(transmission)` before the final file gets build
+         * `onComplete(info)` after the final file has been build (and verified), with an object with the properties `file`, `params`
+         *                    and `transmission`
+         * `onAbort(info)` after the transmission has been aborted, with an object with the properties `clientId`, `transId`,
+         *                 `status` and `code` (the error). Its result is ignored.
+         *
+         * @return {Promise} resolves with a result-object. When the transmission is complete, the result has the
+         *                   additional properties `file` and `params`. In that case `endTransmission` should be invoked
+         *                   when the final file has been processed.
+         * @since 0.0.13
+        */
+        receiveChunk: function(chunk, routeOptions) {
+            var clientId = chunk.clientId,
+                transId = chunk.transId,
+                partialId = chunk.partialId,
+                filename = chunk.filename && fileUtils.sanitizeFilename(chunk.filename),
+                chunkChecksum = checksum.parseHeader(chunk.checksum),
+                fileChecksum = checksum.parseHeader(chunk.fileChecksum),
+                offset = BY_OFFSET ? (VALID_INTEGER.test(chunk.offset) ? parseInt(chunk.offset, 10) : NaN) : undefined,
+                totalSize = parseInt(chunk.totalSize, 10) || undefined,
+                maxFileSize, hooks, hookInfo, startKey, headerError, rateLimit, abort, exceedsMax, rejectFileType, rejectHook, start, release, storeInfo, isIdentical,
+                info;
+
+            routeOptions = getRouteOptions(routeOptions);
+            maxFileSize = routeOptions.maxFileSize;
+            hooks = routeOptions.hooks;
+
+            // only clientIds that are issued by `generateClientId` are accepted, so nobody can inject chunks into other transmissions
+            if (!engine.verifyClientId(clientId, chunk.session)) {
+                return Promise.resolve(engine.rejectUpload('INVALID_CLIENT_ID'));
+            }
+            headerError = getHeaderError(chunk);
+            if (headerError) {
+                return Promise.resolve(engine.rejectUpload('BAD_HEADER', headerError));
+            }
+            if ((chunkChecksum===false) || (fileChecksum===false)) {
+                return Promise.resolve(engine.rejectUpload('BAD_HEADER', MSG_INVALID_CHECKSUM));
+            }
+            if (BY_OFFSET && (isNaN(offset) || (totalSize && (offset>totalSize)))) {
+                return Promise.resolve(engine.rejectUpload('BAD_HEADER', MSG_INVALID_OFFSET));
+            }
+            if (!fileUtils.isEncodingSupported(chunk.encoding)) {
+                return Promise.resolve(engine.rejectUpload('UNSUPPORTED_ENCODING'));
+            }
+            if (CANCELED_TRANSMISSIONS[getKey(clientId, transId)]) {
+                return Promise.resolve(engine.rejectUpload('TRANSMISSION_CANCELED'));
+            }
+            rateLimit = LIMITER.countChunk(clientId);
+            if (rateLimit) {
+                return Promise.resolve(getLimitResult(rateLimit));
+            }
+
+            // Abort if the total filesize (of all chunks) exceeds max.
+            // check for `totalSize`, which can abort every single chunk --> note: not 100% safe,
+            // a user could manipulate the header `x-total-size` manually.
+            // Therefore, also check for `cummulatedSize`, which is
+            // more safe method, but can only abort as soon as the cummulated size exceeds.
+            // The payload itself is limited while it is written, so an oversized chunk is aborted before it has been recieved completely.
+            // With offset-assembly, the chunk's offset is checked as well: it determines the size of the target file.
+            exceedsMax = function(cummulatedSize) {
+                if ((totalSize>maxFileSize) || (cummulatedSize>maxFileSize) || (offset>maxFileSize)) {
+                    return abort(engine.rejectUpload('FILE_TOO_LARGE'));
+                }
+            };
+
+            abort = function(result) {
+                return engine.abortTransmission(clientId, transId, result.body, hooks).then(function() {
+                    return result;
+                });
+            };
+
+            rejectFileType = function() {
+                return abort(engine.rejectUpload('FILE_TYPE_NOT_ALLOWED'));
+            };
+
+            // a refused chunk aborts the transmission (a refused start is just responded: there is no transmission yet)
+            rejectHook = function(err) {
+                return abort(getHookErrorResult(err));
+            };
+
+            hookInfo = {
+                clientId: clientId,
+                transId: transId,
+                partialId: parseInt(partialId, 10),
+                filename: filename,
+                totalSize: totalSize
+            };
+
+            // once the chunk that started the transmission has been processed, the store knows the transmission
+            release = function() {
+                startKey && (delete STARTING_TRANSMISSIONS[startKey]);
+            };
+
+            start = function(transmission) {
+                var key = getKey(clientId, transId);
+                if (transmission || !hooks.onTransmissionStart) {
+                    return Promise.resolve();
+                }
+                if (!STARTING_TRANSMISSIONS[key]) {
+                    startKey = key;
+                    STARTING_TRANSMISSIONS[key] = runHook(hooks.onTransmissionStart, hookInfo);
+                }
+                return STARTING_TRANSMISSIONS[key];
+            };
+
+            // the filename is only sent with the last chunk, but there is no need to recieve it when its extension isn't allowed:
+            if (filename && !fileType.isExtensionAllowed(filename, routeOptions.allowedExtensions)) {
+                return rejectFileType();
+            }
+
+            // if the last part is send, then `filename` and posible additional data `x-data` is defined.
+            // in which case we can set the property: `count`
+            storeInfo = function(transmission) {
+                info = {};
+                if (filename) {
+                    info.count = parseInt(partialId, 10);
+                    info.filename = filename;
+                    info.data = chunk.data;
+                }
+                fileChecksum && (info.fileChecksum=fileChecksum);
+                // the total size is needed for the progress-events:
+                totalSize && (transmission.totalSize!==totalSize) && (info.totalSize=totalSize);
+                if (info.itsa_size()===0) {
+                    return Promise.resolve(transmission);
+                }
+                return STORE.setInfo(clientId, transId, info);
+            };
+
+            // a retry of a chunk whose response got lost: it can be acknowledged when the client has sent the same chunk-checksum
+            isIdentical = function(previous) {
+                return !!chunkChecksum && !!previous.checksum && (previous.checksum.algorithm===chunkChecksum.algorithm) &&
+                       (previous.checksum.digest===chunkChecksum.digest) && (previous.offset===offset);
+            };
+
+            return Promise.all([STORE.get(clientId, transId), LIMITER.check(clientId, transId)]).then(function(values) {
+                var transmission = values[0],
+                    limits = values[1],
+                    previous = transmission && transmission.chunks[partialId],
+                    sniffed = transmission && getFileType(transmission),
+                    // a resent chunk replaces the previous one: only the difference in size counts
+                    resentSize = previous ? previous.size : 0,
+                    cummulatedSize = transmission ? transmission.cummulatedSize-resentSize : 0,
+                    fileBytesLeft = Math.min(maxFileSize-cummulatedSize, BY_OFFSET ? maxFileSize-offset : Infinity),
+                    bytesLeft = limits.bytesLeft + resentSize,
+                    writeOptions = {
+                        size: totalSize,
+                        maxSize: Math.min(fileBytesLeft, bytesLeft, MAX_CHUNK_SIZE),
+                        // the first bytes of the file tell its type:
+                        encoding: chunk.encoding,
+                        sniff: BY_OFFSET ? (offset===0) : (parseInt(partialId, 10)===1),
+                        filename: filename || (transmission && transmission.filename),
+                        allowedTypes: routeOptions.allowedTypes,
+                        allowedExtensions: routeOptions.allowedExtensions
+                    };
+                // an identical chunk is not written again, nor is any chunk of a final file that is being build
+                if (previous && (isIdentical(previous) || transmission.claimed)) {
+                    fileUtils.discardPayload(chunk.payload);
+                    return engine.buildFinalFile(transmission, hooks);
+                }
+                // the filename arrives after the first chunk: only then it is known which type of a container (f.e. zip) is uploaded
+                if (filename && sniffed && !fileType.isAllowed(sniffed, routeOptions.allowedTypes, routeOptions.allowedExtensions, filename)) {
+                    return rejectFileType();
+                }
+                // quota's don't abort the transmission: the client may retry later
+                if (limits.exceeded) {
+                    return getLimitResult(limits.exceeded);
+                }
+                return exceedsMax(cummulatedSize) || start(transmission).then(function() {
+                    return runHook(hooks.onChunk, Object.itsa_merge(hookInfo, {payload: chunk.payload})).then(function(payload) {
+                        return engine.writeChunk(clientId, transId, partialId, payload || chunk.payload, {checksum: chunkChecksum, offset: offset}, writeOptions).then(function(transmission) {
+                            // the transmission may have been canceled while the chunk was written: then it should not remain
+                            if (CANCELED_TRANSMISSIONS[getKey(clientId, transId)]) {
+                                return engine.abortTransmission(clientId, transId).then(function() {
+                                    return engine.rejectUpload('TRANSMISSION_CANCELED');
+                                });
+                            }
+                            // check again: other chunks of the same transmission may have been recieved in the meantime
+                            return exceedsMax(transmission.cummulatedSize) || storeInfo(transmission).then(function(transmission) {
+                                engine.emitProgress('chunk', transmission, {partialId: parseInt(partialId, 10)});
+                                return engine.buildFinalFile(transmission, hooks);
+                            });
+                        }, function(err) {
+                            if (err.code==='EMAXSIZE') {
+                                // an oversized chunk doesn't abort the transmission: the client may resend it in smaller chunks
+                                if (MAX_CHUNK_SIZE<Math.min(fileBytesLeft, bytesLeft)) {
+                                    return engine.rejectUpload('CHUNK_TOO_LARGE');
+                                }
+                                return (bytesLeft<fileBytesLeft) ? getLimitResult(limits.bytesLimit) : exceedsMax(Infinity);
+                            }
+                            if (err.code==='EFILETYPE') {
+                                return rejectFileType();
+                            }
+                            // a corrupted chunk is not stored: the client can retry just this chunk
+                            if (err.code==='ECHECKSUM') {
+                                return engine.rejectUpload('CHUNK_CHECKSUM_MISMATCH');
+                            }
+                            if (err.code==='EENCODING') {
+                                return engine.rejectUpload('MALFORMED_ENCODING');
+                            }
+                            logError(err);
+                            return engine.rejectUpload('CHUNK_WRITE_FAILED');
+                        });
+                    }, rejectHook);
+                }, getHookErrorResult);
+            }).then(function(result) {
+                release();
+                return result;
+            }, function(err) {
+                release();
+                throw err;
+            });
+        },
+
+        /**
+         * Writes the data of a chunk into an unique temporarely file, and registers it at the store.
+         * When `chunkInfo.offset` is defined, the data is moved into the transmission's target file at that offset
+         * once the chunk has passed all checks.
+         *
+         * The payload may be a readable stream, which is piped to disk without buffering it in memory.
+         * The returned Promise gets rejected with an error with `code` 'EMAXSIZE' when the payload exceeds `writeOptions.maxSize`,
+         * with `code` 'ECHECKSUM' when it doesn't match `chunkInfo.checksum`, with `code` 'EENCODING' when it can't be decompressed,
+         * or with `code` 'EFILETYPE' when its sniffed type is not allowed. In all these cases the chunk is not registered.
+         * A chunk with a `partialId` that has been registered already replaces the earlier chunk, whose file gets removed.
+         *
+         * @method writeChunk
+         * @param clientId {String} the clientId
+         * @param transId {String} the transmission-id
+         * @param partialId {String} the sequence-number of the chunk
+         * @param payload {Buffer|Stream} the chunk-data
+         * @param [chunkInfo] {Object} additional properties that should be registered with the chunk, f.e. `checksum` or `offset`
+         * @param [writeOptions] {Object}
+         * @param [writeOptions.size] {Number} the size of the whole file: used to preallocate the target file
+         * @param [writeOptions.maxSize] {Number} the max amount of (decompressed) bytes of the payload
+         * @param [writeOptions.encoding] {String} the content-encoding of the payload, which gets decompressed while it is written
+         * @param [writeOptions.sniff] {Boolean} whether the payload is the start of the file: its type gets detected and registered
+         *                                       as the chunk's `fileType`
+         * @param [writeOptions.allowedTypes] {Array} the allowed mime-types, only used with `sniff`
+         * @param [writeOptions.allowedExtensions] {Array} the allowed extensions, only used with `sniff`
+         * @param [writeOptions.filename] {String} the client's filename, when it is known already: only used with `sniff`
+         * @return {Promise} resolves with the updated transmission
+         * @since 0.0.13
+        */
+        writeChunk: function(clientId, transId, partialId, payload, chunkInfo, writeOptions) {
+            var byOffset = !!chunkInfo && (chunkInfo.offset!==undefined),
+                expectedChecksum = chunkInfo && chunkInfo.checksum,
+                detected, inspect, replaced;
+            writeOptions || (writeOptions={});
+            writeOptions.sniff && (inspect=function(head) {
+                detected = fileType.detect(head);
+                if (!fileType.isAllowed(detected, writeOptions.allowedTypes, writeOptions.allowedExtensions, writeOptions.filename)) {
+                    return createFileTypeError();
+                }
+            });
+            return tmpDirCreated.then(function() {
+                return fileUtils.getUniqueFilename(TMP_DIR);
+            }).then(function(filename) {
+                return fileUtils.savePayload(filename, payload, {
+                    maxSize: writeOptions.maxSize,
+                    encoding: writeOptions.encoding,
+                    algorithm: expectedChecksum && expectedChecksum.algorithm,
+                    inspect: inspect,
+                    inspectSize: fileType.HEAD_SIZE
+                }).then(function(saved) {
+                    var target, err;
+                    if (expectedChecksum && (saved.digest!==expectedChecksum.digest)) {
+                        err = new Error(errors.getBody('CHUNK_CHECKSUM_MISMATCH').status);
+                        err.code = 'ECHECKSUM';
+                        throw err;
+                    }
+                    if (!byOffset) {
+                        return {filename: filename, size: saved.size};
+                    }
+                    // only a chunk that has been checked completely is written into the target file:
+                    // a corrupted or oversized retry would otherwise overwrite data that has been recieved before
+                    target = fileUtils.getTargetFilename(TMP_DIR, clientId, transId);
+                    return fileUtils.moveToOffset(filename, target, chunkInfo.offset, writeOptions.size).then(function() {
+                        return {filename: target, size: saved.size};
+                    });
+                }).then(function(record) {
+                    writeOptions.sniff && (record.fileType=detected);
+                    // now save the chunk's filename:
+                    return STORE.get(clientId, transId).then(function(transmission) {
+                        replaced = transmission && transmission.chunks[partialId];
+                        return STORE.addChunk(clientId, transId, partialId, record.itsa_merge(chunkInfo));
+                    });
+                }).catch(function(err) {
+                    // an unregistered chunk-file would only be removed by the sweeper
+                    return fileUtils.removeFile(filename).then(function() {
+                        throw err;
+                    });
+                }).then(function(transmission) {
+                    var chunk = transmission.chunks[partialId];
+                    METRICS.increment('chunksReceived');
+                    METRICS.increment('bytesReceived', chunk.size);
+                    // a resent chunk has replaced the previous one, whose file isn't referenced anymore.
+                    // The target file is shared with the other chunks: it is removed with the transmission.
+                    // Should this fail, then the sweeper removes it as an orphan.
+                    if (!replaced || (replaced.filename===chunk.filename)) {
+                        return transmission;
+                    }
+                    return fileUtils.removeFile(replaced.filename).then(function() {
+                        return transmission;
+                    }, function(err) {
+                        logError(err);
+                        return transmission;
+                    });
+                });
+            });
+        },
+
+        /**
+         * Builds the final file of a transmission, but only when all its chunks have been recieved
+         * and no other process is building it already.
+         *
+         * When the client has sent a file-checksum, the final file gets verified. On a mismatch, the transmission
+         * is removed and an error-result is returned: the client needs to resend the whole file.
+         *
+         * @method buildFinalFile
+         * @param transmission {Object} the transmission, as returned by the store
+         * @param [hooks] {Object} the lifecycle-hooks `onBeforeAssemble`, `onComplete` and `onAbort`, see `receiveChunk`
+         * @return {Promise} resolves with a result-object. When the final file has been build, the result has the
+         *                   additional properties `file`, `params` and `transmission`, otherwise it is an intermediate response.
+         * @since 0.0.13
+        */
+        buildFinalFile: function(transmission, hooks) {
+            var clientId = transmission.clientId,
+                transId = transmission.transId,
+                key = getKey(clientId, transId),
+                expectedChecksum = transmission.fileChecksum,
+                fail, assemble, complete;
+            hooks || (hooks={});
+            if (!isComplete(transmission)) {
+                // intermediate response:
+                return Promise.resolve(engine.getResult(200, {status: 'BUSY'}));
+            }
+
+            fail = function(code) {
+                var body = errors.getBody(code);
+                delete ACTIVE_TRANSMISSIONS[key];
+                engine.emitProgress('failed', transmission, body);
+                notifyAbort(hooks, transmission, body);
+            };
+
+            assemble = function() {
+                var started = Date.now();
+                engine.emitProgress('assembling', transmission);
+                // `fileUtils.getFinalFile` will rebuild and take care of removal of the intermediate chunk-files:
+                return fileUtils.getFinalFile(TMP_DIR, transmission, expectedChecksum ? expectedChecksum.algorithm : options.fileChecksum).then(function(filedata) {
+                    var result = engine.getResult(200, {status: 'OK'});
+                    METRICS.observe('assemblySeconds', (Date.now()-started)/1000);
+                    if (expectedChecksum && (filedata.checksum.digest!==expectedChecksum.digest)) {
+                        fail('FILE_CHECKSUM_MISMATCH');
+                        return Promise.all([
+                            fileUtils.removeFile(filedata.tmpBuildFilename),
+                            STORE.remove(clientId, transId)
+                        ]).then(function() {
+                            return engine.rejectUpload('FILE_CHECKSUM_MISMATCH');
+                        });
+                    }
+                    ACTIVE_TRANSMISSIONS[key] = filedata.tmpBuildFilename;
+                    result.file = filedata;
+                    result.params = parseData(transmission.data);
+                    result.transmission = transmission;
+                    // register the final file, so that other processes won't remove it as an orphan:
+                    return STORE.setInfo(clientId, transId, {tmpBuildFilename: filedata.tmpBuildFilename}).then(function() {
+                        return complete(result);
+                    });
+                }, function(err) {
+                    // the transmission is claimed, so it can't be build again: the client needs to resend the whole file
+                    logError(err);
+                    fail('ASSEMBLY_FAILED');
+                    return removeTransmission(transmission).catch(logError).then(function() {
+                        return engine.rejectUpload('ASSEMBLY_FAILED');
+                    });
+                });
+            };
+
+            complete = function(result) {
+                return runHook(hooks.onComplete, {file: result.file, params: result.params, transmission: transmission}).then(function() {
+                    METRICS.increment('uploadsCompleted');
+                    return result;
+                }, function(err) {
+                    var errorResult = getHookErrorResult(err);
+                    delete ACTIVE_TRANSMISSIONS[key];
+                    // removes the final file as well, because it has been registered:
+                    return engine.abortTransmission(clientId, transId, errorResult.body, hooks).then(function() {
+                        return errorResult;
+                    });
+                });
+            };
+
+            // all parts are processed, we can build the final file.
+            // Only one process may do so: the others respond with an intermediate response.
+            return STORE.claim(clientId, transId).then(function(claimed) {
+                if (!claimed) {
+                    return engine.getResult(200, {status: 'BUSY'});
+                }
+                ACTIVE_TRANSMISSIONS[key] = true;
+                return runHook(hooks.onBeforeAssemble, transmission).then(assemble, function(err) {
+                    var errorResult = getHookErrorResult(err);
+                    delete ACTIVE_TRANSMISSIONS[key];
+                    return engine.abortTransmission(clientId, transId, errorResult.body, hooks).then(function() {
+                        return errorResult;
+                    });
+                });
+            });
+        },
+
+        /**
+         * Removes a transmission, including all its chunk-files.
+         *
+         * @method abortTransmission
+         * @param clientId {String} the clientId
+         * @param transId {String} the transmission-id
+         * @param [reason] {String|Object} the error-code (see `errors`) or the error-body `{status, code}`: when set,
+         *                                 the `failed` progress-event is emitted and the hook `onAbort` is invoked
+         * @param [hooks] {Object} the lifecycle-hooks, see `receiveChunk`
+         * @return {Promise} resolves with `true` when the transmission existed
+         * @since 0.0.13
+        */
+        abortTransmission: function(clientId, transId, reason, hooks) {
+            var body = (typeof reason==='string') ? errors.getBody(reason) : reason;
+            return STORE.get(clientId, transId).then(function(transmission) {
+                // the transmission doesn't exist yet when its first chunk is refused
+                var aborted = transmission || {clientId: clientId, transId: transId};
+                if (body) {
+                    engine.emitProgress('failed', aborted, body);
+                    notifyAbort(hooks, aborted, body);
+                }
+                return !!transmission && removeTransmission(transmission).then(function() {
+                    return true;
+                });
+            });
+        },
+
+        /**
+         * Cleans up a completed transmission: removes its administration and the final temporarely file.
+         *
+         * @method endTransmission
+         * @param clientId {String} the clientId
+         * @param transId {String} the transmission-id
+         * @param file {Object} the `file`-property of the result of `receiveChunk`
+         * @return {Promise} resolved when ready
+         * @since 0.0.13
+        */
+        endTransmission: function(clientId, transId, file) {
+            delete ACTIVE_TRANSMISSIONS[getKey(clientId, transId)];
+            file.extractedDir && (delete EXTRACTED_DIRS[file.extractedDir]);
+            return STORE.remove(clientId, transId).then(function() {
+                return Promise.all([
+                    fileUtils.removeFile(file.tmpBuildFilename),
+                    file.extractedDir && fileUtils.removeDir(file.extractedDir)
+                ]);
+            });
+        },
+
+        /**
+         * Extracts the final file of a transmission into a temporarely folder, when it is a ZIP or tar(.gz) archive
+         * (judged by the extension of the client's filename). The extracted files are registered at `file.extracted`,
+         * so `endTransmission` removes them as well.
+         *
+         * @method extractArchive
+         * @param file {Object} the `file`-property of the result of `receiveChunk`
+         * @param [limits] {Object|Boolean} the limits of the extraction, see `archive.extract`
+         * @return {Promise} resolves with `file`, which has the additional properties `extracted` (the extracted files,
+         *                   see `archive.extract`) and `extractedDir` (the folder), unless it isn't an archive.
+         *                   An archive that is refused rejects with an error with `code` and `statusCode`.
+         * @since 0.0.13
+        */
+        extractArchive: function(file, limits) {
+            var format = archive.getFormat(file.originalFilename);
+            if (!format) {
+                return Promise.resolve(file);
+            }
+            return tmpDirCreated.then(function() {
+                return fileUtils.getUniqueFilename(TMP_DIR);
+            }).then(function(folder) {
+                file.extractedDir = folder + '/';
+                // the sweeper should leave the folder alone, as long as the callback may use it:
+                EXTRACTED_DIRS[file.extractedDir] = true;
+                return archive.extract(file.tmpBuildFilename, file.extractedDir, format, limits);
+            }).then(function(files) {
+                file.extracted = files;
+                return file;
+            });
+        },
+
+        /**
+         * Removes the temporarely files of a form-upload.
+         *
+         * @method removeFormFiles
+         * @param files {Array} the `files`-property of the result of `receiveForm`
+         * @return {Promise} resolved when ready
+         * @since 0.0.13
+        */
+        removeFormFiles: function(files) {
+            return Promise.all(files.map(function(item) {
+                return fileUtils.removeFile(item.fullFilename);
+            }));
+        }
+    };
+
+    // remove leftovers of a previous run, and start the sweeper:
+    tmpDirCreated.then(engine.sweep).catch(logError);
+    sweepTimer = setInterval(function() {
+        engine.sweep().catch(logError);
+    }, options.sweepInterval || DEF_SWEEP_INTERVAL);
+    // the sweeper should not keep the process alive:
+    sweepTimer.unref && sweepTimer.unref();
+
+    return engine;
+};
+
+module.exports = createEngine;
@@ -0,0 +1,349 @@
+/**
+ * Implementation of the tus resumable-upload protocol (version 1.0.0, http://tus.io/protocols/resumable-upload.html)
+ * on top of the transmission-engine, with the extensions: `creation` and `termination`.
+ *
+ * Every PATCH-request is stored as a chunk of a transmission, so tus-uploads use the same temp-dir handling, store,
+ * expiry and final-file building as the ITSA-protocol. The metadata of an upload (header `Upload-Metadata`)
+ * is treated the same way as the `x-data` header of the ITSA-protocol.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule tus-protocol
+ * @class TusProtocol
+*/
+
+'use strict';
+
+var crypto = require('crypto'),
+    fileType = require('./file-type'),
+    fileUtils = require('./file-utils'),
+    TUS_VERSION = '1.0.0',
+    TUS_EXTENSIONS = 'creation,termination',
+    TUS_CLIENT_ID = 'tus',
+    TUS_CONTENT_TYPE = 'application/offset+octet-stream',
+    MSG_INVALID_LENGTH = 'Error: invalid Upload-Length',
+    MSG_INVALID_OFFSET = 'Error: invalid Upload-Offset',
+    MSG_UNKNOWN_UPLOAD = 'Error: unknown upload',
+    MSG_LENGTH_EXCEEDED = 'Error: data exceeds Upload-Length',
+    EXPOSE_HEADERS = 'Location,Upload-Offset,Upload-Length,Upload-Metadata,Tus-Resumable,Tus-Version,Tus-Extension,Tus-Max-Size,Retry-After',
+    ALLOW_METHODS = 'POST,GET,HEAD,PATCH,DELETE,OPTIONS',
+    parseMetadata, parseSize, createTusProtocol;
+
+require('itsa-jsext');
+
+/**
+ * Parses the header `Upload-Metadata`: comma-separated key-value pairs, with base64-encoded values.
+ *
+ * @method parseMetadata
+ * @param [header] {String} the value of the header
+ * @return {Object} the decoded metadata
+ * @private
+ * @since 0.0.13
+*/
+parseMetadata = function(header) {
+    var metadata = {};
+    header && header.split(',').forEach(function(pair) {
+        var parts = pair.trim().split(' ');
+        parts[0] && (metadata[parts[0]]=parts[1] ? Buffer.from(parts[1], 'base64').toString() : '');
+    });
+    return metadata;
+};
+
+parseSize = function(value) {
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+};
+
+/**
+ * Creates the tus-protocol handler for an engine.
+ *
+ * @method createTusProtocol
+ * @param engine {Object} the transmission-engine
+ * @return {Object} object with the method `handleRequest`
+ * @since 0.0.13
+*/
+createTusProtocol = function(engine) {
+    var patching = {},
+        addTusHeaders, getResult, getErrorResult, rejectUpload, getLimitResult, getHookInfo, createUpload, getOffset, appendChunk,
+        writePatch, terminateUpload;
+
+    addTusHeaders = function(result) {
+        result.headers['Tus-Resumable'] = TUS_VERSION;
+        // browsers can only read the tus-headers when they are exposed:
+        result.headers['access-control-allow-origin'] && (result.headers['access-control-expose-headers']=EXPOSE_HEADERS);
+        return result;
+    };
+
+    getResult = function(statusCode, headers, body) {
+        return addTusHeaders(engine.getResult(statusCode, body, headers));
+    };
+
+    getErrorResult = function(code, message, headers) {
+        return addTusHeaders(engine.getErrorResult(code, message, headers));
+    };
+
+    // the errors of creating and patching an upload are counted as rejected uploads, those of HEAD and DELETE are not
+    rejectUpload = function(code, message, headers) {
+        return addTusHeaders(engine.rejectUpload(code, message, headers));
+    };
+
+    getLimitResult = function(limit) {
+        return addTusHeaders(engine.getLimitResult(limit));
+    };
+
+    // the info for the hooks `onTransmissionStart` and `onChunk`, see `receiveChunk` of the engine
+    getHookInfo = function(uploadId, partialId, filename, uploadLength) {
+        return {
+            clientId: TUS_CLIENT_ID,
+            transId: uploadId,
+            partialId: partialId,
+            filename: filename,
+            totalSize: uploadLength
+        };
+    };
+
+    createUpload = function(request, routeOptions) {
+        var uploadLength = parseSize(request.headers['upload-length']),
+            metadataHeader = request.headers['upload-metadata'],
+            metadata = parseMetadata(metadataHeader),
+            uploadId = crypto.randomBytes(16).toString('hex'),
+            filename = fileUtils.sanitizeFilename(metadata.filename || metadata.name),
+            location = request.path.replace(/\/$/, '') + '/' + uploadId;
+        if (isNaN(uploadLength)) {
+            // `Upload-Defer-Length` is not supported
+            return Promise.resolve(rejectUpload('BAD_HEADER', MSG_INVALID_LENGTH));
+        }
+        if (uploadLength>routeOptions.maxFileSize) {
+            return Promise.resolve(rejectUpload('FILE_TOO_LARGE'));
+        }
+        if (filename && !fileType.isExtensionAllowed(filename, routeOptions.allowedExtensions)) {
+            return Promise.resolve(rejectUpload('FILE_TYPE_NOT_ALLOWED'));
+        }
+        // a refused start is just responded: there is no upload yet
+        return engine.runHook(routeOptions.hooks.onTransmissionStart, getHookInfo(uploadId, 0, filename, uploadLength)).then(function() {
+            return engine.store.setInfo(TUS_CLIENT_ID, uploadId, {
+                filename: filename || uploadId,
+                data: JSON.stringify(metadata),
+                uploadLength: uploadLength,
+                uploadMetadata: metadataHeader
+            }).then(function() {
+                if (uploadLength>0) {
+                    return getResult(201, {Location: location});
+                }
+                // no PATCH will follow an empty upload: it is completed right away
+                return writePatch({payload: Buffer.alloc(0)}, uploadId, 0, routeOptions).then(function(result) {
+                    if (result.statusCode<400) {
+                        result.statusCode = 201;
+                        result.headers.Location = location;
+                    }
+                    return result;
+                });
+            });
+        }, function(err) {
+            return addTusHeaders(engine.getHookErrorResult(err));
+        });
+    };
+
+    getOffset = function(uploadId) {
+        return engine.store.get(TUS_CLIENT_ID, uploadId).then(function(transmission) {
+            var headers = {'Cache-Control': 'no-store'};
+            if (!transmission) {
+                return getErrorResult('UNKNOWN_TRANSMISSION', MSG_UNKNOWN_UPLOAD, headers);
+            }
+            headers['Upload-Offset'] = String(transmission.cummulatedSize);
+            headers['Upload-Length'] = String(transmission.uploadLength);
+            transmission.uploadMetadata && (headers['Upload-Metadata']=transmission.uploadMetadata);
+            return getResult(200, headers);
+        });
+    };
+
+    appendChunk = function(request, uploadId, routeOptions) {
+        var uploadOffset = parseSize(request.headers['upload-offset']),
+            rateLimit, release;
+        if ((request.headers['content-type'] || '').split(';')[0].trim()!==TUS_CONTENT_TYPE) {
+            return Promise.resolve(rejectUpload('UNSUPPORTED_CONTENT_TYPE', 'Error: Content-Type must be ' + TUS_CONTENT_TYPE));
+        }
+        if (isNaN(uploadOffset)) {
+            return Promise.resolve(rejectUpload('BAD_HEADER', MSG_INVALID_OFFSET));
+        }
+        // PATCH-requests of the same upload would both become the same next chunk: only one at a time is written
+        if (patching[uploadId]) {
+            return Promise.resolve(rejectUpload('UPLOAD_LOCKED'));
+        }
+        rateLimit = engine.limiter.countChunk(TUS_CLIENT_ID+'-'+uploadId);
+        if (rateLimit) {
+            return Promise.resolve(getLimitResult(rateLimit));
+        }
+        patching[uploadId] = true;
+        release = function(result) {
+            delete patching[uploadId];
+            return result;
+        };
+        return writePatch(request, uploadId, uploadOffset, routeOptions).then(release, function(err) {
+            release();
+            throw err;
+        });
+    };
+
+    writePatch = function(request, uploadId, uploadOffset, routeOptions) {
+        var hooks = routeOptions.hooks;
+        // tus-uploads don't have a clientId, so only the size of the temp-dir is limited
+        return Promise.all([engine.store.get(TUS_CLIENT_ID, uploadId), engine.limiter.check()]).then(function(values) {
+            var transmission = values[0],
+                limits = values[1],
+                partialId, chunkInfo, writeOptions, abort;
+            if (!transmission) {
+                return rejectUpload('UNKNOWN_TRANSMISSION', MSG_UNKNOWN_UPLOAD);
+            }
+            // the final file is being build (or processed): nothing can be added anymore
+            if (transmission.claimed) {
+                return rejectUpload('TRANSMISSION_COMPLETING');
+            }
+            if (uploadOffset!==transmission.cummulatedSize) {
+                return rejectUpload('OFFSET_MISMATCH', null, {'Upload-Offset': String(transmission.cummulatedSize)});
+            }
+            if (limits.exceeded) {
+                return getLimitResult(limits.exceeded);
+            }
+            abort = function(result) {
+                return engine.abortTransmission(TUS_CLIENT_ID, uploadId, result.body, hooks).then(function() {
+                    return addTusHeaders(result);
+                });
+            };
+            // every PATCH becomes the next chunk of the transmission:
+            partialId = transmission.chunks.itsa_size()+1;
+            chunkInfo = engine.assembly==='offset' ? {offset: uploadOffset} : null;
+            writeOptions = {
+                size: transmission.uploadLength,
+                maxSize: Math.min(transmission.uploadLength-uploadOffset, limits.bytesLeft),
+                // the first bytes of the upload tell its type:
+                sniff: (uploadOffset===0),
+                filename: transmission.filename,
+                allowedTypes: routeOptions.allowedTypes,
+                allowedExtensions: routeOptions.allowedExtensions
+            };
+            return engine.runHook(hooks.onChunk, getHookInfo(uploadId, partialId, transmission.filename, transmission.uploadLength).itsa_merge({payload: request.payload})).then(function(payload) {
+                return engine.writeChunk(TUS_CLIENT_ID, uploadId, String(partialId), payload || request.payload, chunkInfo, writeOptions).then(function(transmission) {
+                    var headers = {'Upload-Offset': String(transmission.cummulatedSize)};
+                    engine.emitProgress('chunk', transmission, {partialId: partialId});
+                    if (transmission.cummulatedSize<transmission.uploadLength) {
+                        return getResult(204, headers);
+                    }
+                    // the upload is complete: now the total amount of chunks is known
+                    return engine.store.setInfo(TUS_CLIENT_ID, uploadId, {count: partialId}).then(function(transmission) {
+                        return engine.buildFinalFile(transmission, hooks);
+                    }).then(function(finalResult) {
+                        var result;
+                        if (finalResult.statusCode>=400) {
+                            return addTusHeaders(finalResult);
+                        }
+                        result = getResult(204, headers);
+                        result.file = finalResult.file;
+                        result.params = finalResult.params;
+                        result.transmission = finalResult.transmission;
+                        return result;
+                    });
+                }, function(err) {
+                    // the PATCH is aborted as soon as it passes Upload-Length: nothing of it has been stored
+                    if (err.code==='EMAXSIZE') {
+                        if (limits.bytesLeft<(transmission.uploadLength-uploadOffset)) {
+                            return getLimitResult(limits.bytesLimit);
+                        }
+                        return rejectUpload('FILE_TOO_LARGE', MSG_LENGTH_EXCEEDED);
+                    }
+                    if (err.code==='EFILETYPE') {
+                        return abort(engine.rejectUpload('FILE_TYPE_NOT_ALLOWED'));
+                    }
+                    engine.logger.error(err);
+                    return rejectUpload('CHUNK_WRITE_FAILED');
+                });
+            }, function(err) {
+                // a refused chunk aborts the upload
+                return abort(engine.getHookErrorResult(err));
+            });
+        });
+    };
+
+    terminateUpload = function(uploadId, routeOptions) {
+        return engine.store.get(TUS_CLIENT_ID, uploadId).then(function(transmission) {
+            if (!transmission) {
+                return getErrorResult('UNKNOWN_TRANSMISSION', MSG_UNKNOWN_UPLOAD);
+            }
+            // the final file is being build (or processed), and is removed when it has been processed
+            if (transmission.claimed) {
+                return getErrorResult('TRANSMISSION_COMPLETING');
+            }
+            return engine.abortTransmission(TUS_CLIENT_ID, uploadId, 'TRANSMISSION_CANCELED', routeOptions.hooks).then(function() {
+                return getResult(204);
+            });
+        });
+    };
+
+    return {
+        /**
+         * The clientId under which all tus-uploads are registered at the store.
+         *
+         * @property clientId
+         * @type String
+         * @since 0.0.13
+        */
+        clientId: TUS_CLIENT_ID,
+
+        /**
+         * Processes a tus-request.
+         *
+         * @method handleRequest
+         * @param request {Object} plain request-descriptor
+         * @param request.method {String} the http-method
+         * @param request.path {String} the url-path (without querystring). With POST the path of the upload-collection,
+         *                              otherwise the path of the upload itself: its last segment is the upload-id
+         * @param request.headers {Object} the lowercased request-headers
+         * @param [request.payload] {Buffer|Stream} the data (only with PATCH), can be a readable stream
+         * @param [routeOptions] {Number|Object} the max upload filesize to be accepted, or route-options (see `getRouteOptions` of the engine).
+         *                                       Its lifecycle-hooks are invoked as by `receiveChunk` of the engine: `onTransmissionStart`
+         *                                       when an upload is created, `onChunk` for every PATCH, and `onAbort` on a DELETE as well.
+         * @return {Promise} resolves with a result-object. When the upload is complete (by a PATCH, or by a POST with `Upload-Length: 0`),
+         *                   the result has the additional properties `file` and `params`. In that case `endTransmission` of the engine should be invoked
+         *                   (with `clientId` and the upload-id) when the final file has been processed.
+         * @since 0.0.13
+        */
+        handleRequest: function(request, routeOptions) {
+            var method = (request.headers['x-http-method-override'] || request.method).toUpperCase(),
+                uploadId = request.path.replace(/\/$/, '').split('/').pop(),
+                result, headers;
+            routeOptions = engine.getRouteOptions(routeOptions);
+            if (method==='OPTIONS') {
+                result = getResult(204, {
+                    'Tus-Version': TUS_VERSION,
+                    'Tus-Extension': TUS_EXTENSIONS,
+                    'Tus-Max-Size': String(routeOptions.maxFileSize)
+                });
+                headers = result.headers;
+                // cors-preflight:
+                if (headers['access-control-allow-origin']) {
+                    headers['access-control-allow-methods'] = ALLOW_METHODS;
+                    request.headers['access-control-request-headers'] && (headers['access-control-allow-headers']=request.headers['access-control-request-headers']);
+                    headers['access-control-max-age'] = '1728000';
+                }
+                return Promise.resolve(result);
+            }
+            if (request.headers['tus-resumable']!==TUS_VERSION) {
+                return Promise.resolve(getErrorResult('UNSUPPORTED_VERSION', null, {'Tus-Version': TUS_VERSION}));
+            }
+            switch (method) {
+                case 'POST':
+                    return createUpload(request, routeOptions);
+                case 'HEAD':
+                    return getOffset(uploadId);
+                case 'PATCH':
+                    return appendChunk(request, uploadId, routeOptions);
+                case 'DELETE':
+                    return terminateUpload(uploadId, routeOptions);
+            }
+            return Promise.resolve(getErrorResult('METHOD_NOT_ALLOWED', null, {Allow: ALLOW_METHODS}));
+        }
+    };
+};
+
+module.exports = createTusProtocol;
@@ -0,0 +1,406 @@
+/**
+ * Node client that uploads files to a server that uses `recieveFile`, by the same chunked protocol
+ * as the browser ITSA framework:
+ *
+ * 1. a clientId is fetched from the route of `generateClientId` (once per client, it is reused for all uploads)
+ * 2. the file is split into chunks, which are PUT with the headers `x-clientid`, `x-transid` and `x-partial`
+ * 3. the last chunk has the additional headers `x-filename`, `x-data` and `x-file-checksum`
+ * 4. the server responds to the chunk that completes the file with the final response (the others get `{status: 'BUSY'}`)
+ *
+ * Chunks are read one by one (a file or stream is never completely in memory), but are send in parallel.
+ * A chunk that fails by a network-error (f.e. `ECONNRESET`), or by an error that leaves the transmission intact
+ * (f.e. `RATE_LIMITED` or `CHUNK_CHECKSUM_MISMATCH`), is retried. Every chunk gets an `x-chunk-checksum`, so a retried chunk
+ * that was stored already is acknowledged without being written again.
+ *
+ * <i>Copyright (c) 2015 ITSA - https://github.com/itsa-server/file-upload-handler</i>
+ * New BSD License - http://choosealicense.com/licenses/bsd-3-clause/
+ *
+ * @module file-upload-handler
+ * @submodule upload-client
+ * @class UploadClient
+*/
+
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    http = require('http'),
+    https = require('https'),
+    crypto = require('crypto'),
+    urlParser = require('url'),
+    checksum = require('./checksum'),
+    errors = require('./errors'),
+    DEF_CHUNK_SIZE = 1024*1024, // 1Mb
+    DEF_PARALLEL = 3,
+    DEF_RETRIES = 3,
+    DEF_RETRY_DELAY = 500, // ms, doubles with every retry
+    DEF_FILENAME = 'file',
+    RETRY_STATUSCODES = [408, 502, 503, 504],
+    RETRY_CODES = ['RATE_LIMITED', 'TOO_MANY_TRANSMISSIONS', 'CLIENT_QUOTA_EXCEEDED', 'CHUNK_WRITE_FAILED', 'CHUNK_CHECKSUM_MISMATCH'],
+    // only network-errors that may not happen again are retried, not f.e. an invalid header:
+    RETRY_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+    request, createReader, isRetryable, getResponseError, createUploadClient;
+
+require('itsa-jsext');
+
+/**
+ * Sends a http(s)-request and resolves with the response as `{statusCode, headers, body}`,
+ * where a JSON-body is parsed. Rejects on network-errors (and timeouts), or when the request can't be made (f.e. an invalid header).
+ *
+ * @method request
+ * @param method {String}
+ * @param url {String}
+ * @param headers {Object}
+ * @param [payload] {Buffer}
+ * @param [timeout] {Number} ms without activity after which the request is aborted
+ * @return {Promise}
+ * @private
+ * @since 0.0.13
+*/
+request = function(method, url, headers, payload, timeout) {
+    return new Promise(function(resolve, reject) {
+        var location = urlParser.parse(url),
+            req;
+        req = ((location.protocol==='https:') ? https : http).request({
+            method: method,
+            protocol: location.protocol,
+            hostname: location.hostname,
+            port: location.port,
+            path: location.path,
+            headers: headers
+        }, function(res) {
+            var data = [];
+            res.on('data', function(buffer) {
+                data.push(buffer);
+            });
+            res.on('error', reject);
+            res.on('end', function() {
+                var body = Buffer.concat(data).toString('utf8');
+                if ((res.headers['content-type'] || '').indexOf('json')!==-1) {
+                    try {
+                        body = JSON.parse(body);
+                    }
+                    catch (err) {
+                        // keep the body as a string
+                    }
+                }
+                resolve({statusCode: res.statusCode, headers: res.headers, body: body});
+            });
+        });
+        req.on('error', reject);
+        timeout && req.setTimeout(timeout, function() {
+            var err = new Error('Request timed out: ' + method + ' ' + url);
+            err.code = 'ETIMEDOUT';
+            req.abort();
+            reject(err);
+        });
+        req.end(payload);
+    });
+};
+
+/**
+ * Reads a Buffer, file or readable stream in chunks of `chunkSize` bytes. The stream is paused
+ * as long as a full chunk is buffered.
+ *
+ * @method createReader
+ * @param source {Buffer|String|Stream} the data, the path of a file, or a readable stream
+ * @param chunkSize {Number}
+ * @return {Object} with the methods `next()`, which resolves with the next chunk (or null when all data has been read),
+ *                  and `close()`, which closes a file that has been opened by the reader
+ * @private
+ * @since 0.0.13
+*/
+createReader = function(source, chunkSize) {
+    var buffered = [],
+        size = 0,
+        ended = false,
+        failure = null,
+        waiting = null,
+        offset = 0,
+        stream, take, notify;
+
+    if (Buffer.isBuffer(source)) {
+        return {
+            next: function() {
+                var chunk = (offset<source.length) ? source.slice(offset, offset+chunkSize) : null;
+                offset += chunkSize;
+                return Promise.resolve(chunk);
+            },
+            close: function() {}
+        };
+    }
+
+    stream = (typeof source==='string') ? fs.createReadStream(source) : source;
+
+    take = function() {
+        var data = Buffer.concat(buffered);
+        buffered = (data.length>chunkSize) ? [data.slice(chunkSize)] : [];
+        size = Math.max(0, data.length-chunkSize);
+        return data.length ? data.slice(0, chunkSize) : null;
+    };
+
+    notify = function() {
+        var resolve = waiting;
+        if (!resolve || (!ended && !failure && (size<chunkSize))) {
+            return;
+        }
+        waiting = null;
+        failure ? resolve(Promise.reject(failure)) : resolve(take());
+    };
+
+    stream.on('data', function(data) {
+        Buffer.isBuffer(data) || (data=Buffer.from(String(data)));
+        buffered.push(data);
+        size += data.length;
+        (size>=chunkSize) && stream.pause();
+        notify();
+    });
+    stream.on('end', function() {
+        ended = true;
+        notify();
+    });
+    stream.on('error', function(err) {
+        failure = err;
+        notify();
+    });
+    stream.pause();
+
+    return {
+        next: function() {
+            return new Promise(function(resolve) {
+                waiting = resolve;
+                notify();
+                waiting && stream.resume();
+            });
+        },
+        close: function() {
+            // streams of the caller are left alone
+            (typeof source==='string') && stream.destroy();
+        }
+    };
+};
+
+// whether a chunk that got an error-response can be resent
+isRetryable = function(response) {
+    var code = response.body && response.body.code;
+    return code ? (RETRY_CODES.indexOf(code)!==-1) : (RETRY_STATUSCODES.indexOf(response.statusCode)!==-1);
+};
+
+// converts an error-response into a structured error (see `errors.createError`), with the response at `err.response`
+getResponseError = function(response) {
+    var body = Object.itsa_isObject(response.body) ? response.body : {},
+        err = errors.createError(body.code || 'INTERNAL_ERROR', body.status || ('Error: statuscode ' + response.statusCode), response.statusCode);
+    err.response = response;
+    return err;
+};
+
+/**
+ * Creates a new upload-client.
+ *
+ * @example
+ *     var client = require('itsa-fileuploadhandler').createUploadClient({url: 'http://localhost:8080/procesfile'});
+ *     client.upload('/data/report.pdf', {data: {folder: 'reports'}}).then(function(response) {
+ *         console.info(response.statusCode, response.body);
+ *     });
+ *
+ * @method createUploadClient
+ * @param options {Object|String} the options, or just the url
+ * @param options.url {String} the url of the route that uses `recieveFile`
+ * @param [options.clientIdUrl] {String} the url of the route that uses `generateClientId`. Defaults to `options.url`
+ * @param [options.chunkSize=1048576] {Number} the size of the chunks in bytes: should not exceed the `maxChunkSize` of the server
+ * @param [options.parallel=3] {Number} the number of chunks that are send at the same time
+ * @param [options.retries=3] {Number} how many times a failing chunk is resent
+ * @param [options.retryDelay=500] {Number} ms before the first retry, which doubles with every next retry. A `Retry-After`
+ *                                 header of the server takes precedence
+ * @param [options.timeout] {Number} ms without activity after which a request is aborted (and retried)
+ * @param [options.checksum='sha256'] {String|null} algorithm of the chunk- and file-checksums: `sha256`, `md5`, `crc32` or null to send none
+ * @param [options.headers] {Object} additional headers for all requests, f.e. a cookie or authorization-header
+ * @return {Object} the client
+ * @since 0.0.13
+*/
+createUploadClient = function(options) {
+    var clientIdPromise = null,
+        transCount = 0,
+        // the transIds of clients that share a clientId (f.e. in several processes) should not collide:
+        TRANS_PREFIX = crypto.randomBytes(8).toString('hex'),
+        URL, CLIENT_ID_URL, CHUNK_SIZE, PARALLEL, RETRIES, RETRY_DELAY, ALGORITHM, HEADERS, getClientId, sendChunk;
+
+    (typeof options==='string') && (options={url: options});
+    URL = options.url;
+    if (!URL) {
+        throw new TypeError('Invalid option "url": expected the url of the upload-route');
+    }
+    CLIENT_ID_URL = options.clientIdUrl || URL;
+    CHUNK_SIZE = options.chunkSize || DEF_CHUNK_SIZE;
+    PARALLEL = options.parallel || DEF_PARALLEL;
+    RETRIES = (typeof options.retries==='number') ? options.retries : DEF_RETRIES;
+    RETRY_DELAY = (typeof options.retryDelay==='number') ? options.retryDelay : DEF_RETRY_DELAY;
+    ALGORITHM = (options.checksum===undefined) ? 'sha256' : options.checksum;
+    if (ALGORITHM && !checksum.isSupported(ALGORITHM)) {
+        throw new TypeError('Invalid option "checksum": expected sha256, md5, crc32 or null, got "' + ALGORITHM + '"');
+    }
+    HEADERS = options.headers || {};
+
+    // the clientId is fetched once, unless the server refuses it (f.e. when it has expired)
+    getClientId = function() {
+        clientIdPromise || (clientIdPromise=request('GET', CLIENT_ID_URL, HEADERS, null, options.timeout).then(function(response) {
+            if (response.statusCode!==200) {
+                throw getResponseError(response);
+            }
+            return String(response.body);
+        }));
+        clientIdPromise.catch(function() {
+            clientIdPromise = null;
+        });
+        return clientIdPromise;
+    };
+
+    // sends a chunk and resolves with its response, resending it when it fails in a way that allows a retry
+    sendChunk = function(headers, payload, attempt) {
+        var retry = function(response) {
+            var retryAfter = response && parseInt(response.headers['retry-after'], 10),
+                delay = retryAfter ? retryAfter*1000 : RETRY_DELAY*Math.pow(2, attempt);
+            return new Promise(function(resolve) {
+                setTimeout(resolve, delay);
+            }).then(function() {
+                return sendChunk(headers, payload, attempt+1);
+            });
+        };
+        return request('PUT', URL, headers, payload, options.timeout).then(function(response) {
+            if (response.statusCode<400) {
+                return response;
+            }
+            if ((attempt<RETRIES) && isRetryable(response)) {
+                return retry(response);
+            }
+            throw getResponseError(response);
+        }, function(err) {
+            if ((attempt<RETRIES) && (RETRY_NETWORK_CODES.indexOf(err.code)!==-1)) {
+                return retry();
+            }
+            throw err;
+        });
+    };
+
+    return {
+        /**
+         * Uploads a file, and resolves with the final response of the server: `{statusCode, headers, body}`,
+         * where body is the JSON-response (`{status: 'OK'}`, or whatever the server's callback replied).
+         * An error-response is rejected with a structured error (see `errors.createError`) that has the properties
+         * `code`, `statusCode` and `response`, or with the code `UPLOAD_INCOMPLETE` when no chunk got the final response.
+         * Network-errors that persist after all retries, and other errors of the request itself, are rejected as they are. The chunks of a failed upload are not removed
+         * on the server: they expire.
+         *
+         * @method upload
+         * @param source {Buffer|String|Stream} the data, the path of a file, or a readable stream
+         * @param [uploadOptions] {Object}
+         * @param [uploadOptions.filename] {String} the filename for the server (`x-filename`). Defaults to the name of the file,
+         *                                 or `file` for Buffers and streams
+         * @param [uploadOptions.data] {Object} additional data, which the server makes available at `request.params` (`x-data`)
+         * @param [uploadOptions.totalSize] {Number} the size of the file, needed for the progress-events of a stream.
+         *                                  Files and Buffers are measured by themselves
+         * @return {Promise}
+         * @since 0.0.13
+        */
+        upload: function(source, uploadOptions) {
+            var transId = TRANS_PREFIX + '-' + (++transCount),
+                fileHash = ALGORITHM && checksum.createHash(ALGORITHM),
+                count = 0,
+                finalResponse = null,
+                failed = false,
+                filename, measure;
+            uploadOptions || (uploadOptions={});
+            filename = uploadOptions.filename || ((typeof source==='string') ? path.basename(source) : DEF_FILENAME);
+
+            if (typeof source==='string') {
+                measure = new Promise(function(resolve, reject) {
+                    fs.stat(source, function(err, stats) {
+                        err ? reject(err) : resolve(stats.size);
+                    });
+                });
+            }
+            else {
+                measure = Promise.resolve(Buffer.isBuffer(source) ? source.length : uploadOptions.totalSize);
+            }
+
+            return Promise.all([getClientId(), measure]).then(function(values) {
+                var clientId = values[0],
+                    totalSize = values[1],
+                    reader = createReader(source, CHUNK_SIZE),
+                    queue = Promise.resolve(),
+                    ahead, takeChunk, work, workers, i;
+
+                // chunks are taken in order, one ahead: the last chunk needs to be known to send the filename with it
+                takeChunk = function() {
+                    queue = queue.then(function() {
+                        return (ahead===undefined) ? reader.next() : ahead;
+                    }).then(function(payload) {
+                        if (!payload && (count>0)) {
+                            return null;
+                        }
+                        return reader.next().then(function(next) {
+                            var chunk = {partialId: ++count, payload: payload || Buffer.alloc(0), last: !next};
+                            ahead = next;
+                            fileHash && fileHash.update(chunk.payload);
+                            return chunk;
+                        });
+                    });
+                    return queue;
+                };
+
+                work = function() {
+                    if (failed) {
+                        return Promise.resolve();
+                    }
+                    return takeChunk().then(function(chunk) {
+                        var headers;
+                        if (!chunk) {
+                            return;
+                        }
+                        headers = Object.itsa_merge(HEADERS).itsa_merge({
+                            'content-type': 'application/octet-stream',
+                            'content-length': chunk.payload.length,
+                            'x-clientid': clientId,
+                            'x-transid': transId,
+                            'x-partial': String(chunk.partialId)
+                        }, {force: true});
+                        (totalSize!==undefined) && (headers['x-total-size']=String(totalSize));
+                        ALGORITHM && (headers['x-chunk-checksum']=ALGORITHM + '=' + checksum.compute(ALGORITHM, chunk.payload));
+                        if (chunk.last) {
+                            // headers can only hold latin1-characters:
+                            headers['x-filename'] = encodeURIComponent(filename);
+                            uploadOptions.data && (headers['x-data']=encodeURIComponent(JSON.stringify(uploadOptions.data)));
+                            fileHash && (headers['x-file-checksum']=ALGORITHM + '=' + fileHash.digest('hex'));
+                        }
+                        return sendChunk(headers, chunk.payload, 0).then(function(response) {
+                            // all other chunks are responded with `{status: 'BUSY'}`
+                            var busy = Object.itsa_isObject(response.body) && (response.body.status==='BUSY') && (response.body.itsa_size()===1);
+                            busy || (finalResponse=response);
+                            return work();
+                        });
+                    }).catch(function(err) {
+                        failed || reader.close();
+                        failed = true;
+                        // a refused clientId is fetched again with the next upload:
+                        (err.code==='INVALID_CLIENT_ID') && (clientIdPromise=null);
+                        throw err;
+                    });
+                };
+
+                workers = [];
+                for (i=0; i<PARALLEL; i++) {
+                    workers.push(work());
+                }
+                return Promise.all(workers);
+            }).then(function() {
+                if (!finalResponse) {
+                    // f.e. when the response of the completing chunk got lost, after which its retry started a new transmission
+                    throw errors.createError('UPLOAD_INCOMPLETE', 'Error: the server did not complete the upload', 502);
+                }
+                return finalResponse;
+            });
+        }
+    };
+};
+
+module.exports = createUploadClient;
@@ -0,0 +1,160 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    zlib = require('zlib'),
+    archive = require('../lib/archive'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-archive-' + process.pid + '/';
+
+require('fs-extra');
+
+describe('archive', function () {
+    // builds a zip of `entries` ({name, data, symlink}), with deflated data
+    var createZip = function(entries) {
+            var locals = [],
+                centrals = [],
+                offset = 0,
+                eocd = Buffer.alloc(22);
+            entries.forEach(function(entry) {
+                var name = Buffer.from(entry.name),
+                    data = zlib.deflateRawSync(Buffer.from(entry.data || '')),
+                    local = Buffer.alloc(30),
+                    central = Buffer.alloc(46);
+                local.writeUInt32LE(0x04034b50, 0);
+                local.writeUInt16LE(8, 8);
+                local.writeUInt32LE(data.length, 18);
+                local.writeUInt32LE((entry.data || '').length, 22);
+                local.writeUInt16LE(name.length, 26);
+                central.writeUInt32LE(0x02014b50, 0);
+                central.writeUInt16LE(8, 10);
+                central.writeUInt32LE(data.length, 20);
+                central.writeUInt32LE((entry.data || '').length, 24);
+                central.writeUInt16LE(name.length, 28);
+                central.writeUInt32LE(entry.symlink ? (0xa1ff<<16)>>>0 : 0, 38);
+                central.writeUInt32LE(offset, 42);
+                locals.push(local, name, data);
+                centrals.push(central, name);
+                offset += local.length + name.length + data.length;
+            });
+            eocd.writeUInt32LE(0x06054b50, 0);
+            eocd.writeUInt16LE(entries.length, 8);
+            eocd.writeUInt16LE(entries.length, 10);
+            eocd.writeUInt32LE(Buffer.concat(centrals).length, 12);
+            eocd.writeUInt32LE(offset, 16);
+            return Buffer.concat(locals.concat(centrals, [eocd]));
+        },
+        // builds a tar of `entries` ({name, data, type})
+        createTar = function(entries) {
+            var blocks = [];
+            entries.forEach(function(entry) {
+                var header = Buffer.alloc(512),
+                    data = Buffer.from(entry.data || ''),
+                    sum = 0,
+                    i;
+                header.write(entry.name, 0);
+                header.write('0000644\0', 100);
+                header.write(('00000000000' + data.length.toString(8)).substr(-11) + '\0', 124);
+                header.write(entry.type || '0', 156);
+                header.write('ustar\x0000', 257);
+                header.fill(32, 148, 156);
+                for (i=0; i<512; i++) {
+                    sum += header[i];
+                }
+                header.write(('000000' + sum.toString(8)).substr(-6) + '\0 ', 148);
+                blocks.push(header, data, Buffer.alloc((512-data.length%512)%512));
+            });
+            blocks.push(Buffer.alloc(1024));
+            return Buffer.concat(blocks);
+        },
+        extract = function(name, content, format, limits) {
+            return fsp.writeFile(TMP_DIR+name, content).then(function() {
+                return archive.extract(TMP_DIR+name, TMP_DIR+name+'-extracted/', format, limits);
+            });
+        },
+        expectRefusal = function(promise, code, message) {
+            return promise.then(function() {
+                throw new Error('should have been rejected');
+            }, function(err) {
+                expect(err.code).to.be.equal(code);
+                message && expect(err.message).to.contain(message);
+            });
+        };
+
+    before(function() {
+        return fsp.mkdirs(TMP_DIR);
+    });
+
+    after(function() {
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('detects the format by the extension', function () {
+        expect(archive.getFormat('docs.ZIP')).to.be.equal('zip');
+        expect(archive.getFormat('docs.tar.gz')).to.be.equal('tgz');
+        expect(archive.getFormat('docs.tar')).to.be.equal('tar');
+        expect(archive.getFormat('docs.gz')).to.be.null;
+    });
+
+    it('extracts a zip', function () {
+        var zip = createZip([{name: 'docs/'}, {name: 'docs/a.txt', data: 'hello'}, {name: 'b.txt', data: 'world'}]);
+        return extract('a.zip', zip, 'zip', true).then(function(files) {
+            expect(files.map(function(file) {
+                return file.name + ':' + file.size;
+            })).to.be.eql(['docs/a.txt:5', 'b.txt:5']);
+            return fsp.readFile(files[0].filename, 'utf8');
+        }).then(function(data) {
+            expect(data).to.be.equal('hello');
+        });
+    });
+
+    it('extracts a tar.gz', function () {
+        var tgz = zlib.gzipSync(createTar([{name: 'docs/', type: '5'}, {name: 'docs/a.txt', data: 'hello'}, {name: 'b.txt'}]));
+        return extract('a.tgz', tgz, 'tgz').then(function(files) {
+            expect(files.map(function(file) {
+                return file.name + ':' + file.size;
+            })).to.be.eql(['docs/a.txt:5', 'b.txt:0']);
+            // the decompressed tar is written inside the folder, and removed afterwards:
+            return Promise.all([fsp.readdir(TMP_DIR), fsp.readdir(TMP_DIR+'a.tgz-extracted/')]);
+        }).then(function(names) {
+            expect(names[0].filter(function(name) {
+                return name.indexOf('a.tgz')===0;
+            }).sort()).to.be.eql(['a.tgz', 'a.tgz-extracted']);
+            expect(names[1].sort()).to.be.eql(['b.txt', 'docs']);
+        });
+    });
+
+    it('refuses entries outside the folder and links', function () {
+        return Promise.all([
+            expectRefusal(extract('slip.zip', createZip([{name: '../evil.txt', data: 'x'}]), 'zip'), 'INVALID_ARCHIVE', 'unsafe path'),
+            expectRefusal(extract('abs.tar', createTar([{name: '/etc/evil', data: 'x'}]), 'tar'), 'INVALID_ARCHIVE', 'unsafe path'),
+            expectRefusal(extract('link.zip', createZip([{name: 'link', data: '/etc/passwd', symlink: true}]), 'zip'), 'INVALID_ARCHIVE', 'links'),
+            expectRefusal(extract('link.tar', createTar([{name: 'link', type: '2'}]), 'tar'), 'INVALID_ARCHIVE', 'links'),
+            expectRefusal(extract('corrupt.zip', Buffer.from('not a zip'), 'zip'), 'INVALID_ARCHIVE')
+        ]).then(function() {
+            return fsp.exists(TMP_DIR+'evil.txt');
+        }).then(function(exists) {
+            expect(exists).to.be.false;
+        });
+    });
+
+    it('refuses entries below a file, and files in place of a folder', function () {
+        return Promise.all([
+            expectRefusal(extract('below.zip', createZip([{name: 'a', data: 'x'}, {name: 'a/b', data: 'y'}]), 'zip'), 'INVALID_ARCHIVE', 'below a file'),
+            expectRefusal(extract('below.tar', createTar([{name: 'a', data: 'x'}, {name: 'a/b/c', data: 'y'}]), 'tar'), 'INVALID_ARCHIVE', 'below a file'),
+            expectRefusal(extract('folder.tar', createTar([{name: 'a/b', data: 'x'}, {name: 'a', data: 'y'}]), 'tar'), 'INVALID_ARCHIVE', 'in place of a folder')
+        ]);
+    });
+
+    it('refuses too many entries and decompression bombs', function () {
+        var bomb = new Array(1024*1024 + 1).join('0');
+        return Promise.all([
+            expectRefusal(extract('many.zip', createZip([{name: 'a'}, {name: 'b'}, {name: 'c'}]), 'zip', {maxEntries: 2}), 'ARCHIVE_TOO_LARGE', 'entries'),
+            expectRefusal(extract('big.zip', createZip([{name: 'a', data: 'hello'}, {name: 'b', data: 'world'}]), 'zip', {maxSize: 8}), 'ARCHIVE_TOO_LARGE'),
+            expectRefusal(extract('bomb.zip', createZip([{name: 'bomb', data: bomb}]), 'zip'), 'ARCHIVE_TOO_LARGE'),
+            expectRefusal(extract('bomb.tgz', zlib.gzipSync(createTar([{name: 'bomb', data: bomb}])), 'tgz'), 'ARCHIVE_TOO_LARGE')
+        ]);
+    });
+
+});
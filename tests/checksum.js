@@ -0,0 +1,40 @@
+/*global describe, it */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    checksum = require('../lib/checksum');
+
+describe('checksum', function () {
+
+    it('computes sha256, md5 and crc32 digests', function () {
+        var data = Buffer.from('The quick brown fox jumps over the lazy dog');
+        expect(checksum.compute('sha256', data)).to.be.equal('d7a8fbb307d7809469ca9abcb0082e4f8d5651e46d3cdb762d02d0bf37c9e592');
+        expect(checksum.compute('md5', data)).to.be.equal('9e107d9d372bb6826bd81d3542a419d6');
+        expect(checksum.compute('crc32', data)).to.be.equal('414fa339');
+    });
+
+    it('gives the same digest when updated in parts', function () {
+        var hash = checksum.createHash('crc32');
+        hash.update(Buffer.from('The quick brown fox '));
+        hash.update(Buffer.from('jumps over the lazy dog'));
+        expect(hash.digest('hex')).to.be.equal('414fa339');
+    });
+
+    it('pads crc32 digests to 8 characters', function () {
+        expect(checksum.compute('crc32', Buffer.from(''))).to.be.equal('00000000');
+    });
+
+    it('parses checksum headers', function () {
+        expect(checksum.parseHeader()).to.be.null;
+        expect(checksum.parseHeader('SHA256=ABCdef01')).to.be.eql({algorithm: 'sha256', digest: 'abcdef01'});
+        expect(checksum.parseHeader('crc32=414fa339')).to.be.eql({algorithm: 'crc32', digest: '414fa339'});
+    });
+
+    it('rejects invalid checksum headers', function () {
+        expect(checksum.parseHeader('sha1=abcdef')).to.be.false;
+        expect(checksum.parseHeader('sha256')).to.be.false;
+        expect(checksum.parseHeader('sha256=xyz')).to.be.false;
+    });
+
+});
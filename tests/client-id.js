@@ -0,0 +1,40 @@
+/*global describe, it */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    clientId = require('../lib/client-id'),
+    SECRET = 'a-secret';
+
+describe('client-id', function () {
+
+    it('creates unique, verifiable clientIds', function () {
+        var id1 = clientId.create(SECRET, 'ITSA_CL_ID'),
+            id2 = clientId.create(SECRET, 'ITSA_CL_ID');
+        expect(id1).to.not.be.equal(id2);
+        expect(id1.substr(0, 11)).to.be.equal('ITSA_CL_ID-');
+        expect(clientId.verify(SECRET, id1)).to.be.true;
+        expect(clientId.verify(SECRET, id2)).to.be.true;
+    });
+
+    it('rejects forged and unsigned clientIds', function () {
+        var id = clientId.create(SECRET, 'ITSA_CL_ID');
+        expect(clientId.verify('another-secret', id)).to.be.false;
+        expect(clientId.verify(SECRET, id.replace('ITSA', 'ITSB'))).to.be.false;
+        expect(clientId.verify(SECRET, 'ITSA_CL_ID-1')).to.be.false;
+        expect(clientId.verify(SECRET, undefined)).to.be.false;
+    });
+
+    it('binds clientIds to a session', function () {
+        var id = clientId.create(SECRET, 'ITSA_CL_ID', null, 'user-1');
+        expect(clientId.verify(SECRET, id, 'user-1')).to.be.true;
+        expect(clientId.verify(SECRET, id, 'user-2')).to.be.false;
+        expect(clientId.verify(SECRET, id)).to.be.false;
+    });
+
+    it('rejects expired clientIds', function () {
+        expect(clientId.verify(SECRET, clientId.create(SECRET, 'ITSA_CL_ID', 60000))).to.be.true;
+        expect(clientId.verify(SECRET, clientId.create(SECRET, 'ITSA_CL_ID', -1))).to.be.false;
+    });
+
+});
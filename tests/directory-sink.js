@@ -0,0 +1,84 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    createDirectorySink = require('../lib/directory-sink'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-sink-' + process.pid + '/',
+    STORAGE_DIR = TMP_DIR + 'storage/';
+
+require('fs-extra');
+
+describe('directory-sink', function () {
+    var createTmpFile = function(name, content) {
+        return fsp.writeFile(TMP_DIR+name, content).then(function() {
+            return {filename: TMP_DIR+name, originalFilename: '../../photo.jpg', fileType: {mime: 'image/jpeg', ext: 'jpg'}};
+        });
+    };
+
+    before(function() {
+        return fsp.mkdirs(TMP_DIR);
+    });
+
+    after(function() {
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('stores under the client\'s filename and adds a suffix when it exists', function () {
+        var sink = createDirectorySink(STORAGE_DIR+'original');
+        return createTmpFile('tmp-file-a', 'first').then(sink.store).then(function(stored) {
+            expect(stored.name).to.be.equal('photo.jpg');
+            return createTmpFile('tmp-file-b', 'second').then(sink.store);
+        }).then(function(stored) {
+            expect(stored.name).to.be.equal('photo-1.jpg');
+            return Promise.all([
+                fsp.readFile(STORAGE_DIR+'original/photo.jpg', 'utf8'),
+                fsp.readFile(stored.location, 'utf8'),
+                fsp.exists(TMP_DIR+'tmp-file-b')
+            ]);
+        }).then(function(results) {
+            expect(results).to.be.eql(['first', 'second', false]);
+        });
+    });
+
+    it('stores an identical file only once with naming `hash`', function () {
+        var sink = createDirectorySink({dir: STORAGE_DIR+'hash', naming: 'hash'}),
+            location;
+        return createTmpFile('tmp-file-c', 'same').then(sink.store).then(function(stored) {
+            expect(stored.name).to.match(/^[0-9a-f]{64}\.jpg$/);
+            expect(stored.duplicate).to.be.false;
+            location = stored.location;
+            return createTmpFile('tmp-file-d', 'same').then(sink.store);
+        }).then(function(stored) {
+            expect(stored.location).to.be.equal(location);
+            expect(stored.duplicate).to.be.true;
+            return fsp.exists(TMP_DIR+'tmp-file-d');
+        }).then(function(exists) {
+            expect(exists).to.be.false;
+        });
+    });
+
+    it('stores with naming `uuid` and `date`', function () {
+        var uuidSink = createDirectorySink({dir: STORAGE_DIR+'uuid', naming: 'uuid'}),
+            dateSink = createDirectorySink({dir: STORAGE_DIR+'date', naming: 'date'});
+        return createTmpFile('tmp-file-e', 'uuid').then(uuidSink.store).then(function(stored) {
+            expect(stored.name).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\.jpg$/);
+            return createTmpFile('tmp-file-f', 'date').then(dateSink.store);
+        }).then(function(stored) {
+            expect(stored.name).to.match(/^\d{4}\/\d{2}\/\d{2}\/photo\.jpg$/);
+        });
+    });
+
+    it('doesn\'t let a custom name escape the folder', function () {
+        var sink = createDirectorySink({dir: STORAGE_DIR+'custom', naming: function() {
+            return '../escaped.jpg';
+        }});
+        return createTmpFile('tmp-file-g', 'custom').then(sink.store).then(function() {
+            throw new Error('should have been rejected');
+        }, function(err) {
+            expect(err.message).to.contain('Invalid filename');
+        });
+    });
+
+});
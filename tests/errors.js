@@ -0,0 +1,32 @@
+/*global describe, it */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    errors = require('../lib/errors');
+
+describe('errors', function () {
+
+    it('returns the statuscode of an error-code', function () {
+        expect(errors.getStatusCode('FILE_TOO_LARGE')).to.be.equal(413);
+        expect(errors.getStatusCode('INSUFFICIENT_STORAGE')).to.be.equal(507);
+        expect(errors.getStatusCode('UNKNOWN')).to.be.equal(500);
+    });
+
+    it('builds the response-body of an error', function () {
+        expect(errors.getBody('FILE_TYPE_NOT_ALLOWED')).to.be.eql({status: 'Error: file type not allowed', code: 'FILE_TYPE_NOT_ALLOWED'});
+        expect(errors.getBody('BAD_HEADER', 'Error: invalid x-offset header')).to.be.eql({status: 'Error: invalid x-offset header', code: 'BAD_HEADER'});
+    });
+
+    it('creates structured errors', function () {
+        var err = errors.createError('HOOK_REJECTED');
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.message).to.be.equal('Error: upload rejected');
+        expect(err.statusCode).to.be.equal(403);
+        err = errors.createError('NOT_AUTHORIZED', 'Error: login required', 401);
+        expect(err.code).to.be.equal('NOT_AUTHORIZED');
+        expect(err.statusCode).to.be.equal(401);
+        expect(errors.createError('CUSTOM').statusCode).to.be.equal(400);
+    });
+
+});
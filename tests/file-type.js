@@ -0,0 +1,75 @@
+/*global describe, it */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fileType = require('../lib/file-type');
+
+describe('file-type', function () {
+
+    it('detects files by their signature bytes', function () {
+        expect(fileType.detect(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]))).to.be.eql({mime: 'image/png', ext: 'png'});
+        expect(fileType.detect(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).to.be.eql({mime: 'image/jpeg', ext: 'jpg'});
+        expect(fileType.detect(Buffer.from('%PDF-1.4\n'))).to.be.eql({mime: 'application/pdf', ext: 'pdf'});
+        expect(fileType.detect(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).to.be.eql({mime: 'image/webp', ext: 'webp'});
+        expect(fileType.detect(Buffer.from('\0\0\0\x18ftypmp42'))).to.be.eql({mime: 'video/mp4', ext: 'mp4'});
+        expect(fileType.detect(Buffer.from('MZ\x90\0'))).to.be.eql({mime: 'application/x-msdownload', ext: 'exe'});
+    });
+
+    it('returns null for unknown content', function () {
+        expect(fileType.detect(Buffer.from('just some text'))).to.be.null;
+        expect(fileType.detect(Buffer.from([]))).to.be.null;
+    });
+
+    it('checks extensions', function () {
+        expect(fileType.isExtensionAllowed('photo.JPG', ['jpg', 'png'])).to.be.true;
+        expect(fileType.isExtensionAllowed('photo.jpg', ['.jpg'])).to.be.true;
+        expect(fileType.isExtensionAllowed('setup.exe', ['jpg', 'png'])).to.be.false;
+        expect(fileType.isExtensionAllowed('setup.exe')).to.be.true;
+    });
+
+    it('checks detected types against mime-types with wildcards', function () {
+        var png = {mime: 'image/png', ext: 'png'};
+        expect(fileType.isAllowed(png, ['image/*'])).to.be.true;
+        expect(fileType.isAllowed(png, ['application/pdf'])).to.be.false;
+        expect(fileType.isAllowed(null, ['image/*'])).to.be.false;
+        expect(fileType.isAllowed(null, ['application/octet-stream'])).to.be.true;
+        expect(fileType.isAllowed(png)).to.be.true;
+    });
+
+    it('rejects content that doesn\'t match the allowed extensions', function () {
+        expect(fileType.isAllowed({mime: 'application/x-msdownload', ext: 'exe'}, null, ['png'])).to.be.false;
+        expect(fileType.isAllowed({mime: 'image/jpeg', ext: 'jpg'}, null, ['jpeg'])).to.be.true;
+        expect(fileType.isAllowed(null, null, ['txt'])).to.be.true;
+    });
+
+    it('allows the types that a container can hold', function () {
+        var zip = fileType.detect(Buffer.from('PK\x03\x04\x14\0\x06\0')),
+            heic = fileType.detect(Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic')),
+            mp4 = fileType.detect(Buffer.from('\0\0\0\x18ftypmp42'));
+        expect(zip).to.be.eql({mime: 'application/zip', ext: 'zip'});
+        expect(heic).to.be.eql({mime: 'video/mp4', ext: 'mp4'});
+        // the filename may be unknown yet:
+        expect(fileType.isAllowed(zip, null, ['docx'])).to.be.true;
+        expect(fileType.isAllowed(heic, ['image/*'])).to.be.true;
+        expect(fileType.isAllowed(zip, ['image/*'])).to.be.false;
+        // a known filename should match:
+        expect(fileType.isAllowed(zip, null, ['docx'], 'letter.docx')).to.be.true;
+        expect(fileType.isAllowed(zip, null, ['docx'], 'archive.zip')).to.be.false;
+        expect(fileType.isAllowed(heic, ['image/*'], null, 'photo.HEIC')).to.be.true;
+        expect(fileType.isAllowed(mp4, ['image/*'], null, 'movie.mp4')).to.be.false;
+        expect(fileType.isAllowed(mp4, ['image/*'], null, 'movie.heic')).to.be.true;
+    });
+
+    it('keeps the extension of the client when it belongs to the detected type', function () {
+        var zip = {mime: 'application/zip', ext: 'zip'},
+            mp4 = {mime: 'video/mp4', ext: 'mp4'};
+        expect(fileType.resolve(zip, 'letter.docx')).to.be.eql({mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx'});
+        expect(fileType.resolve(mp4, 'photo.HEIC')).to.be.eql({mime: 'image/heic', ext: 'heic'});
+        expect(fileType.resolve({mime: 'image/jpeg', ext: 'jpg'}, 'photo.jpeg')).to.be.eql({mime: 'image/jpeg', ext: 'jpeg'});
+        expect(fileType.resolve(zip, 'setup.exe')).to.be.eql(zip);
+        expect(fileType.resolve(zip)).to.be.eql(zip);
+        expect(fileType.resolve(null, 'notes.txt')).to.be.null;
+    });
+
+});
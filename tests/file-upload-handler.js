@@ -1,14 +1,67 @@
-/*global describe, it */
+/*global describe, it, after */
 /*jshint unused:false */
 
 "use strict";
 var expect = require('chai').expect,
-    should = require('chai').should();
+    fsp = require('fs-promise'),
+    http = require('http'),
+    EventEmitter = require('events').EventEmitter,
+    fileUploadHandler = require('../index'),
+    servers = require('./helpers/servers'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-index-' + process.pid + '/',
+    API = ['generateClientId', 'responseOptions', 'recieveFormFiles', 'transmissionStatus', 'cancelTransmission',
+           'transmissionProgress', 'metrics', 'getStats', 'createRouteOptions', 'tus', 'recieveFile'];
 
+require('fs-extra');
 
-describe('Testgroup', function () {
+describe('file-upload-handler', function () {
 
-    it('Your test', function () {
+    after(function() {
+        return fsp.remove(TMP_DIR);
     });
 
-});
\ No newline at end of file
+    it('exports the adapters, the stores, the storage-sink, the client and the errors', function () {
+        ['createDirectorySink', 'createFileStore', 'createMemoryStore', 'createUploadClient',
+         'getExpressFns', 'getHapiFns', 'getKoaFns', 'getNodeHttpFns'].forEach(function(name) {
+            expect(fileUploadHandler[name]).to.be.a('function');
+        });
+        expect(fileUploadHandler.errors.createError).to.be.a('function');
+    });
+
+    it('returns the same api with getFns of every adapter', function () {
+        ['getExpressFns', 'getHapiFns', 'getKoaFns', 'getNodeHttpFns'].forEach(function(name) {
+            var fns = fileUploadHandler[name]({tempDir: TMP_DIR + name + '/'});
+            API.forEach(function(method) {
+                expect(fns[method], name + '.' + method).to.be.a('function');
+            });
+            expect(fns.events).to.be.an.instanceof(EventEmitter);
+        });
+    });
+
+    it('accepts the options as positional arguments', function () {
+        var fns = fileUploadHandler.getNodeHttpFns(TMP_DIR + 'positional/', 100, true, 'MY_NS', {ttl: 0}),
+            server = http.createServer(function(request, response) {
+                fns.generateClientId(request, response);
+            });
+        return new Promise(function(fulfill) {
+            server.listen(0, 'localhost', fulfill);
+        }).then(function() {
+            return servers.send('http://localhost:' + server.address().port + '/upload', 'GET');
+        }).then(function(response) {
+            expect(response.statusCode).to.be.equal(200);
+            expect(response.body).to.match(/^MY_NS/);
+            expect(response.headers['access-control-allow-origin']).to.be.equal('*');
+            server.close();
+        });
+    });
+
+    it('throws a TypeError on an unknown or invalid option', function () {
+        expect(function() {
+            fileUploadHandler.getNodeHttpFns({tempDir: TMP_DIR, unknownOption: true});
+        }).to.throw(TypeError);
+        expect(function() {
+            fileUploadHandler.getNodeHttpFns({tempDir: TMP_DIR, ttl: 'an hour'});
+        }).to.throw(TypeError);
+    });
+
+});
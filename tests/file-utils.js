@@ -0,0 +1,184 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    checksum = require('../lib/checksum'),
+    fileUtils = require('../lib/file-utils'),
+    stream = require('stream'),
+    zlib = require('zlib'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-test-' + process.pid + '/',
+    FAIL_DIR = TMP_DIR + 'fail/';
+
+require('fs-extra');
+
+describe('file-utils', function () {
+
+    before(function() {
+        return fsp.mkdirs(TMP_DIR);
+    });
+
+    after(function() {
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('builds the final file out of chunk-files and removes them', function () {
+        var transmission = {
+            filename: 'movie.mp4',
+            count: 3,
+            chunks: {
+                '1': {filename: TMP_DIR+'tmp-file-a', size: 5},
+                '2': {filename: TMP_DIR+'tmp-file-b', size: 5},
+                '3': {filename: TMP_DIR+'tmp-file-c', size: 3}
+            }
+        };
+        return Promise.all([
+            fsp.writeFile(TMP_DIR+'tmp-file-a', 'hello'),
+            fsp.writeFile(TMP_DIR+'tmp-file-b', ' worl'),
+            fsp.writeFile(TMP_DIR+'tmp-file-c', 'd!!')
+        ]).then(function() {
+            return fileUtils.getFinalFile(TMP_DIR, transmission, 'sha256');
+        }).then(function(filedata) {
+            expect(filedata.originalFilename).to.be.equal('movie.mp4');
+            expect(filedata.tmpBuildFilename.substr(-4)).to.be.equal('.mp4');
+            expect(filedata.checksum).to.be.eql({algorithm: 'sha256', digest: checksum.compute('sha256', Buffer.from('hello world!!'))});
+            return Promise.all([
+                fsp.readFile(filedata.tmpBuildFilename, 'utf8'),
+                fsp.exists(TMP_DIR+'tmp-file-a'),
+                fsp.exists(TMP_DIR+'tmp-file-c')
+            ]);
+        }).then(function(results) {
+            expect(results).to.be.eql(['hello world!!', false, false]);
+        });
+    });
+
+    it('builds the final file out of a target file that was written by offset', function () {
+        var target = fileUtils.getTargetFilename(TMP_DIR, 'cl-1', 'trans-1'),
+            transmission = {
+                filename: 'notes.txt',
+                count: 2,
+                chunks: {
+                    '1': {filename: target, size: 5, offset: 0},
+                    '2': {filename: target, size: 6, offset: 5}
+                }
+            };
+        // the last chunk arrives first, and the target is preallocated larger than the actual data:
+        return fileUtils.savePayload(target, Buffer.from(' world'), {position: 5, size: 20}).then(function() {
+            return fileUtils.savePayload(target, Buffer.from('hello'), {position: 0, size: 20});
+        }).then(function() {
+            return fsp.stat(target);
+        }).then(function(stat) {
+            expect(stat.size).to.be.equal(20);
+            return fileUtils.getFinalFile(TMP_DIR, transmission, 'crc32');
+        }).then(function(filedata) {
+            expect(filedata.checksum.digest).to.be.equal(checksum.compute('crc32', Buffer.from('hello world')));
+            return Promise.all([
+                fsp.readFile(filedata.tmpBuildFilename, 'utf8'),
+                fsp.exists(target)
+            ]);
+        }).then(function(results) {
+            expect(results).to.be.eql(['hello world', false]);
+        });
+    });
+
+    it('doesn\'t leave a half-build file behind when a chunk-file is missing', function () {
+        var transmission = {
+            filename: 'photo',
+            count: 2,
+            chunks: {
+                '1': {filename: FAIL_DIR+'tmp-file-d', size: 5},
+                '2': {filename: FAIL_DIR+'tmp-file-missing', size: 5}
+            }
+        };
+        return fsp.mkdirs(FAIL_DIR).then(function() {
+            return fsp.writeFile(FAIL_DIR+'tmp-file-d', 'hello');
+        }).then(function() {
+            return fileUtils.getFinalFile(FAIL_DIR, transmission);
+        }).then(function() {
+            throw new Error('should have been rejected');
+        }, function(err) {
+            expect(err.code).to.be.equal('ENOENT');
+            return fileUtils.listTmpFiles(FAIL_DIR);
+        }).then(function(files) {
+            expect(files.length).to.be.equal(1);
+            expect(files[0].filename).to.be.equal(FAIL_DIR+'tmp-file-d');
+        });
+    });
+
+    it('lists temporarely files and folders', function () {
+        var folder = TMP_DIR + 'list/';
+        return fsp.mkdirs(folder + 'tmp-file-dir/sub').then(function() {
+            return Promise.all([
+                fsp.writeFile(folder + 'tmp-file-a', 'hello'),
+                fsp.writeFile(folder + 'tmp-file-dir/b.txt', 'hello'),
+                fsp.writeFile(folder + 'tmp-file-dir/sub/c.txt', 'world!'),
+                fsp.writeFile(folder + 'other.txt', 'hello')
+            ]);
+        }).then(function() {
+            return fileUtils.listTmpFiles(folder);
+        }).then(function(files) {
+            files.sort(function(a, b) {
+                return (a.filename<b.filename) ? -1 : 1;
+            });
+            expect(files.map(function(file) {
+                return [file.filename, file.size, file.directory];
+            })).to.be.eql([[folder + 'tmp-file-a', 5, false], [folder + 'tmp-file-dir/', 11, true]]);
+            return fsp.remove(folder);
+        });
+    });
+
+    it('saves a stream-payload while counting its bytes', function () {
+        var payload = new stream.PassThrough();
+        payload.write('hello ');
+        payload.end('world');
+        return fileUtils.savePayload(TMP_DIR+'tmp-file-stream', payload, {algorithm: 'md5'}).then(function(saved) {
+            expect(saved).to.be.eql({size: 11, digest: checksum.compute('md5', Buffer.from('hello world'))});
+            return fsp.readFile(TMP_DIR+'tmp-file-stream', 'utf8');
+        }).then(function(data) {
+            expect(data).to.be.equal('hello world');
+        });
+    });
+
+    it('aborts saving as soon as the payload exceeds maxSize', function () {
+        var payload = new stream.PassThrough(),
+            promise = fileUtils.savePayload(TMP_DIR+'tmp-file-big', payload, {maxSize: 8});
+        payload.write('hello ');
+        payload.write('world');
+        return promise.then(function() {
+            throw new Error('should have been rejected');
+        }, function(err) {
+            expect(err.code).to.be.equal('EMAXSIZE');
+            payload.end();
+        });
+    });
+
+
+    it('decompresses an encoded payload while saving it', function () {
+        var payload = zlib.gzipSync(Buffer.from('hello world'));
+        return fileUtils.savePayload(TMP_DIR+'tmp-file-gzip', payload, {encoding: 'gzip', algorithm: 'md5'}).then(function(saved) {
+            expect(saved).to.be.eql({size: 11, digest: checksum.compute('md5', Buffer.from('hello world'))});
+            return fsp.readFile(TMP_DIR+'tmp-file-gzip', 'utf8');
+        }).then(function(data) {
+            expect(data).to.be.equal('hello world');
+            return fileUtils.savePayload(TMP_DIR+'tmp-file-invalid', Buffer.from('hello world'), {encoding: 'deflate'});
+        }).then(function() {
+            throw new Error('should have been rejected');
+        }, function(err) {
+            expect(err.code).to.be.equal('EENCODING');
+        });
+    });
+
+    it('applies maxSize to the decompressed bytes of an encoded payload', function () {
+        var payload = zlib.deflateSync(Buffer.alloc(1024*1024));
+        expect(payload.length).to.be.below(2048);
+        return fileUtils.savePayload(TMP_DIR+'tmp-file-bomb', payload, {encoding: 'deflate', maxSize: 4096}).then(function() {
+            throw new Error('should have been rejected');
+        }, function(err) {
+            expect(err.code).to.be.equal('EMAXSIZE');
+            expect(fileUtils.isEncodingSupported('GZIP')).to.be.true;
+            expect(fileUtils.isEncodingSupported('compress')).to.be.false;
+        });
+    });
+
+});
@@ -0,0 +1,70 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    zlib = require('zlib'),
+    adapterCases = require('./helpers/adapter-cases'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-hapi-' + process.pid + '/';
+
+require('fs-extra');
+
+describe('hapi-handler', function () {
+    adapterCases('hapi');
+
+    describe('compressed chunks', function () {
+        var uploads = [],
+            server, fns;
+
+        before(function() {
+            var Hapi = require('hapi'),
+                handler = function(request, reply) {
+                    fns.recieveFile(request, reply, function(tmpBuildFilename) {
+                        return fsp.readFile(tmpBuildFilename, 'utf8').then(function(content) {
+                            uploads.push(content);
+                        });
+                    }).catch(function() {});
+                };
+            fns = require('../lib/hapi-handler')({tempDir: TMP_DIR});
+            server = new Hapi.Server({debug: false});
+            server.connection();
+            server.route({method: 'GET', path: '/upload', handler: fns.generateClientId});
+            server.route({method: 'PUT', path: '/raw', config: {payload: {parse: false, output: 'stream'}}, handler: handler});
+            server.route({method: 'PUT', path: '/parsed', config: {payload: {parse: true, output: 'data'}}, handler: handler});
+            return server.initialize();
+        });
+
+        after(function() {
+            return server.stop().then(function() {
+                return fsp.remove(TMP_DIR);
+            });
+        });
+
+        it('decompresses a chunk once, whether hapi has parsed the payload or not', function () {
+            var upload = function(url) {
+                return server.inject({method: 'GET', url: '/upload'}).then(function(response) {
+                    return server.inject({
+                        method: 'PUT',
+                        url: url,
+                        headers: {
+                            'content-type': 'application/octet-stream',
+                            'content-encoding': 'gzip',
+                            'x-clientid': response.result,
+                            'x-transid': '1',
+                            'x-partial': '1',
+                            'x-filename': 'a.txt'
+                        },
+                        payload: zlib.gzipSync(Buffer.from('hello world'))
+                    });
+                }).then(function(response) {
+                    expect(response.statusCode).to.be.equal(200);
+                    expect(uploads.pop()).to.be.equal('hello world');
+                });
+            };
+            return upload('/raw').then(function() {
+                return upload('/parsed');
+            });
+        });
+    });
+});
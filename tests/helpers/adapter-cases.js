@@ -0,0 +1,140 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    servers = require('./servers'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-adapter-' + process.pid + '/';
+
+require('fs-extra');
+
+// the requests that every adapter should handle the same way
+module.exports = function(name) {
+    var uploads = [],
+        server;
+
+    before(function() {
+        return servers.start(name, {
+            options: {tempDir: TMP_DIR + name + '/', maxFileSize: 100},
+            file: {
+                callback: function(tmpBuildFilename, originalFilename) {
+                    return fsp.readFile(tmpBuildFilename, 'utf8').then(function(content) {
+                        uploads.push({filename: originalFilename, content: content});
+                    });
+                }
+            },
+            form: {
+                callback: function(files) {
+                    return Promise.all(files.map(function(file) {
+                        return fsp.readFile(file.fullFilename, 'utf8').then(function(content) {
+                            return {filename: file.originalFilename, content: content};
+                        });
+                    })).then(function(contents) {
+                        uploads.push(contents);
+                    });
+                }
+            }
+        }).then(function(started) {
+            server = started;
+        });
+    });
+
+    after(function() {
+        return server.close().then(function() {
+            return fsp.remove(TMP_DIR + name + '/');
+        });
+    });
+
+    it('generates clientIds', function () {
+        return Promise.all([
+            servers.send(server.url + '/upload', 'GET'),
+            servers.send(server.url + '/upload', 'GET')
+        ]).then(function(responses) {
+            expect(responses[0].statusCode).to.be.equal(200);
+            expect(responses[0].body).to.match(/^ITSA_CL_ID/);
+            expect(responses[1].body).not.to.be.equal(responses[0].body);
+        });
+    });
+
+    it('recieves a chunked upload and invokes the callback', function () {
+        var clientId;
+        return servers.send(server.url + '/upload', 'GET').then(function(response) {
+            clientId = response.body;
+            return servers.send(server.url + '/upload', 'PUT', {'x-clientid': clientId, 'x-transid': '1', 'x-partial': '1'}, 'hello ');
+        }).then(function(response) {
+            expect(response.statusCode).to.be.equal(200);
+            expect(response.body).to.be.eql({status: 'BUSY'});
+            return servers.send(server.url + '/upload', 'PUT', {'x-clientid': clientId, 'x-transid': '1', 'x-partial': '2', 'x-filename': 'a.txt'}, 'world');
+        }).then(function(response) {
+            expect(response.statusCode).to.be.equal(200);
+            expect(response.body).to.be.eql({status: 'OK'});
+            expect(uploads.pop()).to.be.eql({filename: 'a.txt', content: 'hello world'});
+        });
+    });
+
+    it('responds with the statuscode and code of an error', function () {
+        return servers.send(server.url + '/upload', 'PUT', {'x-clientid': 'ITSA_CL_ID-forged', 'x-transid': '1', 'x-partial': '1'}, 'hello').then(function(response) {
+            expect(response.statusCode).to.be.equal(401);
+            expect(response.body.code).to.be.equal('INVALID_CLIENT_ID');
+            return servers.send(server.url + '/upload', 'GET');
+        }).then(function(response) {
+            return servers.send(server.url + '/upload', 'PUT', {'x-clientid': response.body, 'x-transid': '2', 'x-partial': '1', 'x-total-size': '101'}, 'hello');
+        }).then(function(response) {
+            expect(response.statusCode).to.be.equal(413);
+            expect(response.body).to.be.eql({status: 'Error: max filesize exceeded', code: 'FILE_TOO_LARGE'});
+        });
+    });
+
+    it('responds with the status of a transmission', function () {
+        var clientId;
+        return servers.send(server.url + '/upload', 'GET').then(function(response) {
+            clientId = response.body;
+            return servers.send(server.url + '/upload', 'PUT', {'x-clientid': clientId, 'x-transid': '3', 'x-partial': '2'}, 'world');
+        }).then(function() {
+            return Promise.all([
+                servers.send(server.url + '/status', 'GET', {'x-clientid': clientId, 'x-transid': '3'}),
+                servers.send(server.url + '/status', 'GET', {'x-clientid': clientId, 'x-transid': 'unknown'}),
+                servers.send(server.url + '/status', 'GET', {'x-clientid': 'ITSA_CL_ID-forged', 'x-transid': '3'})
+            ]);
+        }).then(function(responses) {
+            expect(responses[0].statusCode).to.be.equal(200);
+            expect(responses[0].body.received).to.be.eql([2]);
+            expect(responses[0].body.cummulatedSize).to.be.equal(5);
+            expect(responses[1].statusCode).to.be.equal(404);
+            expect(responses[2].statusCode).to.be.equal(401);
+        });
+    });
+
+    it('recieves a form upload', function () {
+        var form = '--XX\r\nContent-Disposition: form-data; name="uploadfiles"; filename="a.txt"\r\nContent-Type: text/plain\r\n\r\nhello\r\n' +
+                   '--XX\r\nContent-Disposition: form-data; name="uploadfiles"; filename="b.txt"\r\nContent-Type: text/plain\r\n\r\nworld\r\n--XX--\r\n';
+        return servers.send(server.url + '/form', 'POST', {'content-type': 'multipart/form-data; boundary=XX'}, form).then(function(response) {
+            expect(response.statusCode).to.be.equal(200);
+            expect(uploads.pop()).to.be.eql([{filename: 'a.txt', content: 'hello'}, {filename: 'b.txt', content: 'world'}]);
+        });
+    });
+
+    it('refuses to extract the archives of form-uploads', function () {
+        var form = '--XX\r\nContent-Disposition: form-data; name="uploadfiles"; filename="a.zip"\r\nContent-Type: application/zip\r\n\r\nhello\r\n--XX--\r\n',
+            logged = [],
+            extractServer;
+        return servers.start(name, {
+            options: {tempDir: TMP_DIR + name + '-extract/', logger: {error: function(err) {
+                logged.push(err);
+            }}},
+            form: {extract: true}
+        }).then(function(started) {
+            extractServer = started;
+            return servers.send(extractServer.url + '/form', 'POST', {'content-type': 'multipart/form-data; boundary=XX'}, form);
+        }).then(function(response) {
+            expect(response.statusCode).to.be.equal(500);
+            expect(response.body.code).to.be.equal('INTERNAL_ERROR');
+            expect(logged[0]).to.be.an.instanceof(TypeError);
+            expect(logged[0].message).to.contain('Invalid route-option "extract"');
+            return extractServer.close();
+        }).then(function() {
+            return fsp.remove(TMP_DIR + name + '-extract/');
+        });
+    });
+};
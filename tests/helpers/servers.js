@@ -0,0 +1,166 @@
+/*jshint unused:false */
+
+"use strict";
+var http = require('http'),
+    noop = function() {},
+    listen, WIRINGS;
+
+listen = function(server, fns) {
+    return new Promise(function(fulfill) {
+        server.listen(0, 'localhost', function() {
+            fulfill({
+                url: 'http://localhost:' + server.address().port,
+                fns: fns,
+                close: function() {
+                    return new Promise(function(closed) {
+                        server.close(closed);
+                    });
+                }
+            });
+        });
+    });
+};
+
+// Every wiring routes `GET /upload` to `generateClientId`, `PUT /upload` to `recieveFile`, `POST /form` to `recieveFormFiles`
+// and `GET /status` to `transmissionStatus`,
+// with `config.file` and `config.form` as their route-options. Requests for which `config.intercept(request)` returns true
+// are responded with statuscode 503 before they reach the handlers, like an overloaded proxy would.
+WIRINGS = {
+    express: function(config) {
+        var express = require('express'),
+            fns = require('../../lib/express-handler')(config.options),
+            app = express();
+        app.use(function(request, response, next) {
+            (config.intercept && config.intercept(request)) ? response.status(503).end() : next();
+        });
+        app.get('/upload', fns.generateClientId);
+        app.get('/status', function(request, response) {
+            fns.transmissionStatus(request, response).catch(noop);
+        });
+        app.put('/upload', function(request, response) {
+            fns.recieveFile(request, response, config.file).catch(noop);
+        });
+        app.post('/form', function(request, response) {
+            fns.recieveFormFiles(request, response, config.form).catch(noop);
+        });
+        return listen(http.createServer(app), fns);
+    },
+
+    hapi: function(config) {
+        var Hapi = require('hapi'),
+            fns = require('../../lib/hapi-handler')(config.options),
+            server = new Hapi.Server({debug: false});
+        server.connection({host: 'localhost', port: 0});
+        server.ext('onRequest', function(request, reply) {
+            if (config.intercept && config.intercept(request.raw.req)) {
+                return reply().code(503);
+            }
+            reply.continue();
+        });
+        server.route({method: 'GET', path: '/upload', handler: fns.generateClientId});
+        server.route({
+            method: 'GET',
+            path: '/status',
+            handler: function(request, reply) {
+                fns.transmissionStatus(request, reply).catch(noop);
+            }
+        });
+        server.route({
+            method: 'PUT',
+            path: '/upload',
+            config: {payload: {parse: false, output: 'stream'}},
+            handler: function(request, reply) {
+                fns.recieveFile(request, reply, config.file).catch(noop);
+            }
+        });
+        server.route({
+            method: 'POST',
+            path: '/form',
+            config: {payload: {parse: false, output: 'stream'}},
+            handler: function(request, reply) {
+                fns.recieveFormFiles(request, reply, config.form).catch(noop);
+            }
+        });
+        return server.start().then(function() {
+            return {
+                url: 'http://localhost:' + server.info.port,
+                fns: fns,
+                close: function() {
+                    return server.stop();
+                }
+            };
+        });
+    },
+
+    koa: function(config) {
+        var Koa = require('koa'),
+            fns = require('../../lib/koa-handler')(config.options),
+            app = new Koa();
+        app.silent = true;
+        app.use(function(ctx) {
+            if (config.intercept && config.intercept(ctx.req)) {
+                ctx.status = 503;
+                return;
+            }
+            if (ctx.path==='/form') {
+                return fns.recieveFormFiles(ctx, config.form);
+            }
+            if (ctx.path==='/status') {
+                return fns.transmissionStatus(ctx);
+            }
+            return (ctx.method==='GET') ? fns.generateClientId(ctx) : fns.recieveFile(ctx, config.file);
+        });
+        return listen(http.createServer(app.callback()), fns);
+    },
+
+    'node-http': function(config) {
+        var fns = require('../../lib/node-http-handler')(config.options);
+        return listen(http.createServer(function(request, response) {
+            if (config.intercept && config.intercept(request)) {
+                response.writeHead(503);
+                return response.end();
+            }
+            if (request.url==='/form') {
+                return fns.recieveFormFiles(request, response, config.form).catch(noop);
+            }
+            if (request.url==='/status') {
+                return fns.transmissionStatus(request, response).catch(noop);
+            }
+            if (request.method==='GET') {
+                return fns.generateClientId(request, response);
+            }
+            fns.recieveFile(request, response, config.file).catch(noop);
+        }), fns);
+    }
+};
+
+module.exports = {
+    names: Object.keys(WIRINGS),
+
+    // resolves with `{url, fns, close}` of a listening server of the framework `name`, where `fns` are the handlers of the adapter
+    start: function(name, config) {
+        return WIRINGS[name](config || {});
+    },
+
+    // resolves with `{statusCode, headers, body}`, where a JSON-body is parsed (responses to HEAD have an empty body)
+    send: function(url, method, headers, body) {
+        return new Promise(function(fulfill, reject) {
+            var req = http.request(url, {method: method, headers: headers || {}}, function(res) {
+                var data = [];
+                res.on('data', function(chunk) {
+                    data.push(chunk);
+                });
+                res.on('end', function() {
+                    var text = Buffer.concat(data).toString('utf8');
+                    fulfill({
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        body: (text && ((res.headers['content-type'] || '').indexOf('json')!==-1)) ? JSON.parse(text) : text
+                    });
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+};
@@ -0,0 +1,9 @@
+/*global describe */
+/*jshint unused:false */
+
+"use strict";
+var adapterCases = require('./helpers/adapter-cases');
+
+describe('koa-handler', function () {
+    adapterCases('koa');
+});
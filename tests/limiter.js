@@ -0,0 +1,81 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    createLimiter = require('../lib/limiter'),
+    createMemoryStore = require('../lib/memory-store'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-limiter-' + process.pid + '/';
+
+require('fs-extra');
+
+describe('limiter', function () {
+
+    before(function() {
+        return fsp.mkdirs(TMP_DIR);
+    });
+
+    after(function() {
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('limits the amount of new transmissions per client', function () {
+        var store = createMemoryStore(),
+            limiter = createLimiter({maxTransmissionsPerClient: 1}, store, TMP_DIR);
+        return store.addChunk('cl-1', 'trans-1', 1, {filename: 'a', size: 5}).then(function() {
+            return Promise.all([
+                limiter.check('cl-1', 'trans-1'),
+                limiter.check('cl-1', 'trans-2'),
+                limiter.check('cl-2', 'trans-3')
+            ]);
+        }).then(function(results) {
+            expect(results[0].exceeded).to.be.null;
+            expect(results[1].exceeded.statusCode).to.be.equal(429);
+            expect(results[2].exceeded).to.be.null;
+        });
+    });
+
+    it('returns the bytes that a client may still send', function () {
+        var store = createMemoryStore(),
+            limiter = createLimiter({maxBytesPerClient: 12}, store, TMP_DIR);
+        return store.addChunk('cl-1', 'trans-1', 1, {filename: 'a', size: 5}).then(function() {
+            return limiter.check('cl-1', 'trans-1');
+        }).then(function(result) {
+            expect(result.exceeded).to.be.null;
+            expect(result.bytesLeft).to.be.equal(7);
+            expect(result.bytesLimit.statusCode).to.be.equal(429);
+            return store.addChunk('cl-1', 'trans-1', 2, {filename: 'b', size: 7});
+        }).then(function() {
+            return limiter.check('cl-1', 'trans-1');
+        }).then(function(result) {
+            expect(result.exceeded.status).to.be.equal('Error: client quota exceeded');
+        });
+    });
+
+    it('limits the size of the temp-dir', function () {
+        var limiter = createLimiter({maxTempDirSize: 10}, createMemoryStore(), TMP_DIR);
+        return fsp.writeFile(TMP_DIR+'tmp-file-a', 'hello').then(function() {
+            return limiter.check();
+        }).then(function(result) {
+            expect(result.exceeded).to.be.null;
+            expect(result.bytesLeft).to.be.equal(5);
+            expect(result.bytesLimit.statusCode).to.be.equal(507);
+        });
+    });
+
+    it('limits the amount of chunks per second', function () {
+        var limiter = createLimiter({maxChunksPerSecond: 2}, createMemoryStore(), TMP_DIR),
+            second = Math.floor(Date.now()/1000),
+            results = [limiter.countChunk('cl-1'), limiter.countChunk('cl-1'), limiter.countChunk('cl-1'), limiter.countChunk('cl-2')];
+        if (Math.floor(Date.now()/1000)!==second) {
+            // the counts were reset halfway: nothing to assert reliably
+            return;
+        }
+        expect(results[0]).to.be.null;
+        expect(results[1]).to.be.null;
+        expect(results[2].retryAfter).to.be.equal(1);
+        expect(results[3]).to.be.null;
+    });
+
+});
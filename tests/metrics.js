@@ -0,0 +1,52 @@
+/*global describe, it */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    createMetrics = require('../lib/metrics');
+
+describe('metrics', function () {
+
+    it('counts by label and into histogram-buckets', function () {
+        var metrics = createMetrics(),
+            stats;
+        metrics.increment('chunksReceived');
+        metrics.increment('bytesReceived', 10);
+        metrics.increment('uploadsRejected', 1, 'FILE_TOO_LARGE');
+        metrics.increment('uploadsRejected', 1, 'FILE_TOO_LARGE');
+        metrics.observe('assemblySeconds', 0.2);
+        metrics.observe('assemblySeconds', 3);
+        stats = metrics.getStats({activeTransmissions: 2});
+        expect(stats.chunksReceived).to.be.equal(1);
+        expect(stats.bytesReceived).to.be.equal(10);
+        expect(stats.uploadsRejected).to.be.eql({FILE_TOO_LARGE: 2});
+        expect(stats.activeTransmissions).to.be.equal(2);
+        expect(stats.tempDirBytes).to.be.equal(0);
+        expect(stats.assemblySeconds.count).to.be.equal(2);
+        expect(stats.assemblySeconds.sum).to.be.equal(3.2);
+        expect(stats.assemblySeconds.buckets['0.1']).to.be.equal(0);
+        expect(stats.assemblySeconds.buckets['0.25']).to.be.equal(1);
+        expect(stats.assemblySeconds.buckets['5']).to.be.equal(2);
+        expect(stats.callbackSeconds.count).to.be.equal(0);
+    });
+
+    it('renders the Prometheus text exposition format', function () {
+        var metrics = createMetrics(),
+            lines;
+        metrics.increment('uploadsRejected', 1, 'a"b');
+        metrics.observe('callbackSeconds', 0.02);
+        lines = metrics.render({tempDirBytes: 512}).split('\n');
+        expect(lines).to.include('# TYPE fileupload_chunks_received_total counter');
+        expect(lines).to.include('fileupload_chunks_received_total 0');
+        expect(lines).to.include('fileupload_uploads_rejected_total{code="a\\"b"} 1');
+        expect(lines).to.include('# TYPE fileupload_temp_dir_bytes gauge');
+        expect(lines).to.include('fileupload_temp_dir_bytes 512');
+        expect(lines).to.include('# TYPE fileupload_callback_duration_seconds histogram');
+        expect(lines).to.include('fileupload_callback_duration_seconds_bucket{le="0.01"} 0');
+        expect(lines).to.include('fileupload_callback_duration_seconds_bucket{le="0.05"} 1');
+        expect(lines).to.include('fileupload_callback_duration_seconds_bucket{le="+Inf"} 1');
+        expect(lines).to.include('fileupload_callback_duration_seconds_count 1');
+        expect(lines[lines.length-1]).to.be.equal('');
+    });
+
+});
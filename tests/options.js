@@ -0,0 +1,92 @@
+/*global describe, it */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    handlerOptions = require('../lib/options');
+
+describe('options', function () {
+
+    it('accepts all options as one object', function () {
+        var options = handlerOptions.getOptions({tempDir: '/tmp/uploads/', maxFileSize: 1024, store: 'file'});
+        expect(options).to.be.eql({tempDir: '/tmp/uploads/', maxFileSize: 1024, store: 'file'});
+    });
+
+    it('keeps supporting positional options', function () {
+        var options = handlerOptions.getOptions('/tmp/uploads/', null, true, undefined, {maxFileSize: 1024, nsClientId: 'NS'});
+        expect(options).to.be.eql({tempDir: '/tmp/uploads/', accessControlAllowOrigin: true, maxFileSize: 1024, nsClientId: 'NS'});
+        expect(handlerOptions.getOptions('/tmp/uploads/', 2048, null, null, {maxFileSize: 1024}).maxFileSize).to.be.equal(2048);
+    });
+
+    it('rejects unknown and invalid options', function () {
+        expect(function() {
+            handlerOptions.getOptions({maxFilesize: 1024});
+        }).to.throw(TypeError, 'Unknown option "maxFilesize"');
+        expect(function() {
+            handlerOptions.getOptions({maxFileSize: '10Mb'});
+        }).to.throw(TypeError, 'Invalid option "maxFileSize": expected a positive number, got "10Mb"');
+        expect(function() {
+            handlerOptions.getOptions({assembly: 'append'});
+        }).to.throw(TypeError, 'Invalid option "assembly"');
+        expect(function() {
+            handlerOptions.getOptions({store: {}});
+        }).to.throw(TypeError, 'Invalid option "store"');
+        expect(function() {
+            handlerOptions.getOptions({extract: {maxFiles: 10}});
+        }).to.throw(TypeError, 'Invalid option "extract"');
+    });
+
+    it('normalizes route-options', function () {
+        var callback = function() {};
+        expect(handlerOptions.getRouteOptions(1024)).to.be.eql({maxFileSize: 1024});
+        expect(handlerOptions.getRouteOptions(callback, false)).to.be.eql({maxFileSize: null, callback: callback, waitForCb: false});
+        expect(handlerOptions.getRouteOptions({maxFileSize: 1024, callback: callback})).to.be.eql({maxFileSize: 1024, callback: callback});
+        expect(handlerOptions.getRouteOptions(1024, callback).callback).to.be.equal(callback);
+        expect(function() {
+            handlerOptions.getRouteOptions({allowedTypes: 'image/*'});
+        }).to.throw(TypeError, 'Invalid route-option "allowedTypes": expected an array of strings');
+        expect(function() {
+            handlerOptions.getRouteOptions({store: 'file'});
+        }).to.throw(TypeError, 'Unknown route-option "store"');
+    });
+
+    it('validates the naming of a directory-sink', function () {
+        var naming = function() {};
+        expect(handlerOptions.getRouteOptions({storage: {dir: '/tmp/files/', naming: 'hash'}}).storage.naming).to.be.equal('hash');
+        expect(handlerOptions.getRouteOptions({storage: {dir: '/tmp/files/', naming: naming}}).storage.naming).to.be.equal(naming);
+        expect(function() {
+            handlerOptions.getRouteOptions({storage: {dir: '/tmp/files/', naming: 'md5'}});
+        }).to.throw(TypeError, 'Invalid route-option "storage"');
+        expect(function() {
+            handlerOptions.getOptions({storage: {dir: '/tmp/files/', naming: true}});
+        }).to.throw(TypeError, 'Invalid option "storage"');
+    });
+
+    it('treats falsy positional values as not set', function () {
+        var callback = function() {};
+        expect(handlerOptions.getRouteOptions(0, callback)).to.be.eql({maxFileSize: null, callback: callback});
+        expect(handlerOptions.getRouteOptions(null, callback, false)).to.be.eql({maxFileSize: null, callback: callback, waitForCb: false});
+        expect(handlerOptions.getRouteOptions(false)).to.be.eql({maxFileSize: null});
+        expect(handlerOptions.getOptions('/tmp/uploads/', 0, false, '')).to.be.eql({tempDir: '/tmp/uploads/'});
+    });
+
+    it('validates route-options only once', function () {
+        var callback = function() {},
+            routeOptions = {maxFileSize: 1024},
+            validated = handlerOptions.getRouteOptions(routeOptions),
+            first, second;
+        // changes afterwards are not noticed:
+        routeOptions.maxFileSize = '10Mb';
+        first = handlerOptions.getRouteOptions(routeOptions, callback);
+        expect(first).to.be.eql({maxFileSize: 1024, callback: callback});
+        // every call gets its own copy:
+        first.hooks = {};
+        second = handlerOptions.getRouteOptions(validated);
+        expect(second).to.be.eql({maxFileSize: 1024});
+        expect(second).not.to.be.equal(validated);
+        expect(function() {
+            handlerOptions.getRouteOptions(validated, 'callback');
+        }).to.throw(TypeError, 'Invalid route-option "callback"');
+    });
+
+});
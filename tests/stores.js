@@ -0,0 +1,233 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    createMemoryStore = require('../lib/memory-store'),
+    createFileStore = require('../lib/file-store'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-test-' + process.pid + '/';
+
+require('fs-extra');
+
+[
+    {name: 'memory-store', create: createMemoryStore},
+    {name: 'file-store', create: function() {
+        return createFileStore(TMP_DIR);
+    }}
+].forEach(function(definition) {
+
+    describe(definition.name, function () {
+
+        after(function() {
+            return fsp.remove(TMP_DIR);
+        });
+
+        it('returns null for unknown transmissions', function () {
+            var store = definition.create();
+            return store.get('cl-1', 'trans-1').then(function(transmission) {
+                expect(transmission).to.be.null;
+                return store.get('cl-1', new Array(201).join('x'));
+            }).then(function(transmission) {
+                expect(transmission).to.be.null;
+            });
+        });
+
+        it('registers chunks and cummulates their size', function () {
+            var store = definition.create();
+            return store.addChunk('cl-1', 'trans-1', '2', {filename: '/tmp/b', size: 20})
+            .then(function() {
+                return store.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/a', size: 10});
+            })
+            .then(function(transmission) {
+                expect(transmission.clientId).to.be.equal('cl-1');
+                expect(transmission.transId).to.be.equal('trans-1');
+                expect(transmission.cummulatedSize).to.be.equal(30);
+                expect(transmission.chunks['1']).to.be.eql({filename: '/tmp/a', size: 10});
+                expect(transmission.chunks['2']).to.be.eql({filename: '/tmp/b', size: 20});
+                expect(transmission.created).to.be.a('number');
+                return store.remove('cl-1', 'trans-1');
+            });
+        });
+
+        it('replaces a chunk with the same partialId', function () {
+            var store = definition.create();
+            return store.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/a', size: 10})
+            .then(function() {
+                return store.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/b', size: 4});
+            })
+            .then(function(transmission) {
+                expect(transmission.cummulatedSize).to.be.equal(4);
+                expect(transmission.chunks['1']).to.be.eql({filename: '/tmp/b', size: 4});
+                return store.remove('cl-1', 'trans-1');
+            });
+        });
+
+        it('merges info into the transmission', function () {
+            var store = definition.create();
+            return store.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/a', size: 10})
+            .then(function() {
+                return store.setInfo('cl-1', 'trans-1', {count: 1, filename: 'photo.jpg', data: '{"a":1}'});
+            })
+            .then(function(transmission) {
+                expect(transmission.count).to.be.equal(1);
+                expect(transmission.filename).to.be.equal('photo.jpg');
+                expect(transmission.data).to.be.equal('{"a":1}');
+                expect(transmission.chunks['1'].size).to.be.equal(10);
+                return store.remove('cl-1', 'trans-1');
+            });
+        });
+
+        it('keeps the info of concurrent calls', function () {
+            var store = definition.create(),
+                transIds = [],
+                i;
+            for (i=1; i<=30; i++) {
+                transIds.push('trans-' + i);
+            }
+            return Promise.all(transIds.map(function(transId) {
+                return Promise.all([
+                    store.setInfo('cl-1', transId, {totalSize: 6}),
+                    store.setInfo('cl-1', transId, {count: 2, filename: 'a.txt'})
+                ]);
+            })).then(function() {
+                return store.list('cl-1');
+            }).then(function(list) {
+                expect(list.length).to.be.equal(30);
+                list.forEach(function(transmission) {
+                    expect(transmission.totalSize).to.be.equal(6);
+                    expect(transmission.count).to.be.equal(2);
+                    expect(transmission.filename).to.be.equal('a.txt');
+                });
+                return Promise.all(transIds.map(function(transId) {
+                    return store.remove('cl-1', transId);
+                }));
+            });
+        });
+
+        it('can be claimed only once', function () {
+            var store = definition.create();
+            return store.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/a', size: 10})
+            .then(function() {
+                return Promise.all([store.claim('cl-1', 'trans-1'), store.claim('cl-1', 'trans-1')]);
+            })
+            .then(function(claims) {
+                expect(claims.filter(Boolean).length).to.be.equal(1);
+                return store.remove('cl-1', 'trans-1');
+            });
+        });
+
+        it('lists and removes transmissions', function () {
+            var store = definition.create();
+            return Promise.all([
+                store.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/a', size: 10}),
+                store.addChunk('cl-2', 'trans-1', '1', {filename: '/tmp/b', size: 10})
+            ])
+            .then(function() {
+                return store.list();
+            })
+            .then(function(list) {
+                expect(list.length).to.be.equal(2);
+                return store.list('cl-2');
+            })
+            .then(function(list) {
+                expect(list.length).to.be.equal(1);
+                expect(list[0].clientId).to.be.equal('cl-2');
+                return store.remove('cl-1', 'trans-1');
+            })
+            .then(function() {
+                return store.list();
+            })
+            .then(function(list) {
+                expect(list.length).to.be.equal(1);
+                expect(list[0].clientId).to.be.equal('cl-2');
+                return store.remove('cl-2', 'trans-1');
+            })
+            .then(function() {
+                return store.list();
+            })
+            .then(function(list) {
+                expect(list.length).to.be.equal(0);
+            });
+        });
+
+    });
+
+});
+
+describe('file-store', function () {
+
+    after(function() {
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('shares transmissions between instances on the same folder', function () {
+        var store1 = createFileStore(TMP_DIR),
+            store2 = createFileStore(TMP_DIR);
+        return store1.addChunk('cl-1', 'trans/../1', '1', {filename: '/tmp/a', size: 10})
+        .then(function() {
+            return store2.addChunk('cl-1', 'trans/../1', '2', {filename: '/tmp/b', size: 5});
+        })
+        .then(function() {
+            return store1.get('cl-1', 'trans/../1');
+        })
+        .then(function(transmission) {
+            expect(transmission.cummulatedSize).to.be.equal(15);
+            return store2.remove('cl-1', 'trans/../1');
+        });
+    });
+
+    it('keeps the last record of a chunk that is resent by another instance', function () {
+        var store1 = createFileStore(TMP_DIR),
+            store2 = createFileStore(TMP_DIR);
+        return store1.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/a', size: 10})
+        .then(function() {
+            return store2.addChunk('cl-1', 'trans-1', '1', {filename: '/tmp/b', size: 4});
+        })
+        .then(function() {
+            return store1.get('cl-1', 'trans-1');
+        })
+        .then(function(transmission) {
+            expect(transmission.cummulatedSize).to.be.equal(4);
+            expect(transmission.chunks['1']).to.be.eql({filename: '/tmp/b', size: 4});
+            return store1.remove('cl-1', 'trans-1');
+        });
+    });
+
+    it('reads every record only once', function () {
+        var store = createFileStore(TMP_DIR),
+            dir = TMP_DIR + Buffer.from('cl-1').toString('hex') + '/' + Buffer.from('trans-2').toString('hex') + '/';
+        return store.addChunk('cl-1', 'trans-2', '1', {filename: '/tmp/a', size: 10})
+        .then(function() {
+            return fsp.readdir(dir);
+        })
+        .then(function(names) {
+            // a record that would be read again can't be parsed anymore:
+            return fsp.writeFile(dir+names[0], 'invalid');
+        })
+        .then(function() {
+            return store.addChunk('cl-1', 'trans-2', '2', {filename: '/tmp/b', size: 5});
+        })
+        .then(function(transmission) {
+            expect(transmission.cummulatedSize).to.be.equal(15);
+            return store.remove('cl-1', 'trans-2');
+        });
+    });
+
+    it('uses the time of the folder for a transmission without records', function () {
+        var store = createFileStore(TMP_DIR),
+            now = Date.now();
+        return fsp.mkdirs(TMP_DIR + Buffer.from('cl-1').toString('hex') + '/' + Buffer.from('trans-3').toString('hex') + '/')
+        .then(function() {
+            return store.list();
+        })
+        .then(function(list) {
+            expect(list.length).to.be.equal(1);
+            expect(list[0].cummulatedSize).to.be.equal(0);
+            expect(list[0].created).to.be.within(now-1000, Date.now());
+            expect(list[0].modified).to.be.equal(list[0].created);
+            return store.remove('cl-1', 'trans-3');
+        });
+    });
+
+});
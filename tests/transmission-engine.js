@@ -0,0 +1,696 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    crypto = require('crypto'),
+    errors = require('../lib/errors'),
+    createEngine = require('../lib/transmission-engine'),
+    zlib = require('zlib'),
+    stream = require('stream'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-engine-' + process.pid + '/';
+
+require('fs-extra');
+
+describe('transmission-engine', function () {
+    var engine;
+
+    before(function() {
+        engine = createEngine({tempDir: TMP_DIR, maxChunkCount: 10, maxChunkSize: 100});
+    });
+
+    after(function() {
+        engine.destroy();
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('emits progress-events during a transmission', function () {
+        var clientId = engine.generateClientId().body,
+            events = [],
+            listener = function(event) {
+                events.push(event);
+            };
+        engine.events.on('progress', listener);
+        return engine.receiveChunk({clientId: clientId, transId: '1', partialId: '1', totalSize: '10', payload: Buffer.from('hello')}).then(function() {
+            return engine.receiveChunk({clientId: clientId, transId: '1', partialId: '2', totalSize: '10', filename: 'a.txt', payload: Buffer.from('world')});
+        }).then(function(result) {
+            engine.events.removeListener('progress', listener);
+            expect(events.map(function(event) {
+                return event.type;
+            })).to.be.eql(['chunk', 'chunk', 'assembling']);
+            expect(events[0].percent).to.be.equal(50);
+            expect(events[2].filename).to.be.equal('a.txt');
+            expect(events[2].count).to.be.equal(2);
+            return engine.endTransmission(clientId, '1', result.file);
+        });
+    });
+
+    it('streams the progress-events of a transmission as Server-Sent Events', function () {
+        var clientId = engine.generateClientId().body,
+            result = engine.getProgressStream(clientId, '2'),
+            data = '';
+        expect(result.statusCode).to.be.equal(200);
+        expect(engine.getProgressStream('ITSA_CL_ID-1', '2').statusCode).to.be.equal(401);
+        result.body.on('data', function(chunk) {
+            data += chunk;
+        });
+        return engine.receiveChunk({clientId: clientId, transId: '3', partialId: '1', payload: Buffer.from('hello')}).then(function() {
+            return engine.receiveChunk({clientId: clientId, transId: '2', partialId: '1', payload: Buffer.from('hello')});
+        }).then(function() {
+            var listeners = engine.events.listenerCount('progress');
+            result.body.destroy();
+            expect(data).to.contain('event: chunk\ndata: {"type":"chunk"');
+            expect(data).to.contain('"transId":"2"');
+            expect(data).not.to.contain('"transId":"3"');
+            return new Promise(function(fulfill) {
+                setImmediate(fulfill);
+            }).then(function() {
+                expect(engine.events.listenerCount('progress')).to.be.equal(listeners-1);
+            });
+        });
+    });
+
+    it('rejects malformed chunk-headers', function () {
+        var clientId = engine.generateClientId().body,
+            chunks = [
+                {transId: '', partialId: '1'},
+                {transId: '4', partialId: 'count'},
+                {transId: '4', partialId: '0'},
+                {transId: '4', partialId: '11'},
+                {transId: '4', partialId: '1', totalSize: '1e3'},
+                {transId: '4', partialId: '1', filename: '../..'},
+                {transId: '4', partialId: '1', filename: 'a.txt', data: '{'}
+            ];
+        return Promise.all(chunks.map(function(chunk) {
+            chunk.clientId = clientId;
+            chunk.payload = Buffer.from('hello');
+            return engine.receiveChunk(chunk);
+        })).then(function(results) {
+            results.forEach(function(result) {
+                expect(result.statusCode).to.be.equal(400);
+                expect(result.body.code).to.be.equal('BAD_HEADER');
+            });
+            return engine.store.get(clientId, '4');
+        }).then(function(transmission) {
+            expect(transmission).to.be.null;
+        });
+    });
+
+    it('sanitizes the filename of a transmission', function () {
+        var clientId = engine.generateClientId().body;
+        return engine.receiveChunk({clientId: clientId, transId: '5', partialId: '1', filename: '../../etc/\u0000.pass\nwd', payload: Buffer.from('hello')}).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.file.originalFilename).to.be.equal('passwd');
+            return engine.endTransmission(clientId, '5', result.file);
+        });
+    });
+
+    it('builds the directory-sink of a route only once', function () {
+        var routeOptions = {storage: {dir: TMP_DIR+'storage/', naming: 'uuid'}},
+            sink = engine.getRouteOptions(routeOptions).storage;
+        expect(sink.store).to.be.a('function');
+        expect(engine.getRouteOptions(routeOptions).storage).to.be.equal(sink);
+        expect(engine.getRouteOptions({storage: TMP_DIR+'storage/'}).storage).to.be.equal(engine.getRouteOptions({storage: TMP_DIR+'storage/'}).storage);
+    });
+
+    it('rejects chunks that exceed the max chunksize without aborting the transmission', function () {
+        var clientId = engine.generateClientId().body;
+        return engine.receiveChunk({clientId: clientId, transId: '6', partialId: '1', payload: Buffer.from('hello')}).then(function() {
+            return engine.receiveChunk({clientId: clientId, transId: '6', partialId: '2', payload: Buffer.alloc(101)});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(413);
+            expect(result.body.code).to.be.equal('CHUNK_TOO_LARGE');
+            return engine.store.get(clientId, '6');
+        }).then(function(transmission) {
+            expect(transmission.cummulatedSize).to.be.equal(5);
+            return engine.abortTransmission(clientId, '6');
+        });
+    });
+
+    it('replaces a resent chunk and counts only its latest size', function () {
+        var clientId = engine.generateClientId().body,
+            firstFilename;
+        return engine.receiveChunk({clientId: clientId, transId: '7', partialId: '1', payload: Buffer.from('hello')}).then(function() {
+            return engine.store.get(clientId, '7');
+        }).then(function(transmission) {
+            firstFilename = transmission.chunks['1'].filename;
+            return engine.receiveChunk({clientId: clientId, transId: '7', partialId: '1', payload: Buffer.from('hi!')});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            return engine.store.get(clientId, '7');
+        }).then(function(transmission) {
+            expect(transmission.cummulatedSize).to.be.equal(3);
+            expect(transmission.chunks['1'].filename).not.to.be.equal(firstFilename);
+            return fsp.exists(firstFilename);
+        }).then(function(exists) {
+            expect(exists).to.be.false;
+            return engine.abortTransmission(clientId, '7');
+        });
+    });
+
+    it('acknowledges an identical resent chunk without writing it again', function () {
+        var clientId = engine.generateClientId().body,
+            chunk = {clientId: clientId, transId: '8', partialId: '1', checksum: 'md5=5d41402abc4b2a76b9719d911017c592', payload: Buffer.from('hello')},
+            firstFilename, resent, ended;
+        return engine.receiveChunk(chunk).then(function() {
+            return engine.store.get(clientId, '8');
+        }).then(function(transmission) {
+            firstFilename = transmission.chunks['1'].filename;
+            // the resent payload is a stream, which should be discarded so the request can end:
+            resent = new stream.PassThrough();
+            ended = new Promise(function(fulfill) {
+                resent.on('end', fulfill);
+            });
+            resent.end('hello');
+            return engine.receiveChunk(Object.itsa_merge(chunk).itsa_merge({payload: resent}, {force: true}));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.body.status).to.be.equal('BUSY');
+            return ended;
+        }).then(function() {
+            return engine.store.get(clientId, '8');
+        }).then(function(transmission) {
+            expect(transmission.cummulatedSize).to.be.equal(5);
+            expect(transmission.chunks['1'].filename).to.be.equal(firstFilename);
+            return engine.abortTransmission(clientId, '8');
+        });
+    });
+
+    it('decompresses encoded chunks and refuses unknown encodings', function () {
+        var clientId = engine.generateClientId().body;
+        return engine.receiveChunk({clientId: clientId, transId: '9', partialId: '1', encoding: 'compress', payload: Buffer.from('hello')}).then(function(result) {
+            expect(result.statusCode).to.be.equal(415);
+            expect(result.body.code).to.be.equal('UNSUPPORTED_ENCODING');
+            return engine.receiveChunk({clientId: clientId, transId: '9', partialId: '1', filename: 'hello.txt', encoding: 'gzip',
+                                        payload: zlib.gzipSync(Buffer.from('hello world'))});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.transmission.cummulatedSize).to.be.equal(11);
+            return fsp.readFile(result.file.tmpBuildFilename, 'utf8').then(function(data) {
+                expect(data).to.be.equal('hello world');
+                return engine.endTransmission(clientId, '9', result.file);
+            });
+        });
+    });
+
+    it('keeps the extension of office-documents and HEIC-images', function () {
+        var clientId = engine.generateClientId().body,
+            docx = Buffer.concat([Buffer.from('PK\x03\x04'), Buffer.alloc(30)]),
+            heic = Buffer.concat([Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic'), Buffer.alloc(10)]);
+        return engine.receiveChunk({clientId: clientId, transId: '10', partialId: '1', filename: 'letter.docx', payload: docx}, {allowedExtensions: ['docx']}).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.file.tmpBuildFilename).to.match(/\.docx$/);
+            expect(result.file.fileType.ext).to.be.equal('docx');
+            return engine.endTransmission(clientId, '10', result.file);
+        }).then(function() {
+            return engine.receiveChunk({clientId: clientId, transId: '11', partialId: '1', payload: heic}, {allowedTypes: ['image/*']});
+        }).then(function(result) {
+            expect(result.body.status).to.be.equal('BUSY');
+            return engine.receiveChunk({clientId: clientId, transId: '11', partialId: '2', filename: 'photo.heic', payload: Buffer.from('data')}, {allowedTypes: ['image/*']});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.file.tmpBuildFilename).to.match(/\.heic$/);
+            expect(result.file.fileType).to.be.eql({mime: 'image/heic', ext: 'heic'});
+            return engine.endTransmission(clientId, '11', result.file);
+        }).then(function() {
+            // a video isn't an image, which is only known once its filename has arrived:
+            return engine.receiveChunk({clientId: clientId, transId: '12', partialId: '1', payload: heic}, {allowedTypes: ['image/*']});
+        }).then(function(result) {
+            expect(result.body.status).to.be.equal('BUSY');
+            return engine.receiveChunk({clientId: clientId, transId: '12', partialId: '2', filename: 'movie.mp4', payload: Buffer.from('data')}, {allowedTypes: ['image/*']});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(415);
+            expect(result.body.code).to.be.equal('FILE_TYPE_NOT_ALLOWED');
+        });
+    });
+
+    it('counts chunks, completed uploads and rejected uploads', function () {
+        var metricsEngine = createEngine({tempDir: TMP_DIR + 'metrics/'}),
+            clientId = metricsEngine.generateClientId().body;
+        return metricsEngine.receiveChunk({clientId: clientId, transId: '1', partialId: '1', totalSize: '5', filename: 'a.txt', payload: Buffer.from('hello')}).then(function() {
+            return metricsEngine.receiveChunk({clientId: clientId, transId: 'invalid id', partialId: '1', payload: Buffer.from('hello')});
+        }).then(function() {
+            // only refused uploads are counted, not the errors of other requests:
+            return Promise.all([
+                metricsEngine.getStatus(clientId, 'unknown'),
+                metricsEngine.getStatus('ITSA_CL_ID-forged', '1'),
+                metricsEngine.cancelTransmission(clientId, 'unknown')
+            ]);
+        }).then(function(results) {
+            expect(results.map(function(result) {
+                return result.statusCode;
+            })).to.be.eql([404, 401, 404]);
+            return metricsEngine.getStats();
+        }).then(function(stats) {
+            expect(stats.chunksReceived).to.be.equal(1);
+            expect(stats.bytesReceived).to.be.equal(5);
+            expect(stats.uploadsCompleted).to.be.equal(1);
+            expect(stats.uploadsRejected).to.be.eql({BAD_HEADER: 1});
+            expect(stats.assemblySeconds.count).to.be.equal(1);
+            expect(stats.activeTransmissions).to.be.equal(0);
+            expect(stats.tempDirBytes).to.be.equal(5);
+            return metricsEngine.getMetrics();
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.headers['Content-Type']).to.contain('text/plain');
+            expect(result.body).to.contain('fileupload_uploads_completed_total 1\n');
+            metricsEngine.destroy();
+        });
+    });
+
+    describe('transmissions', function () {
+
+        it('generates unique clientIds and responds to cors-preflights', function () {
+            var result = engine.generateClientId(),
+                preflight = engine.responseOptions('x-clientid, x-transid');
+            expect(result.statusCode).to.be.equal(200);
+            expect(result.body).to.be.a('string');
+            expect(engine.generateClientId().body).not.to.be.equal(result.body);
+            expect(preflight.statusCode).to.be.equal(200);
+            expect(preflight.headers['access-control-allow-methods']).to.be.equal('PUT,GET,POST,DELETE');
+            expect(preflight.headers['access-control-allow-headers']).to.be.equal('x-clientid, x-transid');
+        });
+
+        it('builds the final file out of its chunks and removes it when ended', function () {
+            var clientId = engine.generateClientId().body,
+                file;
+            return engine.receiveChunk({clientId: clientId, transId: 't1', partialId: '2', filename: 'a.txt', data: '{"folder":"docs"}',
+                                        payload: Buffer.from(' world')}).then(function(result) {
+                expect(result.statusCode).to.be.equal(200);
+                expect(result.body).to.be.eql({status: 'BUSY'});
+                return engine.receiveChunk({clientId: clientId, transId: 't1', partialId: '1', payload: Buffer.from('hello')});
+            }).then(function(result) {
+                file = result.file;
+                expect(result.body).to.be.eql({status: 'OK'});
+                expect(result.params).to.be.eql({folder: 'docs'});
+                expect(file.originalFilename).to.be.equal('a.txt');
+                return fsp.readFile(file.tmpBuildFilename, 'utf8');
+            }).then(function(data) {
+                expect(data).to.be.equal('hello world');
+                return engine.endTransmission(clientId, 't1', file);
+            }).then(function() {
+                return Promise.all([fsp.exists(file.tmpBuildFilename), engine.store.get(clientId, 't1')]);
+            }).then(function(values) {
+                expect(values).to.be.eql([false, null]);
+            });
+        });
+
+        it('aborts a transmission that exceeds maxFileSize', function () {
+            var clientId = engine.generateClientId().body;
+            return engine.receiveChunk({clientId: clientId, transId: 't2', partialId: '1', payload: Buffer.from('hello')}, {maxFileSize: 8}).then(function() {
+                return engine.receiveChunk({clientId: clientId, transId: 't2', partialId: '2', payload: Buffer.from('world')}, {maxFileSize: 8});
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(413);
+                expect(result.body.code).to.be.equal('FILE_TOO_LARGE');
+                return engine.store.get(clientId, 't2');
+            }).then(function(transmission) {
+                expect(transmission).to.be.null;
+            });
+        });
+
+    });
+
+    describe('getStatus', function () {
+
+        it('returns the stored chunks of a transmission in progress', function () {
+            var clientId = engine.generateClientId().body;
+            return engine.receiveChunk({clientId: clientId, transId: 's1', partialId: '3', filename: 'a.txt', payload: Buffer.from('!')}).then(function() {
+                return engine.receiveChunk({clientId: clientId, transId: 's1', partialId: '1', payload: Buffer.from('hello')});
+            }).then(function() {
+                return engine.getStatus(clientId, 's1');
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(200);
+                expect(result.body.received).to.be.eql([1, 3]);
+                expect(result.body.cummulatedSize).to.be.equal(6);
+                expect(result.body.count).to.be.equal(3);
+                expect(result.body.expires).to.be.above(Date.now());
+                return engine.abortTransmission(clientId, 's1');
+            });
+        });
+
+        it('returns all chunks of a completed transmission until it has ended', function () {
+            var clientId = engine.generateClientId().body,
+                file;
+            return engine.receiveChunk({clientId: clientId, transId: 's2', partialId: '1', filename: 'a.txt', payload: Buffer.from('hello')}).then(function(result) {
+                file = result.file;
+                return engine.getStatus(clientId, 's2');
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(200);
+                expect(result.body.received).to.be.eql([1]);
+                expect(result.body.count).to.be.equal(1);
+                return engine.endTransmission(clientId, 's2', file);
+            }).then(function() {
+                return engine.getStatus(clientId, 's2');
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(404);
+            });
+        });
+
+        it('responds with 404 to unknown transmissions and 401 to invalid clientIds', function () {
+            return Promise.all([
+                engine.getStatus(engine.generateClientId().body, 'unknown'),
+                engine.getStatus('ITSA_CL_ID-forged', 's1')
+            ]).then(function(results) {
+                expect(results[0].statusCode).to.be.equal(404);
+                expect(results[0].body.code).to.be.equal('UNKNOWN_TRANSMISSION');
+                expect(results[1].statusCode).to.be.equal(401);
+                expect(results[1].body.code).to.be.equal('INVALID_CLIENT_ID');
+            });
+        });
+
+    });
+
+    describe('sweep', function () {
+        var expired = [],
+            sweepEngine;
+
+        before(function() {
+            sweepEngine = createEngine({
+                tempDir: TMP_DIR + 'sweep/',
+                ttl: 50,
+                onExpire: function(transmission) {
+                    expired.push(transmission);
+                }
+            });
+        });
+
+        after(function() {
+            sweepEngine.destroy();
+        });
+
+        it('removes expired transmissions with their chunk-files and invokes onExpire', function () {
+            var clientId = sweepEngine.generateClientId().body,
+                chunkFilename;
+            return sweepEngine.receiveChunk({clientId: clientId, transId: '1', partialId: '1', payload: Buffer.from('hello')}).then(function() {
+                return sweepEngine.store.get(clientId, '1');
+            }).then(function(transmission) {
+                chunkFilename = transmission.chunks['1'].filename;
+                return new Promise(function(fulfill) {
+                    setTimeout(fulfill, 60);
+                });
+            }).then(function() {
+                // this one hasn't expired yet:
+                return sweepEngine.receiveChunk({clientId: clientId, transId: '2', partialId: '1', payload: Buffer.from('hello')});
+            }).then(function() {
+                return sweepEngine.sweep();
+            }).then(function(removed) {
+                expect(removed.length).to.be.equal(1);
+                expect(expired.length).to.be.equal(1);
+                expect(expired[0].transId).to.be.equal('1');
+                expect(expired[0].cummulatedSize).to.be.equal(5);
+                return Promise.all([sweepEngine.store.get(clientId, '1'), sweepEngine.store.get(clientId, '2'), fsp.exists(chunkFilename)]);
+            }).then(function(values) {
+                expect(values[0]).to.be.null;
+                expect(values[1].cummulatedSize).to.be.equal(5);
+                expect(values[2]).to.be.false;
+                return sweepEngine.abortTransmission(clientId, '2');
+            });
+        });
+
+        it('removes old orphan files from the temp-dir', function () {
+            var orphan = sweepEngine.tmpDir + 'tmp-file-orphan.txt',
+                recent = sweepEngine.tmpDir + 'tmp-file-recent.txt',
+                other = sweepEngine.tmpDir + 'other.txt',
+                hourAgo = Date.now()/1000 - 3600;
+            return Promise.all([fsp.writeFile(orphan, 'x'), fsp.writeFile(recent, 'x'), fsp.writeFile(other, 'x')]).then(function() {
+                return Promise.all([fsp.utimes(orphan, hourAgo, hourAgo), fsp.utimes(other, hourAgo, hourAgo)]);
+            }).then(function() {
+                return sweepEngine.sweep();
+            }).then(function() {
+                return Promise.all([fsp.exists(orphan), fsp.exists(recent), fsp.exists(other)]);
+            }).then(function(values) {
+                // recent files might be chunks of another process that haven't been registered yet
+                expect(values).to.be.eql([false, true, true]);
+            });
+        });
+
+        it('removes old orphan folders of extracted archives from the temp-dir', function () {
+            var orphan = sweepEngine.tmpDir + 'tmp-file-extracted/',
+                hourAgo = Date.now()/1000 - 3600,
+                bytesBefore;
+            return sweepEngine.getStats().then(function(stats) {
+                bytesBefore = stats.tempDirBytes;
+                return fsp.mkdirs(orphan + 'docs');
+            }).then(function() {
+                return fsp.writeFile(orphan + 'docs/a.txt', 'hello');
+            }).then(function() {
+                return Promise.all([orphan + 'docs/a.txt', orphan + 'docs', orphan].map(function(filename) {
+                    return fsp.utimes(filename, hourAgo, hourAgo);
+                }));
+            }).then(function() {
+                return sweepEngine.getStats();
+            }).then(function(stats) {
+                expect(stats.tempDirBytes).to.be.equal(bytesBefore + 5);
+                return sweepEngine.sweep();
+            }).then(function() {
+                return fsp.exists(orphan);
+            }).then(function(exists) {
+                expect(exists).to.be.false;
+            });
+        });
+
+    });
+
+    describe('offset-assembly', function () {
+        var offsetEngine;
+
+        before(function() {
+            offsetEngine = createEngine({tempDir: TMP_DIR + 'offset/', assembly: 'offset'});
+        });
+
+        after(function() {
+            offsetEngine.destroy();
+        });
+
+        it('keeps the data of a chunk when its retry is corrupted', function () {
+            var clientId = offsetEngine.generateClientId().body,
+                getChunk = function(payload, data) {
+                    var checksum = 'md5=' + crypto.createHash('md5').update(data).digest('hex');
+                    return {clientId: clientId, transId: '1', partialId: '1', offset: '0', totalSize: '11', checksum: checksum, payload: Buffer.from(payload)};
+                };
+            return offsetEngine.receiveChunk(getChunk('hello ', 'hello ')).then(function(result) {
+                expect(result.body.status).to.be.equal('BUSY');
+                // a changed chunk that got corrupted on its way:
+                return offsetEngine.receiveChunk(getChunk('HELLO ', 'hello!'));
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(422);
+                expect(result.body.code).to.be.equal('CHUNK_CHECKSUM_MISMATCH');
+                // identical to the chunk that has been recieved, so it is not written again:
+                return offsetEngine.receiveChunk(getChunk('hello ', 'hello '));
+            }).then(function(result) {
+                expect(result.body.status).to.be.equal('BUSY');
+                return offsetEngine.receiveChunk({clientId: clientId, transId: '1', partialId: '2', offset: '6', filename: 'a.txt', payload: Buffer.from('world')});
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(200);
+                return fsp.readFile(result.file.tmpBuildFilename, 'utf8').then(function(data) {
+                    expect(data).to.be.equal('hello world');
+                    return offsetEngine.endTransmission(clientId, '1', result.file);
+                });
+            });
+        });
+    });
+
+    describe('file-store', function () {
+        var fileEngine;
+
+        before(function() {
+            fileEngine = createEngine({tempDir: TMP_DIR + 'file-store/', store: 'file'});
+        });
+
+        after(function() {
+            fileEngine.destroy();
+        });
+
+        it('completes transmissions of which the chunks arrive in parallel', function () {
+            var clientId = fileEngine.generateClientId().body,
+                transIds = [],
+                i;
+            for (i=1; i<=20; i++) {
+                transIds.push(String(i));
+            }
+            return Promise.all(transIds.map(function(transId) {
+                return Promise.all([
+                    fileEngine.receiveChunk({clientId: clientId, transId: transId, partialId: '1', totalSize: '6', payload: Buffer.from('abc')}),
+                    fileEngine.receiveChunk({clientId: clientId, transId: transId, partialId: '2', totalSize: '6', filename: 'a.txt', payload: Buffer.from('def')})
+                ]).then(function(results) {
+                    var final = results[0].file ? results[0] : results[1];
+                    expect(final.statusCode).to.be.equal(200);
+                    expect(final.file.originalFilename).to.be.equal('a.txt');
+                    return fsp.readFile(final.file.tmpBuildFilename, 'utf8').then(function(data) {
+                        expect(data).to.be.equal('abcdef');
+                        return fileEngine.endTransmission(clientId, transId, final.file);
+                    });
+                });
+            }));
+        });
+
+        it('accepts transIds of the maximum length', function () {
+            var clientId = fileEngine.generateClientId().body,
+                transId = new Array(128).join('~');
+            return fileEngine.receiveChunk({clientId: clientId, transId: transId+'~', partialId: '1', payload: Buffer.from('abc')}).then(function(result) {
+                expect(result.statusCode).to.be.equal(400);
+                expect(result.body.code).to.be.equal('BAD_HEADER');
+                return fileEngine.receiveChunk({clientId: clientId, transId: transId, partialId: '1', filename: 'a.txt', payload: Buffer.from('abc')});
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(200);
+                expect(result.file.originalFilename).to.be.equal('a.txt');
+                return fileEngine.endTransmission(clientId, transId, result.file);
+            });
+        });
+
+    });
+
+    describe('lifecycle-hooks', function () {
+
+        it('invokes the hooks in order and lets onChunk replace the payload', function () {
+            var clientId = engine.generateClientId().body,
+                calls = [],
+                hooks = {
+                    onTransmissionStart: function(info) {
+                        calls.push('start:' + info.partialId);
+                    },
+                    onChunk: function(info) {
+                        calls.push('chunk:' + info.partialId);
+                        return Buffer.from(info.payload.toString().toUpperCase());
+                    },
+                    onBeforeAssemble: function(transmission) {
+                        calls.push('assemble:' + transmission.count);
+                    },
+                    onComplete: function(info) {
+                        calls.push('complete:' + info.file.originalFilename);
+                    }
+                };
+            return engine.receiveChunk({clientId: clientId, transId: '7', partialId: '1', payload: Buffer.from('hello')}, {hooks: hooks}).then(function() {
+                return engine.receiveChunk({clientId: clientId, transId: '7', partialId: '2', filename: 'a.txt', payload: Buffer.from('world')}, {hooks: hooks});
+            }).then(function(result) {
+                expect(calls).to.be.eql(['start:1', 'chunk:1', 'chunk:2', 'assemble:2', 'complete:a.txt']);
+                return fsp.readFile(result.file.tmpBuildFilename, 'utf8').then(function(content) {
+                    expect(content).to.be.equal('HELLOWORLD');
+                    return engine.endTransmission(clientId, '7', result.file);
+                });
+            });
+        });
+
+        it('responds with the structured error of a refusing hook', function () {
+            var clientId = engine.generateClientId().body,
+                hooks = {
+                    onTransmissionStart: function() {
+                        return Promise.reject(errors.createError('NOT_AUTHORIZED', 'Error: login required', 401));
+                    }
+                };
+            return engine.receiveChunk({clientId: clientId, transId: '8', partialId: '1', payload: Buffer.from('hello')}, {hooks: hooks}).then(function(result) {
+                expect(result.statusCode).to.be.equal(401);
+                expect(result.body).to.be.eql({status: 'Error: login required', code: 'NOT_AUTHORIZED'});
+                return engine.store.get(clientId, '8');
+            }).then(function(transmission) {
+                expect(transmission).to.be.null;
+            });
+        });
+
+        it('aborts the transmission when assembly is vetoed', function () {
+            var clientId = engine.generateClientId().body,
+                aborted = [],
+                hooks = {
+                    onBeforeAssemble: function() {
+                        throw errors.createError('HOOK_REJECTED');
+                    },
+                    onAbort: function(info) {
+                        aborted.push(info);
+                    }
+                };
+            return engine.receiveChunk({clientId: clientId, transId: '9', partialId: '1', filename: 'a.txt', payload: Buffer.from('hello')}, {hooks: hooks}).then(function(result) {
+                expect(result.statusCode).to.be.equal(403);
+                expect(result.body.code).to.be.equal('HOOK_REJECTED');
+                expect(aborted).to.be.eql([{clientId: clientId, transId: '9', status: 'Error: upload rejected', code: 'HOOK_REJECTED'}]);
+                return engine.store.get(clientId, '9');
+            }).then(function(transmission) {
+                expect(transmission).to.be.null;
+            });
+        });
+
+        it('responds with statuscode 500 when a hook fails unexpectedly', function () {
+            var logged = [],
+                failingEngine = createEngine({tempDir: TMP_DIR, logger: {error: function(err) {
+                    logged.push(err.message);
+                }}}),
+                clientId = failingEngine.generateClientId().body,
+                hooks = {
+                    onChunk: function() {
+                        throw new Error('boom');
+                    }
+                };
+            return failingEngine.receiveChunk({clientId: clientId, transId: '10', partialId: '1', payload: Buffer.from('hello')}, {hooks: hooks}).then(function(result) {
+                failingEngine.destroy();
+                expect(result.statusCode).to.be.equal(500);
+                expect(result.body.code).to.be.equal('HOOK_FAILED');
+                expect(logged).to.be.eql(['boom']);
+            });
+        });
+
+    });
+
+    describe('cancelTransmission', function () {
+
+        it('removes a transmission, notifies its abort and refuses its late chunks', function () {
+            var clientId = engine.generateClientId().body,
+                aborted = [],
+                events = [],
+                listener = function(event) {
+                    events.push(event.type + ':' + event.code);
+                },
+                hooks = {
+                    onAbort: function(info) {
+                        aborted.push(info.transId + ':' + info.code);
+                    }
+                };
+            engine.events.on('progress', listener);
+            return engine.receiveChunk({clientId: clientId, transId: '11', partialId: '1', payload: Buffer.from('hello')}).then(function() {
+                return engine.cancelTransmission(clientId, '11', null, hooks);
+            }).then(function(result) {
+                engine.events.removeListener('progress', listener);
+                expect(result.statusCode).to.be.equal(200);
+                expect(result.body.canceled).to.be.eql(['11']);
+                expect(aborted).to.be.eql(['11:TRANSMISSION_CANCELED']);
+                expect(events).to.be.eql(['chunk:undefined', 'failed:TRANSMISSION_CANCELED']);
+                return engine.store.get(clientId, '11');
+            }).then(function(transmission) {
+                expect(transmission).to.be.null;
+                return engine.receiveChunk({clientId: clientId, transId: '11', partialId: '2', payload: Buffer.from('world')});
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(410);
+                expect(result.body.code).to.be.equal('TRANSMISSION_CANCELED');
+                return engine.store.get(clientId, '11');
+            }).then(function(transmission) {
+                expect(transmission).to.be.null;
+            });
+        });
+
+        it('cancels all transmissions of a client', function () {
+            var clientId = engine.generateClientId().body;
+            return Promise.all([
+                engine.receiveChunk({clientId: clientId, transId: '12', partialId: '1', payload: Buffer.from('hello')}),
+                engine.receiveChunk({clientId: clientId, transId: '13', partialId: '1', payload: Buffer.from('hello')})
+            ]).then(function() {
+                return engine.cancelTransmission(clientId);
+            }).then(function(result) {
+                expect(result.body.canceled.sort()).to.be.eql(['12', '13']);
+                return engine.store.list(clientId);
+            }).then(function(transmissions) {
+                expect(transmissions).to.be.eql([]);
+            });
+        });
+
+        it('responds with an error to unknown transmissions and invalid clientIds', function () {
+            var clientId = engine.generateClientId().body;
+            return engine.cancelTransmission(clientId, '14').then(function(result) {
+                expect(result.statusCode).to.be.equal(404);
+                return engine.cancelTransmission('ITSA_CL_ID-1', '14');
+            }).then(function(result) {
+                expect(result.statusCode).to.be.equal(401);
+            });
+        });
+
+    });
+
+});
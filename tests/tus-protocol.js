@@ -0,0 +1,366 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    http = require('http'),
+    stream = require('stream'),
+    createEngine = require('../lib/transmission-engine'),
+    createTusProtocol = require('../lib/tus-protocol'),
+    errors = require('../lib/errors'),
+    servers = require('./helpers/servers'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-tus-' + process.pid + '/',
+    TUS_HEADERS = {'tus-resumable': '1.0.0'},
+    tusHeaders;
+
+require('fs-extra');
+
+tusHeaders = function(headers) {
+    return {}.itsa_merge(TUS_HEADERS).itsa_merge(headers);
+};
+
+describe('tus-protocol', function () {
+    var engine, tusProtocol, create, patch;
+
+    before(function() {
+        engine = createEngine({tempDir: TMP_DIR + 'protocol/', maxFileSize: 100});
+        tusProtocol = createTusProtocol(engine);
+    });
+
+    after(function() {
+        engine.destroy();
+        return fsp.remove(TMP_DIR);
+    });
+
+    // resolves with the upload-id of a new upload
+    create = function(uploadLength) {
+        var headers = {'upload-length': String(uploadLength), 'upload-metadata': 'filename ' + Buffer.from('a.txt').toString('base64')};
+        return tusProtocol.handleRequest({method: 'POST', path: '/files', headers: tusHeaders(headers)}).then(function(result) {
+            expect(result.statusCode).to.be.equal(201);
+            expect(result.headers.Location).to.match(/^\/files\/[0-9a-f]{32}$/);
+            return result.headers.Location.split('/').pop();
+        });
+    };
+
+    patch = function(uploadId, offset, payload) {
+        var headers = {'content-type': 'application/offset+octet-stream'};
+        (offset===undefined) || (headers['upload-offset']=offset);
+        return tusProtocol.handleRequest({method: 'PATCH', path: '/files/' + uploadId, headers: tusHeaders(headers), payload: payload});
+    };
+
+    it('creates, patches and completes an upload', function () {
+        var uploadId;
+        return create(11).then(function(id) {
+            uploadId = id;
+            return patch(uploadId, '0', Buffer.from('hello '));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            expect(result.headers['Upload-Offset']).to.be.equal('6');
+            expect(result.file).to.be.undefined;
+            return patch(uploadId, '6', Buffer.from('world'));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            expect(result.headers['Upload-Offset']).to.be.equal('11');
+            expect(result.params).to.be.eql({filename: 'a.txt'});
+            return fsp.readFile(result.file.tmpBuildFilename, 'utf8').then(function(content) {
+                expect(content).to.be.equal('hello world');
+                return engine.endTransmission(tusProtocol.clientId, uploadId, result.file);
+            });
+        });
+    });
+
+    it('responds the offset of an upload with HEAD', function () {
+        var uploadId;
+        return create(11).then(function(id) {
+            uploadId = id;
+            return patch(uploadId, '0', Buffer.from('hello '));
+        }).then(function() {
+            return Promise.all([
+                tusProtocol.handleRequest({method: 'HEAD', path: '/files/' + uploadId, headers: TUS_HEADERS}),
+                tusProtocol.handleRequest({method: 'HEAD', path: '/files/unknown', headers: TUS_HEADERS})
+            ]);
+        }).then(function(results) {
+            expect(results[0].statusCode).to.be.equal(200);
+            expect(results[0].headers['Upload-Offset']).to.be.equal('6');
+            expect(results[0].headers['Upload-Length']).to.be.equal('11');
+            expect(results[1].statusCode).to.be.equal(404);
+            expect(results[1].body.code).to.be.equal('UNKNOWN_TRANSMISSION');
+            return engine.getStats();
+        }).then(function(stats) {
+            // a HEAD doesn't upload anything, so its error isn't a rejected upload:
+            expect(stats.uploadsRejected.UNKNOWN_TRANSMISSION).to.be.undefined;
+        });
+    });
+
+    it('terminates an upload with DELETE', function () {
+        var uploadId;
+        return create(11).then(function(id) {
+            uploadId = id;
+            return patch(uploadId, '0', Buffer.from('hello '));
+        }).then(function() {
+            return tusProtocol.handleRequest({method: 'DELETE', path: '/files/' + uploadId, headers: TUS_HEADERS});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            return Promise.all([
+                tusProtocol.handleRequest({method: 'DELETE', path: '/files/' + uploadId, headers: TUS_HEADERS}),
+                patch(uploadId, '6', Buffer.from('world'))
+            ]);
+        }).then(function(results) {
+            expect(results[0].statusCode).to.be.equal(404);
+            expect(results[1].statusCode).to.be.equal(404);
+        });
+    });
+
+    it('refuses a PATCH with a wrong, missing or invalid Upload-Offset', function () {
+        var uploadId;
+        return create(11).then(function(id) {
+            uploadId = id;
+            return patch(uploadId, '0', Buffer.from('hello '));
+        }).then(function() {
+            return patch(uploadId, '3', Buffer.from('world'));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(409);
+            expect(result.body.code).to.be.equal('OFFSET_MISMATCH');
+            expect(result.headers['Upload-Offset']).to.be.equal('6');
+            return patch(uploadId, undefined, Buffer.from('world'));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(400);
+            expect(result.body.code).to.be.equal('BAD_HEADER');
+            return patch(uploadId, 'six', Buffer.from('world'));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(400);
+            expect(result.body.code).to.be.equal('BAD_HEADER');
+            return tusProtocol.handleRequest({method: 'HEAD', path: '/files/' + uploadId, headers: TUS_HEADERS});
+        }).then(function(result) {
+            expect(result.headers['Upload-Offset']).to.be.equal('6');
+        });
+    });
+
+    it('refuses PATCH and DELETE once the final file is being build', function () {
+        var uploadId, file;
+        return create(5).then(function(id) {
+            uploadId = id;
+            return patch(uploadId, '0', Buffer.from('hello'));
+        }).then(function(result) {
+            file = result.file;
+            return Promise.all([
+                patch(uploadId, '5', Buffer.from('')),
+                tusProtocol.handleRequest({method: 'DELETE', path: '/files/' + uploadId, headers: TUS_HEADERS})
+            ]);
+        }).then(function(results) {
+            expect(results[0].statusCode).to.be.equal(409);
+            expect(results[0].body.code).to.be.equal('TRANSMISSION_COMPLETING');
+            expect(results[1].statusCode).to.be.equal(409);
+            expect(results[1].body.code).to.be.equal('TRANSMISSION_COMPLETING');
+            return fsp.readFile(file.tmpBuildFilename, 'utf8');
+        }).then(function(content) {
+            expect(content).to.be.equal('hello');
+            return engine.endTransmission(tusProtocol.clientId, uploadId, file);
+        });
+    });
+
+    it('completes an empty upload when it is created', function () {
+        var headers = {'upload-length': '0', 'upload-metadata': 'filename ' + Buffer.from('empty.txt').toString('base64')};
+        return tusProtocol.handleRequest({method: 'POST', path: '/files', headers: tusHeaders(headers)}).then(function(result) {
+            var uploadId = result.headers.Location.split('/').pop();
+            expect(result.statusCode).to.be.equal(201);
+            expect(result.params).to.be.eql({filename: 'empty.txt'});
+            return fsp.readFile(result.file.tmpBuildFilename, 'utf8').then(function(content) {
+                expect(content).to.be.equal('');
+                return engine.endTransmission(tusProtocol.clientId, uploadId, result.file);
+            });
+        });
+    });
+
+    it('invokes the lifecycle-hooks', function () {
+        var calls = [],
+            hooks = {
+                onTransmissionStart: function(info) {
+                    calls.push(['start', info.transId, info.totalSize]);
+                    if (info.filename==='refused.txt') {
+                        throw errors.createError('NOT_AUTHORIZED', 'Error: login required', 401);
+                    }
+                },
+                onChunk: function(info) {
+                    calls.push(['chunk', info.partialId]);
+                    if (info.partialId===2) {
+                        return Buffer.from('WORLD');
+                    }
+                },
+                onBeforeAssemble: function() {
+                    calls.push(['assemble']);
+                },
+                onComplete: function(info) {
+                    calls.push(['complete', info.params.filename]);
+                },
+                onAbort: function(info) {
+                    calls.push(['abort', info.code]);
+                }
+            },
+            request = function(method, path, headers, payload) {
+                return tusProtocol.handleRequest({method: method, path: path, headers: tusHeaders(headers), payload: payload}, {hooks: hooks});
+            },
+            metadata = function(filename) {
+                return 'filename ' + Buffer.from(filename).toString('base64');
+            },
+            patchHeaders = function(offset) {
+                return {'content-type': 'application/offset+octet-stream', 'upload-offset': offset};
+            },
+            uploadId;
+        return request('POST', '/files', {'upload-length': '5', 'upload-metadata': metadata('refused.txt')}).then(function(result) {
+            expect(result.statusCode).to.be.equal(401);
+            expect(result.body.code).to.be.equal('NOT_AUTHORIZED');
+            return request('POST', '/files', {'upload-length': '11', 'upload-metadata': metadata('a.txt')});
+        }).then(function(result) {
+            uploadId = result.headers.Location.split('/').pop();
+            return request('PATCH', '/files/' + uploadId, patchHeaders('0'), Buffer.from('hello '));
+        }).then(function() {
+            return request('PATCH', '/files/' + uploadId, patchHeaders('6'), Buffer.from('world'));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            return fsp.readFile(result.file.tmpBuildFilename, 'utf8').then(function(content) {
+                // `onChunk` has replaced the payload:
+                expect(content).to.be.equal('hello WORLD');
+                return engine.endTransmission(tusProtocol.clientId, uploadId, result.file);
+            });
+        }).then(function() {
+            return request('POST', '/files', {'upload-length': '5', 'upload-metadata': metadata('b.txt')});
+        }).then(function(result) {
+            uploadId = result.headers.Location.split('/').pop();
+            return request('DELETE', '/files/' + uploadId, {});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            expect(calls).to.be.eql([
+                ['start', calls[0][1], 5],
+                ['start', calls[1][1], 11],
+                ['chunk', 1],
+                ['chunk', 2],
+                ['assemble'],
+                ['complete', 'a.txt'],
+                ['start', uploadId, 5],
+                ['abort', 'TRANSMISSION_CANCELED']
+            ]);
+        });
+    });
+
+    it('aborts an upload when onChunk refuses a PATCH', function () {
+        var aborted = [],
+            hooks = {
+                onChunk: function() {
+                    throw errors.createError('HOOK_REJECTED', 'Error: virus found', 422);
+                },
+                onAbort: function(info) {
+                    aborted.push(info.code);
+                }
+            },
+            uploadId;
+        return create(5).then(function(id) {
+            uploadId = id;
+            return tusProtocol.handleRequest({
+                method: 'PATCH',
+                path: '/files/' + uploadId,
+                headers: tusHeaders({'content-type': 'application/offset+octet-stream', 'upload-offset': '0'}),
+                payload: Buffer.from('hello')
+            }, {hooks: hooks});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(422);
+            expect(result.headers['Tus-Resumable']).to.be.equal('1.0.0');
+            expect(aborted).to.be.eql(['HOOK_REJECTED']);
+            return tusProtocol.handleRequest({method: 'HEAD', path: '/files/' + uploadId, headers: TUS_HEADERS});
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(404);
+        });
+    });
+
+    it('writes only one PATCH of an upload at a time', function () {
+        var payload = new stream.PassThrough(),
+            uploadId, pending;
+        return create(11).then(function(id) {
+            uploadId = id;
+            pending = patch(uploadId, '0', payload);
+            payload.write('hello ');
+            return patch(uploadId, '0', Buffer.from('hello '));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(409);
+            expect(result.body.code).to.be.equal('UPLOAD_LOCKED');
+            payload.end();
+            return pending;
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            expect(result.headers['Upload-Offset']).to.be.equal('6');
+            return patch(uploadId, '6', Buffer.from('world'));
+        }).then(function(result) {
+            expect(result.statusCode).to.be.equal(204);
+            expect(result.headers['Upload-Offset']).to.be.equal('11');
+            return engine.endTransmission(tusProtocol.clientId, uploadId, result.file);
+        });
+    });
+
+    describe('tus-handler', function () {
+        var reported = [],
+            uploads = [],
+            server, url, send;
+
+        before(function(done) {
+            var fns = require('../lib/node-http-handler')({tempDir: TMP_DIR + 'handler/'}),
+                routeOptions = {
+                    onError: function(error) {
+                        reported.push(error);
+                    },
+                    callback: function(tmpBuildFilename, originalFilename) {
+                        return fsp.readFile(tmpBuildFilename, 'utf8').then(function(content) {
+                            uploads.push({filename: originalFilename, content: content});
+                        });
+                    }
+                };
+            server = http.createServer(function(request, response) {
+                fns.tus(request, response, routeOptions).catch(function(err) {
+                    reported.push(err);
+                });
+            });
+            server.listen(0, 'localhost', function() {
+                url = 'http://localhost:' + server.address().port + '/files';
+                done();
+            });
+        });
+
+        after(function(done) {
+            server.close(done);
+        });
+
+        send = function(method, path, headers, body) {
+            return servers.send(url + path, method, tusHeaders(headers), body);
+        };
+
+        it('completes an upload and invokes the callback', function () {
+            var location;
+            return send('POST', '', {'upload-length': '5', 'upload-metadata': 'filename ' + Buffer.from('b.txt').toString('base64')}).then(function(response) {
+                expect(response.statusCode).to.be.equal(201);
+                location = response.headers.location;
+                return send('PATCH', location.replace('/files', ''), {'content-type': 'application/offset+octet-stream', 'upload-offset': '0'}, 'hello');
+            }).then(function(response) {
+                expect(response.statusCode).to.be.equal(204);
+                expect(response.headers['upload-offset']).to.be.equal('5');
+                expect(uploads.pop()).to.be.eql({filename: 'b.txt', content: 'hello'});
+            });
+        });
+
+        it('informs onError and rejects with the status of the error', function () {
+            reported.length = 0;
+            return send('HEAD', '/unknown').then(function(response) {
+                expect(response.statusCode).to.be.equal(404);
+                return send('PATCH', '/unknown', {'content-type': 'application/offset+octet-stream'}, 'hello');
+            }).then(function(response) {
+                expect(response.statusCode).to.be.equal(400);
+                expect(response.body.code).to.be.equal('BAD_HEADER');
+                expect(reported.length).to.be.equal(4);
+                expect(reported[0]).to.be.eql({statusCode: 404, status: 'Error: unknown upload', code: 'UNKNOWN_TRANSMISSION'});
+                // like the other handlers, the handler rejects with the status of the error:
+                expect(reported[1]).to.be.equal('Error: unknown upload');
+                expect(reported[2].code).to.be.equal('BAD_HEADER');
+                expect(reported[3]).to.be.equal('Error: invalid Upload-Offset');
+            });
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/*global describe, it, before, after */
+/*jshint unused:false */
+
+"use strict";
+var expect = require('chai').expect,
+    fsp = require('fs-promise'),
+    http = require('http'),
+    stream = require('stream'),
+    servers = require('./helpers/servers'),
+    createUploadClient = require('../lib/upload-client'),
+    TMP_DIR = (process.env.TMP || process.env.TEMP || '/tmp') + '/itsa-fileuploadhandler-client-' + process.pid + '/';
+
+require('fs-extra');
+
+describe('upload-client', function () {
+
+    after(function() {
+        return fsp.remove(TMP_DIR);
+    });
+
+    it('retries network-errors only when they may not happen again', function () {
+        var attempts = 0,
+            server = http.createServer(function(request, response) {
+                if (request.method==='GET') {
+                    return response.end('ITSA_CL_ID-1');
+                }
+                // an invalid http-response, which a retry won't solve:
+                attempts++;
+                request.socket.end('garbage\r\n\r\n');
+            });
+        return new Promise(function(fulfill) {
+            server.listen(0, 'localhost', fulfill);
+        }).then(function() {
+            return createUploadClient({url: 'http://localhost:' + server.address().port + '/upload', retryDelay: 1}).upload(Buffer.from('hello'));
+        }).then(function() {
+            throw new Error('should have been rejected');
+        }, function(err) {
+            expect(err.code).to.match(/^HPE_/);
+            expect(attempts).to.be.equal(1);
+            server.close();
+        });
+    });
+
+    servers.names.forEach(function(name) {
+
+        describe('with ' + name, function () {
+            var uploads = [],
+                failures = {},
+                transIds = [],
+                clientIdRequests = 0,
+                server, url;
+
+            before(function() {
+                return servers.start(name, {
+                    options: {tempDir: TMP_DIR + name + '/', maxFileSize: 1000, maxChunkSize: 100},
+                    // the first attempt of chunk 2 fails once per transmission, like a proxy would:
+                    intercept: function(request) {
+                        var transId = request.headers['x-transid'];
+                        if (request.method==='GET') {
+                            clientIdRequests++;
+                            return false;
+                        }
+                        (transIds.indexOf(transId)===-1) && transIds.push(transId);
+                        if ((request.headers['x-partial']==='2') && !failures[transId]) {
+                            failures[transId] = true;
+                            return true;
+                        }
+                        return false;
+                    },
+                    file: {
+                        callback: function(tmpBuildFilename, originalFilename) {
+                            var params = this.params;
+                            return fsp.readFile(tmpBuildFilename, 'utf8').then(function(content) {
+                                uploads.push({filename: originalFilename, params: params, content: content});
+                            });
+                        }
+                    }
+                }).then(function(started) {
+                    server = started;
+                    url = server.url + '/upload';
+                });
+            });
+
+            after(function() {
+                return server.close();
+            });
+
+            it('uploads a stream in parallel chunks and retries a failed chunk', function () {
+                var client = createUploadClient({url: url, chunkSize: 10, parallel: 3, retryDelay: 1}),
+                    source = new stream.PassThrough(),
+                    content = new Array(8).join('0123456789') + 'end';
+                source.end(content);
+                return client.upload(source, {filename: 'a.txt', data: {folder: 'docs'}}).then(function(response) {
+                    var upload = uploads.pop();
+                    expect(response.statusCode).to.be.equal(200);
+                    expect(response.body).to.be.eql({status: 'OK'});
+                    expect(upload.filename).to.be.equal('a.txt');
+                    expect(upload.params).to.be.eql({folder: 'docs'});
+                    expect(upload.content).to.be.equal(content);
+                    expect(failures[transIds[0]]).to.be.true;
+                });
+            });
+
+            it('uploads files and Buffers with the same clientId', function () {
+                var client = createUploadClient({url: url, chunkSize: 100, retryDelay: 1}),
+                    count = clientIdRequests;
+                return fsp.outputFile(TMP_DIR + name + '-b.txt', 'hello').then(function() {
+                    return client.upload(TMP_DIR + name + '-b.txt');
+                }).then(function() {
+                    var upload = uploads.pop();
+                    expect(upload.filename).to.be.equal(name + '-b.txt');
+                    expect(upload.content).to.be.equal('hello');
+                    return client.upload(Buffer.from(''), {filename: 'empty.txt'});
+                }).then(function(response) {
+                    expect(response.statusCode).to.be.equal(200);
+                    expect(uploads.pop().content).to.be.equal('');
+                    expect(clientIdRequests).to.be.equal(count+1);
+                });
+            });
+
+            it('uses transIds that differ between clients', function () {
+                var count = transIds.length;
+                return Promise.all([
+                    createUploadClient({url: url, retryDelay: 1}).upload(Buffer.from('hello'), {filename: 'c.txt'}),
+                    createUploadClient({url: url, retryDelay: 1}).upload(Buffer.from('world'), {filename: 'd.txt'})
+                ]).then(function() {
+                    var used = transIds.slice(count);
+                    expect(used.length).to.be.equal(2);
+                    expect(used[0]).to.match(/^[0-9a-f]{16}-1$/);
+                    expect(used[1]).to.match(/^[0-9a-f]{16}-1$/);
+                });
+            });
+
+            it('uploads a file with a unicode filename and data', function () {
+                var client = createUploadClient({url: url, retryDelay: 1});
+                return client.upload(Buffer.from('hello'), {filename: '文件.txt', data: {folder: 'Ünïcode 文件'}}).then(function(response) {
+                    var upload = uploads.pop();
+                    expect(response.statusCode).to.be.equal(200);
+                    expect(upload.filename).to.be.equal('文件.txt');
+                    expect(upload.params).to.be.eql({folder: 'Ünïcode 文件'});
+                    expect(upload.content).to.be.equal('hello');
+                });
+            });
+
+            it('rejects a refused upload with the error of the server', function () {
+                var client = createUploadClient({url: url, chunkSize: 100, retryDelay: 1});
+                return client.upload(Buffer.alloc(2000), {filename: 'large.bin'}).then(function() {
+                    throw new Error('should have been rejected');
+                }, function(err) {
+                    expect(err.statusCode).to.be.equal(413);
+                    expect(err.code).to.be.equal('FILE_TOO_LARGE');
+                    expect(err.response.body.code).to.be.equal('FILE_TOO_LARGE');
+                });
+            });
+        });
+    });
+
+});